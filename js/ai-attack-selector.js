@@ -4,52 +4,33 @@
  */
 
 const aiAttackSelector = (() => {
-    const arrowFields = {
-        topLeft: 'arrowTopLeft',
-        top: 'arrowTop',
-        topRight: 'arrowTopRight',
-        right: 'arrowRight',
-        bottomRight: 'arrowBottomRight',
-        bottom: 'arrowBottom',
-        bottomLeft: 'arrowBottomLeft',
-        left: 'arrowLeft'
-    };
-
-    function parseStat(value) {
-        const multiplier = window.GameConfig?.statMultiplier ?? 16;
-        if (typeof value === 'number' && Number.isFinite(value)) {
-            if (Number.isInteger(value) && value >= 0 && value <= 15) {
-                return value * multiplier + 8;
-            }
-            return value;
-        }
-
-        if (typeof value === 'string') {
-            const trimmed = value.trim();
-            if (/^[0-9a-f]$/i.test(trimmed)) {
-                return parseInt(trimmed, 16) * multiplier + 8;
-            }
-            if (/^0x[0-9a-f]+$/i.test(trimmed)) {
-                return parseInt(trimmed, 16);
-            }
-            const parsed = Number.parseFloat(trimmed);
-            if (Number.isFinite(parsed)) {
-                if (Number.isInteger(parsed) && parsed >= 0 && parsed <= 15) {
-                    return parsed * multiplier + 8;
-                }
-                return parsed;
-            }
-        }
+    const GameRules = (typeof window !== 'undefined' && window.GameRules) || require('./game-rules.js');
+    const AiPersonality = (typeof window !== 'undefined' && window.AiPersonality) || require('./ai-personality.js');
 
-        return 0;
-    }
+    // Характеристики считаются так же, как в бою
+    const parseStat = GameRules.getStatValue;
+    const resolveDefenseValue = GameRules.resolveDefenseValue;
 
     function countArrows(card) {
-        return Object.values(arrowFields).filter(field => card[field] === true).length;
+        return GameRules.directions.filter(direction => card[direction.activeArrow] === true).length;
     }
 
     function countComboPotential(target, context) {
         const enemyOwner = context?.enemyOwner || 'player';
+
+        // Если известно поле, считаем реальную комбо-цепочку после победы над целью
+        if (context?.board && Number.isInteger(target.cellIndex)) {
+            const attackerOwner = GameRules.getOpposingOwner(enemyOwner);
+            const board = GameRules.cloneBoard(context.board);
+            const targetCell = GameRules.getCell(board, target.cellIndex);
+            if (targetCell && targetCell.card) {
+                GameRules.setCardOwner(targetCell.card, attackerOwner);
+                const rules = context.rules || GameRules.getModeRules(context.gameMode);
+                const waves = GameRules.runComboChain(board, [target.cellIndex], attackerOwner, rules);
+                return waves.reduce((count, wave) => count + wave.length, 0);
+            }
+        }
+
         const neighbors = Array.isArray(target.neighbors) ? target.neighbors : null;
 
         if (!neighbors) {
@@ -57,9 +38,8 @@ const aiAttackSelector = (() => {
         }
 
         return neighbors.reduce((count, neighbor) => {
-            const direction = neighbor.direction;
-            const fieldName = arrowFields[direction];
-            if (!fieldName || target[fieldName] !== true) {
+            const direction = GameRules.directions.find(item => item.name === neighbor.direction);
+            if (!direction || target[direction.activeArrow] !== true) {
                 return count;
             }
 
@@ -71,24 +51,12 @@ const aiAttackSelector = (() => {
         }, 0);
     }
 
-    function resolveDefenseValue(attacker, target) {
-        const mechanicalDefense = parseStat(target.mechanicalDefense);
-        const electricalDefense = parseStat(target.electricalDefense);
-        const targetAttackLevel = parseStat(target.attackLevel);
-
-        switch (attacker.attackType) {
-            case 'P':
-                return mechanicalDefense;
-            case 'E':
-            case 'M':
-                return electricalDefense;
-            case 'X':
-                return Math.min(mechanicalDefense, electricalDefense);
-            case 'A':
-                return Math.min(mechanicalDefense, electricalDefense, targetAttackLevel);
-            default:
-                return mechanicalDefense;
+    // Ячейка поля (для учёта местности), если поле известно
+    function findBoardCell(context, cellIndex) {
+        if (!context?.board || !Number.isInteger(cellIndex)) {
+            return null;
         }
+        return GameRules.getCell(context.board, cellIndex);
     }
 
     function selectAiAttackTarget(context) {
@@ -96,15 +64,19 @@ const aiAttackSelector = (() => {
             return null;
         }
 
-        const attackerValue = parseStat(context.attacker.attackLevel);
+        const attackerCell = findBoardCell(context, context.attackerCellIndex);
+        const rules = context.rules || GameRules.getModeRules(context.gameMode);
+        const { lossAversion } = AiPersonality.resolvePersonality(context.personality);
         let bestTargetId = null;
         let bestScore = -Infinity;
 
         context.targets.forEach(target => {
-            const defenseValue = resolveDefenseValue(context.attacker, target);
-            const winScore = attackerValue - defenseValue;
+            const targetCell = findBoardCell(context, target.cellIndex);
+            const winChance = GameRules.calculateWinProbability(context.attacker, target, attackerCell, targetCell, rules);
             const comboScore = countComboPotential(target, context);
-            const totalWeight = (winScore * 10) + comboScore;
+            // Ожидаемое изменение числа карт: победа забирает цель и комбо, поражение отдаёт атакующего
+            // (потеря взвешивается по характеру соперника)
+            const totalWeight = winChance * (1 + comboScore) - lossAversion * (1 - winChance);
 
             if (totalWeight > bestScore) {
                 bestScore = totalWeight;
@@ -123,7 +95,13 @@ const aiAttackSelector = (() => {
     };
 })();
 
-window.aiAttackSelector = aiAttackSelector;
-window.selectAiAttackTarget = aiAttackSelector.selectAiAttackTarget;
+if (typeof window !== 'undefined') {
+    window.aiAttackSelector = aiAttackSelector;
+    window.selectAiAttackTarget = aiAttackSelector.selectAiAttackTarget;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = aiAttackSelector;
+}
 
 console.log('AiAttackSelector: Модуль загружен. Используйте aiAttackSelector.selectAiAttackTarget(context).');
@@ -0,0 +1,275 @@
+/**
+ * AiMonteCarlo Module for Technomaster
+ * ИИ на случайных доигрываниях (Monte Carlo) вместо весов aiMoveCalculator.
+ * Каждый ход-кандидат доигрывается до конца партии много раз; бои бросаются
+ * той же стратегией боя, что и в партии (GameRules.resolvePlacement), поэтому
+ * ограничения режима (удары в спину и комбо в hard) учитываются автоматически.
+ * Доигрывания распределяются между кандидатами по UCB1 в пределах бюджета.
+ */
+
+const aiMonteCarlo = (() => {
+    const GameRules = (typeof window !== 'undefined' && window.GameRules) || require('./game-rules.js');
+    const aiAttackSelector = (typeof window !== 'undefined' && window.aiAttackSelector) || require('./ai-attack-selector.js');
+
+    // Бюджет по умолчанию: число доигрываний и время
+    const DEFAULT_PLAYOUTS = 1500;
+    const DEFAULT_TIME_BUDGET_MS = 700;
+
+    // Коэффициент исследования UCB1
+    const EXPLORATION = Math.SQRT2;
+
+    // Лёгкая подсказка в доигрывании: из скольких случайных клеток выбирается лучшая по захватам
+    const GUIDED_CELL_SAMPLE = 3;
+
+    // Поправка за разницу карт, чтобы среди равных исходов предпочитать крупную победу
+    const CARD_DIFF_WEIGHT = 0.01;
+
+    // === Доигрывание ===
+
+    function isTerminal(state) {
+        const hasEmptyCells = state.board.cells.some(cell => cell.isAvailable && !cell.card);
+        return !hasEmptyCells || (state.hands.player.length === 0 && state.hands.opponent.length === 0);
+    }
+
+    function getEmptyCells(board) {
+        return board.cells.filter(cell => cell.isAvailable && !cell.card);
+    }
+
+    /**
+     * Сколько карт противника ход забирает сразу (захваты и битвы с шансом)
+     */
+    function scoreImmediateGain(board, cellIndex, card, owner, rules) {
+        const placedBoard = GameRules.placeCard(board, cellIndex, card, owner);
+        const attackerCell = GameRules.getCell(placedBoard, cellIndex);
+
+        return GameRules.analyzeNeighbors(placedBoard, cellIndex, owner).reduce((score, conflict) => {
+            if (conflict.type === 'capture') {
+                return score + 1;
+            }
+            return score + GameRules.calculateWinProbability(
+                card,
+                conflict.defenderCard,
+                attackerCell,
+                GameRules.getCell(placedBoard, conflict.defenderCellIndex),
+                rules
+            );
+        }, 0);
+    }
+
+    /**
+     * Ход в доигрывании: случайная карта, клетка — случайная ('random')
+     * или лучшая по захватам из нескольких случайных ('guided')
+     */
+    function pickPlayoutMove(state, mover, context) {
+        const hand = state.hands[mover];
+        const card = hand[Math.floor(context.rng() * hand.length)];
+        const emptyCells = getEmptyCells(state.board);
+
+        if (context.policy === 'random') {
+            return { card, cellIndex: emptyCells[Math.floor(context.rng() * emptyCells.length)].index };
+        }
+
+        let best = null;
+        for (let sample = 0; sample < Math.min(GUIDED_CELL_SAMPLE, emptyCells.length); sample += 1) {
+            const cell = emptyCells[Math.floor(context.rng() * emptyCells.length)];
+            const score = scoreImmediateGain(state.board, cell.index, card, mover, context.rules);
+            if (!best || score > best.score) {
+                best = { card, cellIndex: cell.index, score };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Ход с боем по правилам режима.
+     * При нескольких битвах цель выбирает aiAttackSelector (как оркестратор),
+     * в доигрываниях — битва с наибольшим шансом.
+     */
+    function applyMove(state, move, mover, context, useSelector = false) {
+        const placedBoard = GameRules.placeCard(state.board, move.cellIndex, move.card, mover);
+        const battles = GameRules.analyzeNeighbors(placedBoard, move.cellIndex, mover)
+            .filter(conflict => conflict.type === 'battle');
+
+        let targetCellIndex = null;
+        if (battles.length > 1) {
+            targetCellIndex = useSelector
+                ? selectTargetWithSelector(placedBoard, battles, move.cellIndex, mover, context)
+                : selectLikeliestTarget(placedBoard, battles, move.cellIndex, context);
+        }
+
+        const result = GameRules.resolvePlacement(placedBoard, move.cellIndex, mover, {
+            rules: context.rules,
+            rng: context.rng,
+            targetCellIndex
+        });
+
+        return {
+            board: result.board,
+            hands: {
+                ...state.hands,
+                [mover]: state.hands[mover].filter(card => card.id !== move.card.id)
+            },
+            turn: GameRules.getOpposingOwner(mover)
+        };
+    }
+
+    function selectTargetWithSelector(board, battles, cellIndex, mover, context) {
+        const selectedId = aiAttackSelector.selectAiAttackTarget({
+            attacker: GameRules.getCell(board, cellIndex).card,
+            attackerCellIndex: cellIndex,
+            targets: battles.map(b => ({
+                ...b.defenderCard,
+                id: b.defenderCellIndex,
+                cellIndex: b.defenderCellIndex
+            })),
+            enemyOwner: GameRules.getOpposingOwner(mover),
+            board,
+            rules: context.rules,
+            personality: context.personality
+        });
+
+        return battles.some(b => b.defenderCellIndex === selectedId) ? selectedId : battles[0].defenderCellIndex;
+    }
+
+    function selectLikeliestTarget(board, battles, cellIndex, context) {
+        const attackerCell = GameRules.getCell(board, cellIndex);
+
+        return battles
+            .map(battle => ({
+                cellIndex: battle.defenderCellIndex,
+                winChance: GameRules.calculateWinProbability(
+                    attackerCell.card,
+                    battle.defenderCard,
+                    attackerCell,
+                    GameRules.getCell(board, battle.defenderCellIndex),
+                    context.rules
+                )
+            }))
+            .reduce((best, current) => (current.winChance > best.winChance ? current : best))
+            .cellIndex;
+    }
+
+    /**
+     * Доигрывание до конца партии
+     * @returns {number} 1 — победа aiOwner, 0.5 — ничья, 0 — поражение (с поправкой за разницу карт)
+     */
+    function playout(state, context) {
+        let current = state;
+
+        while (!isTerminal(current)) {
+            const mover = current.hands[current.turn].length > 0
+                ? current.turn
+                : GameRules.getOpposingOwner(current.turn);
+            current = applyMove(current, pickPlayoutMove(current, mover, context), mover, context);
+        }
+
+        const counts = GameRules.countOwnership(current.board);
+        const diff = counts[context.aiOwner] - counts[GameRules.getOpposingOwner(context.aiOwner)];
+
+        return 0.5 + Math.sign(diff) * 0.5 + diff * CARD_DIFF_WEIGHT;
+    }
+
+    /**
+     * Оценка UCB1: средний результат + бонус за малое число доигрываний
+     */
+    function ucb(candidate, totalVisits) {
+        return candidate.total / candidate.visits
+            + EXPLORATION * Math.sqrt(Math.log(totalVisits) / candidate.visits);
+    }
+
+    // === Публичная функция ===
+
+    /**
+     * Расчёт хода доигрываниями.
+     * Сначала каждый кандидат доигрывается один раз, затем доигрывания
+     * достаются кандидатам по UCB1, пока не исчерпан бюджет.
+     *
+     * @param {Object} fieldState - Состояние поля
+     * @param {Array} aiHand - Рука ИИ
+     * @param {Array} opponentHand - Рука противника
+     * @param {Object} options - { gameMode, rules, aiOwner, personality, playouts, timeBudgetMs, policy, rng }
+     *                           policy: 'guided' (по умолчанию) | 'random'
+     * @returns {{cardId: *, cellIndex: number|null, playouts: number, winRate: number|null}}
+     */
+    function calculateMonteCarloMove(fieldState, aiHand, opponentHand, options = {}) {
+        const aiOwner = options.aiOwner || 'opponent';
+        const enemy = GameRules.getOpposingOwner(aiOwner);
+        const isAvailable = card => card && !card.used && card.inHand !== false;
+
+        const state = {
+            board: GameRules.createBoard(fieldState.cells, fieldState),
+            hands: {
+                [aiOwner]: aiHand.filter(isAvailable),
+                [enemy]: (opponentHand || []).filter(isAvailable)
+            },
+            turn: aiOwner
+        };
+
+        const candidates = [];
+        getEmptyCells(state.board).forEach(cell => {
+            state.hands[aiOwner].forEach(card => {
+                candidates.push({ card, cellIndex: cell.index, visits: 0, total: 0 });
+            });
+        });
+
+        if (candidates.length === 0) {
+            return { cardId: null, cellIndex: null, playouts: 0, winRate: null };
+        }
+
+        const context = {
+            aiOwner,
+            rules: options.rules || GameRules.getModeRules(options.gameMode),
+            personality: options.personality || null,
+            policy: options.policy || 'guided',
+            rng: options.rng || Math.random
+        };
+        const maxPlayouts = Math.max(candidates.length, options.playouts ?? DEFAULT_PLAYOUTS);
+        const deadline = Date.now() + (options.timeBudgetMs ?? DEFAULT_TIME_BUDGET_MS);
+        let totalVisits = 0;
+
+        while (totalVisits < maxPlayouts) {
+            // Бюджет времени проверяется только после первого круга по всем кандидатам
+            if (totalVisits >= candidates.length && Date.now() > deadline) {
+                break;
+            }
+
+            const candidate = totalVisits < candidates.length
+                ? candidates[totalVisits]
+                : candidates.reduce((best, current) => (ucb(current, totalVisits) > ucb(best, totalVisits) ? current : best));
+
+            const nextState = applyMove(state, candidate, aiOwner, context, true);
+            candidate.total += playout(nextState, context);
+            candidate.visits += 1;
+            totalVisits += 1;
+        }
+
+        // Лучший кандидат — с наибольшим средним результатом среди проверенных
+        const best = candidates
+            .filter(candidate => candidate.visits > 0)
+            .reduce((bestCandidate, current) => (
+                current.total / current.visits > bestCandidate.total / bestCandidate.visits ? current : bestCandidate
+            ));
+
+        return {
+            cardId: best.card.id,
+            cellIndex: best.cellIndex,
+            playouts: totalVisits,
+            winRate: best.total / best.visits
+        };
+    }
+
+    return {
+        calculateMonteCarloMove
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.aiMonteCarlo = aiMonteCarlo;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = aiMonteCarlo;
+}
+
+console.log('AiMonteCarlo: Модуль загружен. Используйте aiMonteCarlo.calculateMonteCarloMove(state, hand, opponentHand, options).');
@@ -1,205 +1,42 @@
 /**
  * AiMoveCalculator Module for Technomaster
  * Модуль расчёта оптимального хода ИИ (карта + клетка).
+ * Захваты, битвы и комбо оцениваются по правилам GameRules,
+ * веса оценки задаёт характер соперника (AiPersonality).
  */
 
 const aiMoveCalculator = (() => {
-    const directions = [
-        { name: 'topLeft', rowDelta: -1, colDelta: -1, arrowField: 'arrowTopLeft', opposite: 'bottomRight' },
-        { name: 'top', rowDelta: -1, colDelta: 0, arrowField: 'arrowTop', opposite: 'bottom' },
-        { name: 'topRight', rowDelta: -1, colDelta: 1, arrowField: 'arrowTopRight', opposite: 'bottomLeft' },
-        { name: 'right', rowDelta: 0, colDelta: 1, arrowField: 'arrowRight', opposite: 'left' },
-        { name: 'bottomRight', rowDelta: 1, colDelta: 1, arrowField: 'arrowBottomRight', opposite: 'topLeft' },
-        { name: 'bottom', rowDelta: 1, colDelta: 0, arrowField: 'arrowBottom', opposite: 'top' },
-        { name: 'bottomLeft', rowDelta: 1, colDelta: -1, arrowField: 'arrowBottomLeft', opposite: 'topRight' },
-        { name: 'left', rowDelta: 0, colDelta: -1, arrowField: 'arrowLeft', opposite: 'right' }
-    ];
-
-    const cornerIndices = new Set([0, 3, 12, 15]);
-
-    function getStatValue(value) {
-        const multiplier = window.GameConfig?.statMultiplier ?? 16;
-        if (typeof value === 'number' && Number.isFinite(value)) {
-            if (Number.isInteger(value) && value >= 0 && value <= 15) {
-                return value * multiplier;
-            }
-            return value;
-        }
+    const GameRules = (typeof window !== 'undefined' && window.GameRules) || require('./game-rules.js');
+    const AiPersonality = (typeof window !== 'undefined' && window.AiPersonality) || require('./ai-personality.js');
 
-        if (typeof value === 'string') {
-            const trimmed = value.trim();
-            if (/^[0-9a-f]$/i.test(trimmed)) {
-                return parseInt(trimmed, 16) * multiplier;
-            }
-            if (/^0x[0-9a-f]+$/i.test(trimmed)) {
-                return parseInt(trimmed, 16);
-            }
-            const parsed = Number.parseFloat(trimmed);
-            if (Number.isFinite(parsed)) {
-                if (Number.isInteger(parsed) && parsed >= 0 && parsed <= 15) {
-                    return parsed * multiplier;
-                }
-                return parsed;
-            }
-        }
+    const { directions, getStatValue } = GameRules;
 
-        return 0;
-    }
-
-    function getCardOwner(card) {
-        if (!card) {
-            return null;
-        }
-        if (card.owner) {
-            return card.owner;
-        }
-        if (card.ownership === 'rival') {
-            return 'opponent';
-        }
-        if (card.ownership) {
-            return card.ownership;
-        }
-        return null;
-    }
-
-    function buildCellMap(fieldState) {
-        const cellMap = new Map();
-        if (!fieldState || !Array.isArray(fieldState.cells)) {
-            return cellMap;
-        }
-        fieldState.cells.forEach(cell => {
-            if (!cell) {
-                return;
-            }
-            const row = Number.isFinite(cell.row) ? cell.row : Math.floor(cell.index / 4);
-            const col = Number.isFinite(cell.col) ? cell.col : cell.index % 4;
-            cellMap.set(cell.index, { ...cell, row, col });
-        });
-        return cellMap;
-    }
-
-    function getNeighborCell(cell, direction, cellMap) {
-        const row = cell.row + direction.rowDelta;
-        const col = cell.col + direction.colDelta;
-        if (row < 0 || row > 3 || col < 0 || col > 3) {
-            return null;
-        }
-        const index = row * 4 + col;
-        return cellMap.get(index) || null;
-    }
-
-    function getNeighbors(cell, cellMap) {
-        return directions
-            .map(direction => ({
-                direction,
-                cell: getNeighborCell(cell, direction, cellMap)
-            }))
-            .filter(item => item.cell);
-    }
+    const COMBO_WAVE_SCORES = [60, 80, 100];
 
     function hasArrow(card, direction) {
-        return Boolean(card && card[direction.arrowField]);
-    }
-
-    function checkArrowRelation(attacker, defender, direction) {
-        if (!hasArrow(attacker, direction)) {
-            return 'none';
-        }
-        const oppositeDirection = directions.find(item => item.name === direction.opposite);
-        const defenderHasArrow = oppositeDirection && hasArrow(defender, oppositeDirection);
-        if (!defenderHasArrow) {
-            return 'capture';
-        }
-        return 'battle';
-    }
-
-    function resolveDefenseValue(attacker, target) {
-        const mechanicalDefense = getStatValue(target.mechanicalDefense);
-        const electricalDefense = getStatValue(target.electricalDefense);
-        const targetAttackLevel = getStatValue(target.attackLevel);
-
-        switch (attacker.attackType) {
-            case 'P':
-                return mechanicalDefense;
-            case 'E':
-            case 'M':
-                return electricalDefense;
-            case 'X':
-                return Math.min(mechanicalDefense, electricalDefense);
-            case 'A':
-                return Math.min(mechanicalDefense, electricalDefense, targetAttackLevel);
-            default:
-                return mechanicalDefense;
-        }
+        return Boolean(card && card[direction.activeArrow]);
     }
 
-    function calculateWinProbability(attacker, defender) {
-        const attackValue = getStatValue(attacker.attackLevel);
-        const defenseValue = resolveDefenseValue(attacker, defender);
-        const total = attackValue + defenseValue;
-
-        if (total <= 0) {
-            return 0.5;
-        }
-
-        const ratio = attackValue / total;
-        return Math.max(0, Math.min(1, ratio));
+    function calculateWinProbability(attacker, defender, attackerCell = null, defenderCell = null, rules = null) {
+        // Точный шанс по стратегии боя текущего режима
+        return GameRules.calculateWinProbability(attacker, defender, attackerCell, defenderCell, rules);
     }
 
-    function calculateComboPotential(startIndex, fieldState, aiOwner, depth, virtualOwners) {
-        if (depth > 5) {
-            return 0;
-        }
-
-        const cellMap = buildCellMap(fieldState);
-        const startCell = cellMap.get(startIndex);
+    function calculateComboPotential(startIndex, board, aiOwner, modeRules) {
+        const comboBoard = GameRules.cloneBoard(board);
+        const startCell = GameRules.getCell(comboBoard, startIndex);
         if (!startCell || !startCell.card) {
             return 0;
         }
 
-        let score = 0;
-        const neighbors = getNeighbors(startCell, cellMap);
-
-        neighbors.forEach(({ direction, cell }) => {
-            if (!cell.card) {
-                return;
-            }
-
-            const ownerOverride = virtualOwners?.get(cell.index);
-            const neighborOwner = ownerOverride || getCardOwner(cell.card);
-            if (neighborOwner === aiOwner) {
-                return;
-            }
-
-            const relation = checkArrowRelation(startCell.card, cell.card, direction);
-            if (relation !== 'capture' && relation !== 'battle') {
-                return;
-            }
-
-            const winChance = relation === 'battle'
-                ? calculateWinProbability(startCell.card, cell.card)
-                : 1;
-
-            if (relation === 'battle' && winChance < 0.3) {
-                return;
-            }
-
-            if (depth === 2) {
-                score += 60;
-            } else if (depth === 3) {
-                score += 80;
-            } else if (depth >= 4) {
-                score += 100;
-            }
+        GameRules.setCardOwner(startCell.card, aiOwner);
+        const waves = GameRules.runComboChain(comboBoard, [startIndex], aiOwner, modeRules);
 
-            if (depth < 5) {
-                const nextVirtual = new Map(virtualOwners || []);
-                nextVirtual.set(cell.index, aiOwner);
-                score += calculateComboPotential(cell.index, fieldState, aiOwner, depth + 1, nextVirtual);
-            }
-        });
-
-        return score;
+        // Чем дальше волна от хода, тем ценнее захват
+        return waves.reduce((score, wave, waveIndex) => {
+            const waveScore = COMBO_WAVE_SCORES[Math.min(waveIndex, COMBO_WAVE_SCORES.length - 1)];
+            return score + wave.length * waveScore;
+        }, 0);
     }
 
     function getCardStrength(card) {
@@ -223,52 +60,53 @@ const aiMoveCalculator = (() => {
         return true;
     }
 
-    function evaluateMove(card, cell, fieldState, context) {
-        const cellMap = buildCellMap(fieldState);
-        const currentCell = cellMap.get(cell.index);
-        if (!currentCell) {
-            return -Infinity;
+    /**
+     * Оценка хода с разбивкой по составляющим.
+     * Сумма составляющих breakdown равна score.
+     * Веса берутся из context.personality (см. AiPersonality), без него — по умолчанию.
+     *
+     * @returns {{score: number, breakdown: Object, captureCount: number, battles: Array<{cellIndex: number, winChance: number}>}|null}
+     *          null, если ячейка недоступна
+     */
+    function explainMove(card, cell, fieldState, context) {
+        const fieldBoard = GameRules.createBoard(fieldState.cells, fieldState);
+        const currentCell = GameRules.getCell(fieldBoard, cell.index);
+        if (!currentCell || !currentCell.isAvailable || currentCell.card) {
+            return null;
         }
 
         const aiOwner = context.aiOwner || 'opponent';
-        let score = 0;
+        const modeRules = context.rules || GameRules.getModeRules(context.gameMode);
+        const personality = AiPersonality.resolvePersonality(context.personality);
+        const breakdown = { capture: 0, combo: 0, battle: 0, safety: 0, terrain: 0, strategic: 0, corner: 0 };
+        const battles = [];
         let captureCount = 0;
 
-        const neighbors = getNeighbors(currentCell, cellMap);
-
-        neighbors.forEach(({ direction, cell: neighborCell }) => {
-            if (!neighborCell.card) {
-                return;
-            }
-
-            const neighborOwner = getCardOwner(neighborCell.card);
-            if (neighborOwner === aiOwner) {
-                return;
-            }
+        const board = GameRules.placeCard(fieldBoard, cell.index, card, aiOwner);
+        const conflicts = GameRules.analyzeNeighbors(board, cell.index, aiOwner);
 
-            const relation = checkArrowRelation(card, neighborCell.card, direction);
-            if (relation === 'capture') {
-                score += 100;
+        conflicts.forEach(conflict => {
+            if (conflict.type === 'capture') {
+                breakdown.capture += personality.captureWeight;
                 captureCount += 1;
-                score += calculateComboPotential(neighborCell.index, fieldState, aiOwner, 2, new Map([[neighborCell.index, aiOwner]]));
-            } else if (relation === 'battle') {
-                const winChance = calculateWinProbability(card, neighborCell.card);
-                score += winChance * 100;
-
-                if (winChance < 0.2) {
-                    score -= 30;
+                if (GameRules.canBackstabTriggerCombo(modeRules, aiOwner)) {
+                    breakdown.combo += calculateComboPotential(conflict.defenderCellIndex, board, aiOwner, modeRules)
+                        * personality.comboWeight;
+                }
+            } else if (conflict.type === 'battle') {
+                const defenderCell = GameRules.getCell(board, conflict.defenderCellIndex);
+                const winChance = calculateWinProbability(card, conflict.defenderCard, currentCell, defenderCell, modeRules);
+                battles.push({ cellIndex: conflict.defenderCellIndex, winChance });
+                breakdown.battle += winChance * personality.battleWeight;
+
+                if (winChance < personality.riskThreshold) {
+                    breakdown.battle -= personality.riskPenalty;
                 }
 
                 if (winChance >= 0.5) {
                     captureCount += 1;
-                    const comboScore = calculateComboPotential(
-                        neighborCell.index,
-                        fieldState,
-                        aiOwner,
-                        2,
-                        new Map([[neighborCell.index, aiOwner]])
-                    );
-                    score += comboScore * winChance;
+                    const comboScore = calculateComboPotential(conflict.defenderCellIndex, board, aiOwner, modeRules);
+                    breakdown.combo += comboScore * winChance * personality.comboWeight;
                 }
             }
         });
@@ -276,49 +114,73 @@ const aiMoveCalculator = (() => {
         // SafetyScore
         directions.forEach(direction => {
             const hasArrowSide = hasArrow(card, direction);
-            const neighborCell = getNeighborCell(currentCell, direction, cellMap);
+            const neighborCell = GameRules.getNeighborCell(board, currentCell, direction);
 
             if (!hasArrowSide) {
                 if (neighborCell && neighborCell.isAvailable && !neighborCell.card) {
-                    score -= 30;
+                    breakdown.safety -= personality.openSidePenalty;
                 } else {
-                    score += 10;
+                    breakdown.safety += personality.closedSideBonus;
                 }
             } else if (neighborCell && neighborCell.isAvailable && !neighborCell.card) {
-                score += 5;
+                breakdown.safety += 5;
             }
         });
 
+        // TerrainBonus: щит защищает от ударов в спину, заряженная ячейка усиливает защиту
+        const terrain = GameRules.getCellTerrain(currentCell);
+        if (terrain?.forcesBattle) {
+            breakdown.terrain += 15;
+        }
+        if (terrain?.electricalDefenseBonus || terrain?.mechanicalDefenseBonus) {
+            breakdown.terrain += 5;
+        }
+
         // StrategicBonus
         const cardStrength = getCardStrength(card);
         if (captureCount >= 2) {
-            score += cardStrength / 10;
+            breakdown.strategic += cardStrength / 10;
         }
 
-        if (cornerIndices.has(currentCell.index)) {
+        if (GameRules.getCornerIndices(board).has(currentCell.index)) {
             const outwardDirections = directions.filter(direction => {
-                const neighbor = getNeighborCell(currentCell, direction, cellMap);
+                const neighbor = GameRules.getNeighborCell(board, currentCell, direction);
                 return !neighbor;
             });
             const outwardArrows = outwardDirections.filter(direction => hasArrow(card, direction));
             if (outwardArrows.length >= 2) {
-                score += 20;
+                breakdown.corner += personality.cornerBonus;
             }
         }
 
-        return score;
+        const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+        return { score, breakdown, captureCount, battles };
+    }
+
+    function evaluateMove(card, cell, fieldState, context) {
+        const explanation = explainMove(card, cell, fieldState, context);
+        return explanation ? explanation.score : -Infinity;
     }
 
-    function calculateAiMove(fieldState, aiHand, opponentHand) {
-        if (!fieldState || !Array.isArray(fieldState.cells) || !Array.isArray(aiHand)) {
-            return { cardId: null, cellIndex: null };
+    /**
+     * Лучший ход с разбивкой оценки (для подсказки игроку)
+     *
+     * @param {Object} fieldState - Состояние поля
+     * @param {Array} hand - Рука стороны, за которую считается ход
+     * @param {Array} opponentHand - Рука противника
+     * @param {Object} options - { gameMode, rules, aiOwner, personality }
+     * @returns {{cardId: *, cellIndex: number, score: number, breakdown: Object, captureCount: number, battles: Array}|null}
+     */
+    function suggestMove(fieldState, hand, opponentHand, options = {}) {
+        if (!fieldState || !Array.isArray(fieldState.cells) || !Array.isArray(hand)) {
+            return null;
         }
 
-        const availableCards = aiHand.filter(isCardAvailable);
+        const rules = options.rules || GameRules.getModeRules(options.gameMode);
+        const aiOwner = options.aiOwner || 'opponent';
+        const availableCards = hand.filter(isCardAvailable);
         const maxStrength = availableCards.reduce((max, card) => Math.max(max, getCardStrength(card)), 0);
-
-        let bestMove = { cardId: null, cellIndex: null };
-        let maxScore = -Infinity;
+        let best = null;
 
         fieldState.cells.forEach(cell => {
             if (!cell.isAvailable || cell.card) {
@@ -326,31 +188,45 @@ const aiMoveCalculator = (() => {
             }
 
             availableCards.forEach(card => {
-                const score = evaluateMove(card, cell, fieldState, {
-                    aiOwner: 'opponent',
+                const explanation = explainMove(card, cell, fieldState, {
+                    aiOwner,
+                    rules,
                     maxStrength,
-                    opponentHand
+                    opponentHand,
+                    personality: options.personality
                 });
 
-                if (score > maxScore) {
-                    maxScore = score;
-                    bestMove = { cardId: card.id, cellIndex: cell.index };
+                if (explanation && (!best || explanation.score > best.score)) {
+                    best = { cardId: card.id, cellIndex: cell.index, ...explanation };
                 }
             });
         });
 
-        return bestMove;
+        return best;
+    }
+
+    function calculateAiMove(fieldState, aiHand, opponentHand, options = {}) {
+        const best = suggestMove(fieldState, aiHand, opponentHand, options);
+        return best ? { cardId: best.cardId, cellIndex: best.cellIndex } : { cardId: null, cellIndex: null };
     }
 
     return {
         calculateAiMove,
+        suggestMove,
         evaluateMove,
+        explainMove,
         calculateWinProbability,
         getStatValue
     };
 })();
 
-window.aiMoveCalculator = aiMoveCalculator;
-window.calculateAiMove = aiMoveCalculator.calculateAiMove;
+if (typeof window !== 'undefined') {
+    window.aiMoveCalculator = aiMoveCalculator;
+    window.calculateAiMove = aiMoveCalculator.calculateAiMove;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = aiMoveCalculator;
+}
 
 console.log('AiMoveCalculator: Модуль загружен. Используйте aiMoveCalculator.calculateAiMove(state, hand).');
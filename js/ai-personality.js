@@ -0,0 +1,116 @@
+/**
+ * AiPersonality Module for Technomaster
+ * Характер соперника (таблица ai_personalities, ссылка opponents.personality_id):
+ * веса оценки хода, терпимость к риску в боях с малым шансом и предпочтения
+ * при выборе карты для кражи. Без характера ИИ играет с весами по умолчанию.
+ */
+
+const AiPersonality = (() => {
+    // Веса по умолчанию (совпадают с прежними константами aiMoveCalculator)
+    const DEFAULT_PERSONALITY = {
+        code: 'balanced',
+        name: 'Расчётливый',
+        // Очки за мгновенный захват
+        captureWeight: 100,
+        // Множитель очков за комбо
+        comboWeight: 1,
+        // Очки за бой, умножаются на шанс победы
+        battleWeight: 100,
+        // Штраф за сторону без стрелки рядом со свободной клеткой
+        openSidePenalty: 30,
+        // Бонус за сторону без стрелки, закрытую краем или картой
+        closedSideBonus: 10,
+        // Бонус за угол со стрелками наружу
+        cornerBonus: 20,
+        // Бой с шансом ниже порога штрафуется на riskPenalty
+        riskThreshold: 0.2,
+        riskPenalty: 30,
+        // Вес потери атакующей карты при выборе цели (меньше 1 — азарт, больше 1 — осторожность)
+        lossAversion: 1,
+        // Какую карту забрать после победы: 'value' | 'attack' | 'defense' | 'arrows'
+        rewardPreference: 'value'
+    };
+
+    const REWARD_PREFERENCES = ['value', 'attack', 'defense', 'arrows'];
+
+    // Колонка таблицы ai_personalities -> поле характера
+    const COLUMN_FIELDS = {
+        code: 'code',
+        name: 'name',
+        capture_weight: 'captureWeight',
+        combo_weight: 'comboWeight',
+        battle_weight: 'battleWeight',
+        open_side_penalty: 'openSidePenalty',
+        closed_side_bonus: 'closedSideBonus',
+        corner_bonus: 'cornerBonus',
+        risk_threshold: 'riskThreshold',
+        risk_penalty: 'riskPenalty',
+        loss_aversion: 'lossAversion',
+        reward_preference: 'rewardPreference'
+    };
+
+    /**
+     * Характер с заполненными значениями по умолчанию
+     * @param {Object|null} personality - Частичный характер
+     * @returns {Object}
+     */
+    function resolvePersonality(personality) {
+        if (!personality) {
+            return DEFAULT_PERSONALITY;
+        }
+
+        const resolved = { ...DEFAULT_PERSONALITY };
+        Object.keys(DEFAULT_PERSONALITY).forEach(field => {
+            const value = personality[field];
+            if (value === undefined || value === null) {
+                return;
+            }
+            if (typeof DEFAULT_PERSONALITY[field] === 'number' && !Number.isFinite(Number(value))) {
+                return;
+            }
+            resolved[field] = typeof DEFAULT_PERSONALITY[field] === 'number' ? Number(value) : value;
+        });
+
+        if (!REWARD_PREFERENCES.includes(resolved.rewardPreference)) {
+            resolved.rewardPreference = DEFAULT_PERSONALITY.rewardPreference;
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Характер из строки таблицы ai_personalities
+     * @param {Object} row - { column: value }
+     * @returns {Object|null}
+     */
+    function fromDbRow(row) {
+        if (!row) {
+            return null;
+        }
+
+        const personality = {};
+        Object.entries(COLUMN_FIELDS).forEach(([column, field]) => {
+            if (row[column] !== undefined && row[column] !== null) {
+                personality[field] = row[column];
+            }
+        });
+
+        return resolvePersonality(personality);
+    }
+
+    return {
+        DEFAULT_PERSONALITY,
+        REWARD_PREFERENCES,
+        COLUMNS: Object.keys(COLUMN_FIELDS),
+        resolvePersonality,
+        fromDbRow
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.AiPersonality = AiPersonality;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AiPersonality;
+}
@@ -1,6 +1,7 @@
 /**
  * AiRewardSelector Module for Technomaster
  * Модуль выбора карты игрока, которую заберет ИИ после победы.
+ * Что ценить в первую очередь, задаёт характер соперника (rewardPreference, см. AiPersonality).
  */
 
 const aiRewardSelector = (() => {
@@ -56,33 +57,57 @@ const aiRewardSelector = (() => {
         };
     }
 
+    /**
+     * Основная оценка карты по предпочтению характера
+     * @param {Object} card
+     * @param {string} preference - 'value' | 'attack' | 'defense' | 'arrows'
+     */
+    function computePreferenceScore(card, preference) {
+        switch (preference) {
+            case 'attack':
+                return getRealStatValue(card.attackLevel);
+            case 'defense':
+                return getRealStatValue(card.mechanicalDefense) + getRealStatValue(card.electricalDefense);
+            case 'arrows':
+                return countArrows(card);
+            default:
+                return computeCardScore(card).totalValue;
+        }
+    }
+
+    // Лексикографическое сравнение оценок [предпочтение, ценность, атака]
+    function compareKeys(a, b) {
+        for (let index = 0; index < a.length; index += 1) {
+            if (a[index] !== b[index]) {
+                return a[index] - b[index];
+            }
+        }
+        return 0;
+    }
+
     /**
      * Выбирает карту для кражи у игрока.
+     * Карты сравниваются по предпочтению характера, затем по общей ценности, затем по атаке.
      * @param {Array} candidateCards - Массив карт игрока, участвовавших в партии.
+     * @param {Object|null} personality - Характер соперника (по умолчанию — самая ценная карта).
      * @returns {number|null} ID выбранной карты.
      */
-    function selectAiRewardCard(candidateCards) {
+    function selectAiRewardCard(candidateCards, personality = null) {
         if (!Array.isArray(candidateCards) || candidateCards.length === 0) {
             return null;
         }
 
+        const preference = personality?.rewardPreference || 'value';
         let bestCard = null;
-        let maxScore = -Infinity;
+        let bestKey = null;
 
         candidateCards.forEach(card => {
             const { totalValue, attack } = computeCardScore(card);
+            const key = [computePreferenceScore(card, preference), totalValue, attack];
 
-            if (totalValue > maxScore) {
-                maxScore = totalValue;
+            if (!bestKey || compareKeys(key, bestKey) > 0) {
+                bestKey = key;
                 bestCard = card;
-                return;
-            }
-
-            if (totalValue === maxScore && bestCard) {
-                const bestAttack = getRealStatValue(bestCard.attackLevel);
-                if (attack > bestAttack) {
-                    bestCard = card;
-                }
             }
         });
 
@@ -92,6 +117,7 @@ const aiRewardSelector = (() => {
     return {
         selectAiRewardCard,
         computeCardScore,
+        computePreferenceScore,
         countArrows,
         getRealStatValue
     };
@@ -0,0 +1,320 @@
+/**
+ * AiSearch Module for Technomaster
+ * ИИ с просмотром на несколько ходов вперёд (expectimax).
+ * Ходы сторон чередуются по оставшимся рукам, исход битвы — узел случая
+ * с вероятностью победы по стратегии боя режима. Ветви ограничиваются лучшими
+ * ходами по оценке aiMoveCalculator, поиск отсекается по альфа-бете и бюджету времени.
+ * Глубина поиска задаётся уровнями сложности (по режиму или номеру соперника).
+ */
+
+const aiSearch = (() => {
+    const GameRules = (typeof window !== 'undefined' && window.GameRules) || require('./game-rules.js');
+    const aiMoveCalculator = (typeof window !== 'undefined' && window.aiMoveCalculator) || require('./ai-move-calculator.js');
+
+    // === Уровни сложности ===
+    // depth — число ходов (полуходов) в глубину; 1 — жадный ход aiMoveCalculator
+    // branching — сколько лучших ходов рассматривается в каждом узле
+    const DIFFICULTY_LEVELS = {
+        novice: { name: 'Новичок', depth: 1, branching: null, timeBudgetMs: 0 },
+        adept: { name: 'Опытный', depth: 2, branching: 8, timeBudgetMs: 400 },
+        master: { name: 'Мастер', depth: 4, branching: 6, timeBudgetMs: 800 }
+    };
+    const DIFFICULTY_ORDER = ['novice', 'adept', 'master'];
+
+    // Минимальный уровень по номеру соперника (sequence)
+    const SEQUENCE_DIFFICULTY = [
+        { minSequence: 15, level: 'master' },
+        { minSequence: 8, level: 'adept' }
+    ];
+
+    // Очки за карту на поле и за исход партии
+    const CARD_VALUE = 100;
+    const WIN_VALUE = 10000;
+
+    // Прерывание поиска по бюджету времени
+    const TIMEOUT = Symbol('timeout');
+
+    // === Уровень сложности ===
+
+    /**
+     * Уровень сложности партии: наибольший из уровня режима и уровня соперника
+     *
+     * @param {Object} params
+     * @param {string} params.gameMode - Режим игры
+     * @param {number} params.opponentSequence - Порядковый номер соперника
+     * @returns {string} Ключ DIFFICULTY_LEVELS
+     */
+    function resolveDifficulty({ gameMode, opponentSequence } = {}) {
+        // Минимальный уровень для режима задаёт aiDifficulty в определении режима
+        const modeLevel = GameRules.getModeRules(gameMode).aiDifficulty || 'novice';
+        const sequenceLevel = SEQUENCE_DIFFICULTY.find(entry => Number(opponentSequence) >= entry.minSequence)?.level || 'novice';
+
+        return DIFFICULTY_ORDER.indexOf(sequenceLevel) > DIFFICULTY_ORDER.indexOf(modeLevel)
+            ? sequenceLevel
+            : modeLevel;
+    }
+
+    // === Вспомогательные функции ===
+
+    function isTerminal(state) {
+        const hasEmptyCells = state.board.cells.some(cell => cell.isAvailable && !cell.card);
+        return !hasEmptyCells || (state.hands.player.length === 0 && state.hands.opponent.length === 0);
+    }
+
+    /**
+     * Сторона, которая ходит: без карт ход переходит сопернику
+     */
+    function getMover(state) {
+        return state.hands[state.turn].length > 0 ? state.turn : GameRules.getOpposingOwner(state.turn);
+    }
+
+    /**
+     * Оценка позиции для стороны aiOwner
+     */
+    function evaluate(state, aiOwner) {
+        const counts = GameRules.countOwnership(state.board);
+        const enemy = GameRules.getOpposingOwner(aiOwner);
+        const diff = counts[aiOwner] - counts[enemy];
+
+        if (isTerminal(state)) {
+            return Math.sign(diff) * WIN_VALUE + diff * CARD_VALUE;
+        }
+        return diff * CARD_VALUE;
+    }
+
+    /**
+     * Ходы стороны, отсортированные по оценке aiMoveCalculator
+     */
+    function orderMoves(state, mover, context) {
+        const enemyHand = state.hands[GameRules.getOpposingOwner(mover)];
+        const moves = [];
+
+        state.board.cells.forEach(cell => {
+            if (!cell.isAvailable || cell.card) {
+                return;
+            }
+
+            state.hands[mover].forEach(card => {
+                moves.push({
+                    card,
+                    cellIndex: cell.index,
+                    score: aiMoveCalculator.evaluateMove(card, cell, state.board, {
+                        aiOwner: mover,
+                        rules: context.rules,
+                        opponentHand: enemyHand,
+                        personality: context.personalities[mover]
+                    })
+                });
+            });
+        });
+
+        moves.sort((a, b) => b.score - a.score);
+        return context.branching ? moves.slice(0, context.branching) : moves;
+    }
+
+    /**
+     * Исходы хода: без битвы — один, с битвой — победа и поражение с их вероятностями.
+     * При нескольких битвах целью считается битва с наибольшим шансом.
+     */
+    function expandOutcomes(state, move, mover, rules) {
+        const placedBoard = GameRules.placeCard(state.board, move.cellIndex, move.card, mover);
+        const battles = GameRules.analyzeNeighbors(placedBoard, move.cellIndex, mover)
+            .filter(conflict => conflict.type === 'battle');
+
+        const hands = {
+            ...state.hands,
+            [mover]: state.hands[mover].filter(card => card.id !== move.card.id)
+        };
+        const nextState = board => ({ board, hands, turn: GameRules.getOpposingOwner(mover) });
+
+        if (battles.length === 0) {
+            const result = GameRules.resolvePlacement(placedBoard, move.cellIndex, mover, { rules });
+            return [{ probability: 1, state: nextState(result.board) }];
+        }
+
+        const attackerCell = GameRules.getCell(placedBoard, move.cellIndex);
+        const target = battles
+            .map(battle => ({
+                battle,
+                winChance: GameRules.calculateWinProbability(
+                    move.card,
+                    battle.defenderCard,
+                    attackerCell,
+                    GameRules.getCell(placedBoard, battle.defenderCellIndex),
+                    rules
+                )
+            }))
+            .reduce((best, current) => (current.winChance > best.winChance ? current : best));
+
+        const outcomes = [];
+        [['attacker', target.winChance], ['defender', 1 - target.winChance]].forEach(([battleOutcome, probability]) => {
+            if (probability <= 0) {
+                return;
+            }
+
+            const result = GameRules.resolvePlacement(placedBoard, move.cellIndex, mover, {
+                rules,
+                targetCellIndex: target.battle.defenderCellIndex,
+                battleOutcome
+            });
+            outcomes.push({ probability, state: nextState(result.board) });
+        });
+
+        return outcomes;
+    }
+
+    // === Поиск ===
+
+    /**
+     * Значение позиции: максимум по ходам ИИ, минимум по ходам противника,
+     * матожидание по исходам битвы
+     */
+    function search(state, depth, alpha, beta, context) {
+        if (Date.now() > context.deadline) {
+            throw TIMEOUT;
+        }
+        context.nodes += 1;
+
+        if (depth === 0 || isTerminal(state)) {
+            return evaluate(state, context.aiOwner);
+        }
+
+        const mover = getMover(state);
+        const maximizing = mover === context.aiOwner;
+        let best = maximizing ? -Infinity : Infinity;
+
+        for (const move of orderMoves(state, mover, context)) {
+            const value = expectedValue(state, move, mover, depth, alpha, beta, context);
+
+            if (maximizing) {
+                best = Math.max(best, value);
+                alpha = Math.max(alpha, best);
+            } else {
+                best = Math.min(best, value);
+                beta = Math.min(beta, best);
+            }
+
+            if (beta <= alpha) {
+                break;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Матожидание хода по исходам битвы.
+     * Границы отсечения передаются дальше только для хода без случайности.
+     */
+    function expectedValue(state, move, mover, depth, alpha, beta, context) {
+        const outcomes = expandOutcomes(state, move, mover, context.rules);
+
+        if (outcomes.length === 1) {
+            return search(outcomes[0].state, depth - 1, alpha, beta, context);
+        }
+
+        return outcomes.reduce((sum, outcome) => (
+            sum + outcome.probability * search(outcome.state, depth - 1, -Infinity, Infinity, context)
+        ), 0);
+    }
+
+    /**
+     * Лучший ход на заданной глубине
+     */
+    function searchRoot(state, depth, context) {
+        let bestMove = null;
+        let bestValue = -Infinity;
+        let alpha = -Infinity;
+
+        for (const move of orderMoves(state, context.aiOwner, context)) {
+            const value = expectedValue(state, move, context.aiOwner, depth, alpha, Infinity, context);
+            if (value > bestValue) {
+                bestValue = value;
+                bestMove = move;
+                alpha = Math.max(alpha, value);
+            }
+        }
+
+        return bestMove ? { cardId: bestMove.card.id, cellIndex: bestMove.cellIndex, value: bestValue } : null;
+    }
+
+    // === Публичная функция ===
+
+    /**
+     * Расчёт хода ИИ с просмотром вперёд.
+     * Глубина наращивается постепенно; при исчерпании бюджета времени
+     * возвращается ход последней завершённой глубины.
+     *
+     * @param {Object} fieldState - Состояние поля
+     * @param {Array} aiHand - Рука ИИ
+     * @param {Array} opponentHand - Рука противника
+     * @param {Object} options - { gameMode, rules, aiOwner, difficulty, timeBudgetMs, personality }
+     * @returns {{cardId: *, cellIndex: number|null, depth: number}}
+     */
+    function calculateSearchMove(fieldState, aiHand, opponentHand, options = {}) {
+        const level = DIFFICULTY_LEVELS[options.difficulty] || DIFFICULTY_LEVELS.novice;
+        const aiOwner = options.aiOwner || 'opponent';
+        const rules = options.rules || GameRules.getModeRules(options.gameMode);
+
+        const greedyMove = aiMoveCalculator.calculateAiMove(fieldState, aiHand, opponentHand, { ...options, rules, aiOwner });
+        if (level.depth <= 1 || greedyMove.cardId === null) {
+            return { ...greedyMove, depth: 1 };
+        }
+
+        const isAvailable = card => card && !card.used && card.inHand !== false;
+        const enemy = GameRules.getOpposingOwner(aiOwner);
+        const state = {
+            board: GameRules.createBoard(fieldState.cells, fieldState),
+            hands: {
+                [aiOwner]: aiHand.filter(isAvailable),
+                [enemy]: (opponentHand || []).filter(isAvailable)
+            },
+            turn: aiOwner
+        };
+
+        const context = {
+            aiOwner,
+            rules,
+            branching: level.branching,
+            // Характер влияет только на порядок ходов ИИ; противник оценивается по умолчанию
+            personalities: { [aiOwner]: options.personality || null, [enemy]: null },
+            deadline: Date.now() + (options.timeBudgetMs ?? level.timeBudgetMs),
+            nodes: 0
+        };
+
+        let result = { ...greedyMove, depth: 1 };
+
+        for (let depth = 2; depth <= level.depth; depth += 1) {
+            try {
+                const move = searchRoot(state, depth, context);
+                if (move) {
+                    result = { cardId: move.cardId, cellIndex: move.cellIndex, depth };
+                }
+            } catch (error) {
+                if (error !== TIMEOUT) {
+                    throw error;
+                }
+                console.log(`AiSearch: Бюджет времени исчерпан на глубине ${depth}, узлов: ${context.nodes}`);
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    return {
+        DIFFICULTY_LEVELS,
+        resolveDifficulty,
+        calculateSearchMove
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.aiSearch = aiSearch;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = aiSearch;
+}
+
+console.log('AiSearch: Модуль загружен. Используйте aiSearch.calculateSearchMove(state, hand, opponentHand, options).');
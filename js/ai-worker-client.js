@@ -0,0 +1,151 @@
+/**
+ * AI Worker Client for Technomaster
+ * Обёртка над js/ai-worker.js: запросы к потоку AI возвращают промисы,
+ * незавершённые расчёты можно отменить (поток пересоздаётся при следующем запросе).
+ * Если воркер недоступен (нет Worker, страница открыта как file://, ошибка загрузки),
+ * вызывающий код считает в основном потоке.
+ */
+
+const aiWorkerClient = (() => {
+    const WORKER_URL = 'js/ai-worker.js';
+
+    let worker = null;
+    let nextRequestId = 1;
+    let isBroken = false;
+
+    // id запроса -> { resolve, reject }
+    const pending = new Map();
+
+    /**
+     * Можно ли считать в воркере
+     * @returns {boolean}
+     */
+    function isAvailable() {
+        return !isBroken
+            && typeof Worker !== 'undefined'
+            && window.location?.protocol !== 'file:';
+    }
+
+    /**
+     * Отклонение всех незавершённых запросов
+     */
+    function rejectPending(error) {
+        pending.forEach(({ reject }) => reject(error));
+        pending.clear();
+    }
+
+    /**
+     * Ленивое создание воркера
+     */
+    function getWorker() {
+        if (worker) {
+            return worker;
+        }
+
+        worker = new Worker(WORKER_URL);
+        // Баланс в воркере должен совпадать с загруженным на странице
+        worker.postMessage({ id: 0, type: 'configure', payload: window.GameConfig.exportBalance() });
+
+        worker.onmessage = (event) => {
+            const { id, result, error } = event.data || {};
+            const request = pending.get(id);
+            if (!request) {
+                return;
+            }
+
+            pending.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(result);
+            }
+        };
+
+        // Скрипт воркера не загрузился или упал: дальше считаем в основном потоке
+        worker.onerror = (event) => {
+            console.error('AiWorkerClient: Ошибка воркера', event.message || event);
+            isBroken = true;
+            terminate();
+            rejectPending(new Error('Воркер AI недоступен'));
+        };
+
+        return worker;
+    }
+
+    /**
+     * Остановка воркера без отклонения запросов
+     */
+    function terminate() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+    }
+
+    /**
+     * Запрос к потоку AI
+     * @param {string} type - 'calculateMove' | 'selectTarget' | 'resolvePlacement'
+     * @param {Object} payload - Данные запроса (копируются в воркер)
+     * @returns {Promise<*>}
+     */
+    function request(type, payload) {
+        if (!isAvailable()) {
+            return Promise.reject(new Error('Воркер AI недоступен'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = nextRequestId++;
+            pending.set(id, { resolve, reject });
+
+            try {
+                getWorker().postMessage({ id, type, payload });
+            } catch (error) {
+                // Например, данные не копируются в воркер
+                pending.delete(id);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Отмена всех незавершённых расчётов.
+     * Воркер останавливается, промисы отклоняются ошибкой с флагом cancelled.
+     */
+    function cancel() {
+        if (pending.size === 0) {
+            return;
+        }
+
+        console.log(`AiWorkerClient: Отменено расчётов: ${pending.size}`);
+        terminate();
+
+        const error = new Error('Расчёт AI отменён');
+        error.cancelled = true;
+        rejectPending(error);
+    }
+
+    /**
+     * Ошибка отмены расчёта (см. cancel)
+     * @param {*} error
+     * @returns {boolean}
+     */
+    function isCancelled(error) {
+        return Boolean(error?.cancelled);
+    }
+
+    window.addEventListener('pagehide', () => {
+        cancel();
+        terminate();
+    });
+
+    return {
+        isAvailable,
+        request,
+        cancel,
+        isCancelled
+    };
+})();
+
+window.aiWorkerClient = aiWorkerClient;
+
+console.log('AiWorkerClient: Модуль загружен. Используйте aiWorkerClient.request(type, payload).');
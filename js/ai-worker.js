@@ -0,0 +1,95 @@
+/**
+ * AI Worker for Technomaster
+ * Выделенный поток для тяжёлых расчётов AI: ход (aiMoveCalculator / aiSearch),
+ * выбор цели атаки и расчёт последствий хода по правилам GameRules.
+ * Экран партии продолжает анимацию, пока идёт расчёт.
+ *
+ * Протокол сообщений:
+ *   запрос  — { id, type, payload }
+ *   ответ   — { id, result } или { id, error }
+ * Типы запросов: 'configure', 'calculateMove', 'selectTarget', 'resolvePlacement'.
+ */
+
+// Модули ищут зависимости в window
+self.window = self;
+
+importScripts(
+    'game-config.js',
+    'game-rules.js',
+    'seeded-random.js',
+    'ai-personality.js',
+    'ai-attack-selector.js',
+    'ai-move-calculator.js',
+    'ai-search.js',
+    'ai-monte-carlo.js'
+);
+
+// === Обработчики запросов ===
+
+const handlers = {
+    /**
+     * Баланс страницы (GameConfig.exportBalance), отправляется при создании воркера
+     */
+    configure(balance) {
+        return GameConfig.applyBalance(balance, 'страница');
+    },
+
+    /**
+     * Расчёт хода AI
+     * payload: { fieldState, aiHand, enemyHand, options, difficulty, engine }
+     */
+    calculateMove({ fieldState, aiHand, enemyHand, options, difficulty, engine }) {
+        if (engine === 'monteCarlo') {
+            return aiMonteCarlo.calculateMonteCarloMove(fieldState, aiHand, enemyHand, options);
+        }
+        if (difficulty) {
+            return aiSearch.calculateSearchMove(fieldState, aiHand, enemyHand, { ...options, difficulty });
+        }
+        return aiMoveCalculator.calculateAiMove(fieldState, aiHand, enemyHand, options);
+    },
+
+    /**
+     * Выбор цели при нескольких битвах
+     * payload: контекст aiAttackSelector.selectAiAttackTarget
+     */
+    selectTarget(context) {
+        return aiAttackSelector.selectAiAttackTarget(context);
+    },
+
+    /**
+     * Расчёт последствий хода.
+     * Генератор продолжает поток партии с переданного состояния,
+     * новое состояние возвращается вместе с результатом.
+     * payload: { board, cellIndex, owner, rules, targetCellIndex, rngState }
+     */
+    resolvePlacement({ board, cellIndex, owner, rules, targetCellIndex, rngState }) {
+        SeededRandom.setState(rngState);
+
+        const result = GameRules.resolvePlacement(board, cellIndex, owner, {
+            rules,
+            rng: SeededRandom.random,
+            targetCellIndex
+        });
+
+        return { ...result, rngState: SeededRandom.getState() };
+    }
+};
+
+self.onmessage = (event) => {
+    const { id, type, payload } = event.data || {};
+    const handler = handlers[type];
+
+    if (!handler) {
+        self.postMessage({ id, error: `Неизвестный тип запроса: ${type}` });
+        return;
+    }
+
+    try {
+        self.postMessage({ id, result: handler(payload) });
+    } catch (error) {
+        console.error('AiWorker: Ошибка расчёта', type, error);
+        self.postMessage({ id, error: error?.message || String(error) });
+    }
+};
+
+console.log('AiWorker: Поток AI запущен.');
@@ -3,15 +3,17 @@
  * Модуль автоматического сбора оптимальной руки из колоды
  *
  * Использование из консоли браузера:
- * autoHandCollector.collectHand(cards) - собрать руку из 5 карт
+ * autoHandCollector.collectHand(cards) - собрать руку (размер руки — из баланса GameConfig)
  * autoHandCollector.collectHandVerbose(cards) - собрать руку с подробным логом
+ * autoHandCollector.collectHand(cards, { against: playerHand }) - собрать руку против руки игрока
  */
 
 class AutoHandCollector {
     constructor() {
         // Конфигурация алгоритма
         this.config = {
-            handSize: 5,
+            // Размер руки (null — из баланса GameConfig)
+            handSize: null,
             // Веса для расчета Power Score
             attackWeight: 1.5,
             defenseWeight: 1.0,
@@ -21,16 +23,80 @@ class AutoHandCollector {
             // Порог для замены при проверке разнообразия (10-15%)
             diversityThreshold: 0.85,
             // Типы атаки, дающие бонус
-            bonusAttackTypes: ['A', 'X']
+            bonusAttackTypes: ['A', 'X'],
+            // Веса оценки против руки игрока (контрпик)
+            counterAttackWeight: 1.0,   // средний шанс победить карты игрока в бою
+            counterDefenseWeight: 1.0,  // средний шанс устоять против атак карт игрока
+            counterArrowWeight: 1.0     // стрелки туда, где у карт игрока нет ответной стрелки
         };
     }
 
+    /**
+     * Размер собираемой руки
+     * @returns {number}
+     */
+    getHandSize() {
+        return this.config.handSize ?? window.GameConfig.get('handSize');
+    }
+
+    /**
+     * Анализ руки игрока для контрпика
+     * @param {Array} playerHand - Карты игрока в руке (inHand)
+     * @param {Object|null} rules - Правила режима (стратегия боя)
+     * @returns {Object|null} - { playerCards, rules, exposure }, null — без контрпика
+     */
+    analyzeMatchup(playerHand, rules = null) {
+        if (!window.GameRules || !Array.isArray(playerHand) || playerHand.length === 0) {
+            return null;
+        }
+
+        // Доля карт игрока без ответной стрелки: наша стрелка в этом направлении захватывает без боя
+        const exposure = {};
+        window.GameRules.directions.forEach(direction => {
+            const unanswered = playerHand.filter(card => card[direction.reactiveArrow] !== true).length;
+            exposure[direction.name] = unanswered / playerHand.length;
+        });
+
+        return { playerCards: playerHand, rules, exposure };
+    }
+
+    /**
+     * Рейтинги карты против руки игрока
+     * @param {Object} card - Объект карты
+     * @param {Object} matchup - Результат analyzeMatchup
+     * @returns {Object} - { attackEdge, defenseEdge, arrowEdge, counterScore }
+     */
+    calculateMatchupScores(card, matchup) {
+        const { GameRules } = window;
+        const { playerCards, rules, exposure } = matchup;
+
+        // Тип атаки против самой слабой защиты игрока даёт больший шанс
+        const attackEdge = playerCards.reduce((sum, playerCard) => (
+            sum + GameRules.calculateWinProbability(card, playerCard, null, null, rules)
+        ), 0) / playerCards.length;
+
+        const defenseEdge = playerCards.reduce((sum, playerCard) => (
+            sum + 1 - GameRules.calculateWinProbability(playerCard, card, null, null, rules)
+        ), 0) / playerCards.length;
+
+        const arrowEdge = GameRules.directions.reduce((sum, direction) => (
+            card[direction.activeArrow] === true ? sum + exposure[direction.name] : sum
+        ), 0);
+
+        const counterScore = attackEdge * this.config.counterAttackWeight +
+                             defenseEdge * this.config.counterDefenseWeight +
+                             (arrowEdge / GameRules.directions.length) * this.config.counterArrowWeight;
+
+        return { attackEdge, defenseEdge, arrowEdge, counterScore };
+    }
+
     /**
      * Этап 1: Расчет рейтингов для карты
      * @param {Object} card - Объект карты
+     * @param {Object|null} matchup - Анализ руки игрока (analyzeMatchup) для контрпика
      * @returns {Object} - Карта с добавленными рейтингами
      */
-    calculateScores(card) {
+    calculateScores(card, matchup = null) {
         // Преобразуем строковые значения в числа
         const attackLevel = this.parseNumber(card.attackLevel);
         const mechanicalDefense = this.parseNumber(card.mechanicalDefense);
@@ -57,6 +123,26 @@ class AutoHandCollector {
         // Рейтинг Устойчивости (Defense Score)
         const defenseScore = mechanicalDefense + electricalDefense;
 
+        // Рейтинги для слотов ролей: без контрпика — собственные статы карты,
+        // с контрпиком — шансы и стрелки против руки игрока
+        let roleScores = {
+            striker: attackLevel,
+            defender: defenseScore,
+            connector: connectivityScore,
+            universal: powerScore
+        };
+        let matchupScores = null;
+
+        if (matchup) {
+            matchupScores = this.calculateMatchupScores(card, matchup);
+            roleScores = {
+                striker: matchupScores.attackEdge,
+                defender: matchupScores.defenseEdge,
+                connector: matchupScores.arrowEdge,
+                universal: matchupScores.counterScore
+            };
+        }
+
         return {
             ...card,
             scores: {
@@ -66,7 +152,9 @@ class AutoHandCollector {
                 attackLevel,
                 mechanicalDefense,
                 electricalDefense,
-                arrowCount
+                arrowCount,
+                roleScores,
+                matchupScores
             }
         };
     }
@@ -130,12 +218,13 @@ class AutoHandCollector {
      */
     selectByRoles(scoredCards) {
         const pool = [...scoredCards];
+        const handSize = this.getHandSize();
         const selectedCards = [];
         const roles = [];
 
-        // Слот 1: Ударная сила (Striker) - максимальный attackLevel
+        // Слот 1: Ударная сила (Striker) - максимальный attackLevel (при контрпике — шанс победить карты игрока)
         const strikerIndex = this.findBestCard(pool, (a, b) => {
-            const diff = b.scores.attackLevel - a.scores.attackLevel;
+            const diff = b.scores.roleScores.striker - a.scores.roleScores.striker;
             // При конфликте берем с большим количеством стрелок
             if (diff === 0) return b.scores.arrowCount - a.scores.arrowCount;
             return diff;
@@ -147,9 +236,9 @@ class AutoHandCollector {
             pool.splice(strikerIndex, 1);
         }
 
-        // Слот 2: Танк (Defender) - максимальный defenseScore
+        // Слот 2: Танк (Defender) - максимальный defenseScore (при контрпике — шанс устоять)
         const defenderIndex = this.findBestCard(pool, (a, b) => {
-            return b.scores.defenseScore - a.scores.defenseScore;
+            return b.scores.roleScores.defender - a.scores.roleScores.defender;
         });
 
         if (defenderIndex !== -1) {
@@ -159,10 +248,11 @@ class AutoHandCollector {
         }
 
         // Слот 3: Комбо-мастер (Connector) - максимальное количество стрелок
+        // (при контрпике — стрелки против сторон игрока без ответной стрелки)
         const connectorIndex = this.findBestCard(pool, (a, b) => {
-            const diff = b.scores.connectivityScore - a.scores.connectivityScore;
-            // При конфликте берем с большим powerScore
-            if (diff === 0) return b.scores.powerScore - a.scores.powerScore;
+            const diff = b.scores.roleScores.connector - a.scores.roleScores.connector;
+            // При конфликте берем с большим общим рейтингом
+            if (diff === 0) return b.scores.roleScores.universal - a.scores.roleScores.universal;
             return diff;
         });
 
@@ -172,10 +262,11 @@ class AutoHandCollector {
             pool.splice(connectorIndex, 1);
         }
 
-        // Слоты 4 и 5: Универсалы (Best Overall) - максимальный powerScore
-        for (let i = 0; i < 2 && pool.length > 0; i++) {
+        // Остальные слоты (при руке из 5 карт — 4 и 5): Универсалы (Best Overall) - максимальный powerScore
+        // (при контрпике — counterScore)
+        while (selectedCards.length < handSize && pool.length > 0) {
             const bestOverallIndex = this.findBestCard(pool, (a, b) => {
-                return b.scores.powerScore - a.scores.powerScore;
+                return b.scores.roleScores.universal - a.scores.roleScores.universal;
             });
 
             if (bestOverallIndex !== -1) {
@@ -266,8 +357,8 @@ class AutoHandCollector {
 
                 for (let i = 0; i < cards.length; i++) {
                     if (roles[i] === 'Universal') {
-                        if (cards[i].scores.powerScore < weakestPowerScore) {
-                            weakestPowerScore = cards[i].scores.powerScore;
+                        if (cards[i].scores.roleScores.universal < weakestPowerScore) {
+                            weakestPowerScore = cards[i].scores.roleScores.universal;
                             weakestUniversalIndex = i;
                         }
                     }
@@ -276,7 +367,7 @@ class AutoHandCollector {
                 // Заменяем, если альтернативная карта не сильно слабее (порог 85%)
                 if (weakestUniversalIndex !== -1) {
                     const threshold = weakestPowerScore * this.config.diversityThreshold;
-                    if (alternativeCard.scores.powerScore >= threshold) {
+                    if (alternativeCard.scores.roleScores.universal >= threshold) {
                         console.log(`AutoHandCollector: Замена карты для разнообразия типов атаки`);
                         cards[weakestUniversalIndex] = alternativeCard;
                     }
@@ -334,8 +425,8 @@ class AutoHandCollector {
 
                     for (let i = 0; i < cards.length; i++) {
                         if (roles[i] === 'Universal') {
-                            if (cards[i].scores.powerScore < weakestPowerScore) {
-                                weakestPowerScore = cards[i].scores.powerScore;
+                            if (cards[i].scores.roleScores.universal < weakestPowerScore) {
+                                weakestPowerScore = cards[i].scores.roleScores.universal;
                                 weakestUniversalIndex = i;
                             }
                         }
@@ -367,9 +458,9 @@ class AutoHandCollector {
     findCardWithArrow(reserve, direction) {
         const arrowField = `arrow${direction.charAt(0).toUpperCase()}${direction.slice(1)}`;
 
-        // Сортируем по powerScore и ищем первую с нужной стрелкой
+        // Сортируем по общему рейтингу и ищем первую с нужной стрелкой
         const sortedReserve = [...reserve].sort((a, b) =>
-            b.scores.powerScore - a.scores.powerScore
+            b.scores.roleScores.universal - a.scores.roleScores.universal
         );
 
         for (let i = 0; i < sortedReserve.length; i++) {
@@ -384,21 +475,23 @@ class AutoHandCollector {
     /**
      * Этап 4: Главная функция сбора руки
      * @param {Array} cards - Входной массив карт из колоды
-     * @returns {Array} - Массив из 5 отобранных карт (только id)
+     * @param {Object} options - { against: рука игрока для контрпика, rules: правила режима }
+     * @returns {Array} - Массив отобранных карт по размеру руки (только id)
      */
-    collectHand(cards) {
+    collectHand(cards, options = {}) {
         if (!Array.isArray(cards) || cards.length === 0) {
             console.error('AutoHandCollector: Пустой или некорректный массив карт');
             return [];
         }
 
-        if (cards.length < this.config.handSize) {
-            console.warn(`AutoHandCollector: В колоде меньше ${this.config.handSize} карт, возвращаем все`);
+        if (cards.length < this.getHandSize()) {
+            console.warn(`AutoHandCollector: В колоде меньше ${this.getHandSize()} карт, возвращаем все`);
             return cards.map(card => ({ id: card.id }));
         }
 
-        // Этап 1: Расчет рейтингов
-        const scoredCards = cards.map(card => this.calculateScores(card));
+        // Этап 1: Расчет рейтингов (с контрпиком — против руки игрока)
+        const matchup = this.analyzeMatchup(options.against, options.rules);
+        const scoredCards = cards.map(card => this.calculateScores(card, matchup));
 
         // Этап 2: Выбор по ролям
         const { selectedCards, roles, reserve } = this.selectByRoles(scoredCards);
@@ -406,6 +499,10 @@ class AutoHandCollector {
         // Этап 3: Проверка разнообразия
         const { finalCards } = this.checkDiversity(selectedCards, roles, reserve);
 
+        if (matchup) {
+            console.log('AutoHandCollector: Рука собрана против руки игрока');
+        }
+
         // Этап 4: Возврат результата (только id)
         return finalCards.map(card => ({ id: card.id }));
     }
@@ -423,8 +520,8 @@ class AutoHandCollector {
         console.log('=== AutoHandCollector: Начало сбора руки ===');
         console.log(`Входных карт: ${cards.length}`);
 
-        if (cards.length < this.config.handSize) {
-            console.warn(`В колоде меньше ${this.config.handSize} карт`);
+        if (cards.length < this.getHandSize()) {
+            console.warn(`В колоде меньше ${this.getHandSize()} карт`);
             return {
                 hand: cards.map(card => ({ id: card.id })),
                 details: {
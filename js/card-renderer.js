@@ -36,6 +36,15 @@ class CardRenderer {
         }
     }
 
+    /**
+     * Подключение уже открытой базы данных (Node-скрипты без fetch)
+     * @param {Object} db - База sql.js
+     */
+    useDatabase(db) {
+        this.db = db;
+        this.dbReady = Boolean(db);
+    }
+
     /**
      * Получение данных типа карты из базы данных
      * @param {number} cardTypeId - Идентификатор типа карты
@@ -515,6 +524,15 @@ class CardRenderer {
         return deck;
     }
 
+    /**
+     * Случайное число [0, 1) из общего генератора с зерном
+     * @returns {number}
+     */
+    random() {
+        const seededRandom = typeof window !== 'undefined' ? window.SeededRandom : null;
+        return seededRandom ? seededRandom.random() : Math.random();
+    }
+
     /**
      * Выбор значения по весам
      * @param {Array} weightedItems - Массив объектов { sequence, weight }
@@ -522,7 +540,7 @@ class CardRenderer {
      */
     pickWeightedValue(weightedItems) {
         const totalWeight = weightedItems.reduce((sum, item) => sum + item.weight, 0);
-        const roll = Math.random() * totalWeight;
+        const roll = this.random() * totalWeight;
         let current = 0;
 
         for (const item of weightedItems) {
@@ -546,7 +564,7 @@ class CardRenderer {
             return 0;
         }
 
-        const roll = Math.random() * totalWeight;
+        const roll = this.random() * totalWeight;
         let current = 0;
 
         for (let index = 0; index < weights.length; index += 1) {
@@ -565,7 +583,7 @@ class CardRenderer {
      * @returns {Array} - Случайная строка
      */
     pickRandomRow(rows) {
-        const index = Math.floor(Math.random() * rows.length);
+        const index = Math.floor(this.random() * rows.length);
         return rows[index];
     }
 
@@ -578,7 +596,7 @@ class CardRenderer {
     assignRandomArrows(directions, count) {
         const shuffled = [...directions];
         for (let index = shuffled.length - 1; index > 0; index -= 1) {
-            const swapIndex = Math.floor(Math.random() * (index + 1));
+            const swapIndex = Math.floor(this.random() * (index + 1));
             [shuffled[index], shuffled[swapIndex]] = [shuffled[swapIndex], shuffled[index]];
         }
 
@@ -595,7 +613,7 @@ class CardRenderer {
     getRandomIntInclusive(min, max) {
         const minimum = Math.min(min, max);
         const maximum = Math.max(min, max);
-        return Math.floor(Math.random() * (maximum - minimum + 1)) + minimum;
+        return Math.floor(this.random() * (maximum - minimum + 1)) + minimum;
     }
 
     /**
@@ -724,4 +742,11 @@ class CardRenderer {
 
 // Создаем глобальный экземпляр рендерера и привязываем к window
 const cardRenderer = new CardRenderer();
-window.cardRenderer = cardRenderer;
+
+if (typeof window !== 'undefined') {
+    window.cardRenderer = cardRenderer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = cardRenderer;
+}
@@ -4,33 +4,21 @@
  */
 
 const COLLECTOR_DB_PATH = 'public/data/cards.db';
-const INVENTORY_CAPACITY = 100;
 
 /**
- * Система званий по очкам коллекционера
- */
-const RANK_TIERS = [
-    { min: 0, title: 'Новичок' },
-    { min: 300, title: 'Любитель' },
-    { min: 600, title: 'Инженер' },
-    { min: 900, title: 'Эксперт' },
-    { min: 1200, title: 'Профессор' },
-    { min: 1500, title: 'Техно Мастер' }
-];
-
-/**
- * Определение звания по очкам
+ * Определение звания по очкам (звания — из баланса GameConfig.rankTiers)
  * @param {number} score
- * @returns {{title: string, min: number, nextMin: number|null}}
+ * @returns {{title: string, min: number, nextMin: number|null, nextTitle: string|null}}
  */
 function getRankInfo(score) {
-    let current = RANK_TIERS[0];
-    let nextMin = RANK_TIERS.length > 1 ? RANK_TIERS[1].min : null;
-
-    for (let i = RANK_TIERS.length - 1; i >= 0; i--) {
-        if (score >= RANK_TIERS[i].min) {
-            current = RANK_TIERS[i];
-            nextMin = (i + 1 < RANK_TIERS.length) ? RANK_TIERS[i + 1].min : null;
+    const rankTiers = GameConfig.get('rankTiers');
+    let current = rankTiers[0];
+    let next = rankTiers.length > 1 ? rankTiers[1] : null;
+
+    for (let i = rankTiers.length - 1; i >= 0; i--) {
+        if (score >= rankTiers[i].min) {
+            current = rankTiers[i];
+            next = (i + 1 < rankTiers.length) ? rankTiers[i + 1] : null;
             break;
         }
     }
@@ -38,7 +26,8 @@ function getRankInfo(score) {
     return {
         title: current.title,
         min: current.min,
-        nextMin: nextMin
+        nextMin: next ? next.min : null,
+        nextTitle: next ? next.title : null
     };
 }
 
@@ -62,7 +51,9 @@ async function initCollectorDatabase() {
 
     const response = await fetch(COLLECTOR_DB_PATH);
     const buffer = await response.arrayBuffer();
-    return new SQL.Database(new Uint8Array(buffer));
+    const db = new SQL.Database(new Uint8Array(buffer));
+    GameConfig.loadFromDatabase(db);
+    return db;
 }
 
 /**
@@ -296,7 +287,7 @@ function renderCollectorScreen(userData) {
     // Расчёт очков
     const score = (uniqueTypes * 10) + totalCards;
     const totalTypes = collectorState.cardTypesMap.size;
-    const maxScore = (totalTypes * 10) + INVENTORY_CAPACITY;
+    const maxScore = (totalTypes * 10) + GameConfig.get('inventoryCapacity');
 
     // Ранг
     const rankInfo = getRankInfo(score);
@@ -309,7 +300,7 @@ function renderCollectorScreen(userData) {
         const progress = score - rankInfo.min;
         const pct = Math.min(100, Math.round((progress / rangeSize) * 100));
         progressFill.style.width = pct + '%';
-        progressLabel.textContent = `${score} / ${rankInfo.nextMin} до звания «${RANK_TIERS[RANK_TIERS.indexOf(RANK_TIERS.find(r => r.min === rankInfo.nextMin))].title}»`;
+        progressLabel.textContent = `${score} / ${rankInfo.nextMin} до звания «${rankInfo.nextTitle}»`;
     } else {
         // Максимальный ранг
         progressFill.style.width = '100%';
@@ -1,7 +1,227 @@
 /**
  * Глобальная конфигурация игры Technomaster
+ * Единая конфигурация баланса: все числа баланса читаются через GameConfig.get().
+ * Значения по умолчанию заданы здесь; их заменяет таблица balance_config в cards.db
+ * или JSON-файл того же формата. Часть значений можно переопределить для режима игры.
+ *
+ * Формат конфигурации (JSON и результат чтения таблицы):
+ *   { version: 1, values: { handSize: 5, ... }, modes: { hard: { levelUpChance: 0.05 } } }
  */
-window.GameConfig = {
-    /** Множитель статов при расчёте боя (по умолчанию 16) */
-    statMultiplier: 1
-};
+
+const GameConfig = (() => {
+    // Версия формата конфигурации баланса
+    const BALANCE_VERSION = 1;
+
+    const DEFAULT_BALANCE = {
+        // Множитель статов при расчёте боя
+        statMultiplier: 1,
+        // Карт в руке на партию
+        handSize: 5,
+        // Шанс повышения уровня использованной карты после партии
+        levelUpChance: 0.1,
+        // Максимальный уровень карты
+        maxCardLevel: 2,
+        // Шанс сюжетного события после партии
+        narrativeEventChance: 0.3,
+        // Вместимость инвентаря (для очков коллекционера)
+        inventoryCapacity: 100,
+        // Звания по очкам коллекционера
+        rankTiers: [
+            { min: 0, title: 'Новичок' },
+            { min: 300, title: 'Любитель' },
+            { min: 600, title: 'Инженер' },
+            { min: 900, title: 'Эксперт' },
+            { min: 1200, title: 'Профессор' },
+            { min: 1500, title: 'Техно Мастер' }
+        ],
+        // Забег: карт во временной колоде после драфта
+        runDeckSize: 8,
+        // Забег: карт на выбор в одном раунде драфта и в магазине
+        runDraftChoices: 3,
+        // Забег: этажей карты до босса
+        runFloors: 6,
+        // Забег: золото за победу над обычным соперником и элитой
+        runBattleGold: 15,
+        runEliteGold: 30,
+        // Забег: цена карты и реликвии в магазине
+        runCardPrice: 40,
+        runRelicPrice: 60,
+        // Забег: одна карта забега в коллекцию за каждые N побед
+        runWinsPerRewardCard: 2,
+        // Забег: дополнительные карты в коллекцию за победу над боссом
+        runBossRewardCards: 2
+    };
+
+    // Значения, которые можно переопределить для режима игры
+    const MODE_OVERRIDE_KEYS = ['levelUpChance', 'maxCardLevel'];
+
+    let version = BALANCE_VERSION;
+    let balance = clone(DEFAULT_BALANCE);
+    let modeOverrides = {};
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Значение подходит, если ключ известен и значение совпадает по типу со значением по умолчанию
+     */
+    function isValidValue(key, value) {
+        if (!(key in DEFAULT_BALANCE)) {
+            return false;
+        }
+
+        const defaultValue = DEFAULT_BALANCE[key];
+        if (Array.isArray(defaultValue)) {
+            return Array.isArray(value) && value.length > 0;
+        }
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    /**
+     * Значение баланса
+     * @param {string} key - Ключ из DEFAULT_BALANCE
+     * @param {string|null} gameMode - Режим игры (учитываются переопределения режима)
+     */
+    function get(key, gameMode = null) {
+        if (!(key in DEFAULT_BALANCE)) {
+            throw new Error(`GameConfig: неизвестный параметр баланса «${key}»`);
+        }
+
+        const overrides = gameMode ? modeOverrides[gameMode] : null;
+        const value = overrides && key in overrides ? overrides[key] : balance[key];
+        return typeof value === 'object' ? clone(value) : value;
+    }
+
+    /**
+     * Все значения баланса с учётом переопределений режима
+     * @param {string|null} gameMode
+     */
+    function getBalance(gameMode = null) {
+        return { ...clone(balance), ...clone((gameMode && modeOverrides[gameMode]) || {}) };
+    }
+
+    /**
+     * Текущая конфигурация в формате { version, values, modes } (например, для передачи в воркер)
+     */
+    function exportBalance() {
+        return { version, values: clone(balance), modes: clone(modeOverrides) };
+    }
+
+    /**
+     * Применение конфигурации поверх значений по умолчанию.
+     * Неизвестные ключи и значения неверного типа пропускаются с предупреждением.
+     *
+     * @param {Object} config - { version, values, modes }
+     * @param {string} source - Источник для журнала
+     * @returns {boolean} - false, если версия конфигурации не поддерживается
+     */
+    function applyBalance(config, source = 'config') {
+        if (!config || typeof config !== 'object') {
+            return false;
+        }
+
+        const configVersion = Number(config.version ?? BALANCE_VERSION);
+        if (!Number.isInteger(configVersion) || configVersion > BALANCE_VERSION) {
+            console.warn(`GameConfig: Версия баланса ${config.version} (${source}) не поддерживается, используются текущие значения`);
+            return false;
+        }
+
+        const nextBalance = clone(DEFAULT_BALANCE);
+        Object.entries(config.values || {}).forEach(([key, value]) => {
+            if (isValidValue(key, value)) {
+                nextBalance[key] = clone(value);
+            } else {
+                console.warn(`GameConfig: Пропущено значение «${key}» (${source})`);
+            }
+        });
+
+        const nextOverrides = {};
+        Object.entries(config.modes || {}).forEach(([gameMode, values]) => {
+            Object.entries(values || {}).forEach(([key, value]) => {
+                if (MODE_OVERRIDE_KEYS.includes(key) && isValidValue(key, value)) {
+                    nextOverrides[gameMode] = { ...nextOverrides[gameMode], [key]: value };
+                } else {
+                    console.warn(`GameConfig: Пропущено значение «${key}» для режима ${gameMode} (${source})`);
+                }
+            });
+        });
+
+        version = configVersion;
+        balance = nextBalance;
+        modeOverrides = nextOverrides;
+        console.log(`GameConfig: Баланс загружен (${source}), версия ${version}`);
+        return true;
+    }
+
+    /**
+     * Загрузка конфигурации из JSON-файла
+     * @param {string} url
+     */
+    async function loadFromJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`GameConfig: не удалось загрузить ${url} (${response.status})`);
+        }
+        return applyBalance(await response.json(), url);
+    }
+
+    /**
+     * Загрузка конфигурации из таблицы balance_config.
+     * Строка с key = 'version' задаёт версию, game_mode = NULL — общее значение,
+     * иначе — переопределение для режима. value хранится в JSON.
+     *
+     * @param {Object} db - База sql.js
+     * @returns {boolean}
+     */
+    function loadFromDatabase(db) {
+        let result;
+        try {
+            result = db.exec('SELECT key, game_mode, value FROM balance_config');
+        } catch (error) {
+            console.warn('GameConfig: Таблица balance_config недоступна, используются значения по умолчанию', error);
+            return false;
+        }
+
+        const config = { version: BALANCE_VERSION, values: {}, modes: {} };
+        (result[0]?.values || []).forEach(([key, gameMode, rawValue]) => {
+            let value;
+            try {
+                value = JSON.parse(rawValue);
+            } catch (error) {
+                console.warn(`GameConfig: Некорректное значение «${key}» в balance_config`, error);
+                return;
+            }
+
+            if (key === 'version') {
+                config.version = value;
+            } else if (gameMode) {
+                config.modes[gameMode] = { ...config.modes[gameMode], [key]: value };
+            } else {
+                config.values[key] = value;
+            }
+        });
+
+        return applyBalance(config, 'balance_config');
+    }
+
+    return {
+        BALANCE_VERSION,
+        DEFAULT_BALANCE,
+        MODE_OVERRIDE_KEYS,
+        get,
+        getBalance,
+        exportBalance,
+        applyBalance,
+        loadFromJson,
+        loadFromDatabase
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.GameConfig = GameConfig;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameConfig;
+}
@@ -1,6 +1,6 @@
 /**
  * Game Field Renderer Module for Technomaster
- * Модуль отрисовки игрового поля 4x4
+ * Модуль отрисовки игрового поля (по умолчанию 4x4, размер задаётся параметрами партии)
  */
 
 class GameFieldRenderer {
@@ -8,18 +8,28 @@ class GameFieldRenderer {
         // Размеры ячейки соответствуют соотношению карты 5:7 (200x280)
         this.cellWidth = 200;
         this.cellHeight = 280;
-        this.gridSize = 4;
+        this.rows = 4;
+        this.cols = 4;
         this.cellGap = 10;
+        // Доля случайно закрытых ячеек (на поле 4x4 — до 6 ячеек)
+        this.maxUnavailableShare = 0.375;
+        // Значки и подписи особых ячеек (местности)
+        this.terrainTiles = {
+            charged: { icon: '⚡', title: 'Заряженная ячейка: +2 к электрической защите' },
+            workshop: { icon: '🔧', title: 'Мастерская: +2 к физической атаке (P)' },
+            shielded: { icon: '🛡', title: 'Щит: карту нельзя захватить без боя' }
+        };
     }
 
     /**
-     * Генерация случайного числа от min до max включительно
+     * Генерация случайного числа от min до max включительно (через общий генератор с зерном)
      * @param {number} min - Минимальное значение
      * @param {number} max - Максимальное значение
      * @returns {number} - Случайное число
      */
     getRandomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        const random = window.SeededRandom ? window.SeededRandom.random() : Math.random();
+        return Math.floor(random * (max - min + 1)) + min;
     }
 
     /**
@@ -40,8 +50,12 @@ class GameFieldRenderer {
      * Главная функция отрисовки игрового поля
      *
      * @param {Object} options - Опции отрисовки (опционально)
-     * @param {number} options.unavailableCount - Фиксированное количество недоступных ячеек (если не указано - случайное 0-6)
-     * @param {Array<number>} options.unavailableCells - Фиксированные индексы недоступных ячеек (0-15)
+     * @param {number} options.rows - Количество строк (по умолчанию 4)
+     * @param {number} options.cols - Количество столбцов (по умолчанию 4)
+     * @param {number} options.unavailableCount - Фиксированное количество недоступных ячеек
+     *   (если не указано - случайное от 0 до 37.5% ячеек, на поле 4x4 это 0-6)
+     * @param {Array<number>} options.unavailableCells - Фиксированные индексы недоступных ячеек (узор поля)
+     * @param {Object} options.terrain - Особые ячейки { [index]: 'charged' | 'workshop' | 'shielded' }
      * @param {number} options.cellWidth - Ширина ячейки (по умолчанию 200)
      * @param {number} options.cellHeight - Высота ячейки (по умолчанию 280)
      * @param {number} options.cellGap - Отступ между ячейками (по умолчанию 10)
@@ -50,30 +64,32 @@ class GameFieldRenderer {
      */
     renderField(options = {}) {
         const {
+            rows = this.rows,
+            cols = this.cols,
             unavailableCount = null,
             unavailableCells = null,
+            terrain = {},
             cellWidth = this.cellWidth,
             cellHeight = this.cellHeight,
             cellGap = this.cellGap
         } = options;
 
-        const totalCells = this.gridSize * this.gridSize; // 16 ячеек
-
-        // Определяем количество недоступных ячеек
-        let numUnavailable;
-        if (unavailableCount !== null) {
-            numUnavailable = Math.min(Math.max(0, unavailableCount), 6);
-        } else {
-            numUnavailable = this.getRandomInt(0, 6);
-        }
+        const totalCells = rows * cols;
+        const maxUnavailable = Math.floor(totalCells * this.maxUnavailableShare);
 
-        // Определяем какие ячейки недоступны
+        // Определяем какие ячейки недоступны: фиксированный узор или случайные
         let unavailableIndices;
         if (unavailableCells !== null && Array.isArray(unavailableCells)) {
-            unavailableIndices = new Set(unavailableCells.slice(0, numUnavailable));
+            unavailableIndices = new Set(
+                unavailableCells.filter(index => index >= 0 && index < totalCells)
+            );
         } else {
-            unavailableIndices = this.getRandomUniqueIndices(numUnavailable, totalCells);
+            const randomCount = unavailableCount !== null
+                ? Math.min(Math.max(0, unavailableCount), maxUnavailable)
+                : this.getRandomInt(0, maxUnavailable);
+            unavailableIndices = this.getRandomUniqueIndices(randomCount, totalCells);
         }
+        const numUnavailable = unavailableIndices.size;
 
         // Создаем контейнер поля
         const fieldElement = document.createElement('div');
@@ -81,15 +97,18 @@ class GameFieldRenderer {
         fieldElement.style.setProperty('--cell-width', `${cellWidth}px`);
         fieldElement.style.setProperty('--cell-height', `${cellHeight}px`);
         fieldElement.style.setProperty('--cell-gap', `${cellGap}px`);
+        fieldElement.style.setProperty('--grid-rows', rows);
+        fieldElement.style.setProperty('--grid-cols', cols);
 
         // Создаем ячейки
         const cells = [];
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                const cellIndex = row * this.gridSize + col;
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cellIndex = row * cols + col;
                 const isAvailable = !unavailableIndices.has(cellIndex);
+                const cellTerrain = isAvailable ? (terrain?.[cellIndex] || null) : null;
 
-                const cell = this.createCell(row, col, cellIndex, isAvailable);
+                const cell = this.createCell(row, col, cellIndex, isAvailable, cellTerrain);
                 fieldElement.appendChild(cell);
 
                 cells.push({
@@ -97,7 +116,8 @@ class GameFieldRenderer {
                     row,
                     col,
                     index: cellIndex,
-                    isAvailable
+                    isAvailable,
+                    terrain: cellTerrain
                 });
             }
         }
@@ -108,19 +128,21 @@ class GameFieldRenderer {
             cells,
             unavailableCount: numUnavailable,
             unavailableIndices: Array.from(unavailableIndices),
-            gridSize: this.gridSize
+            rows,
+            cols
         };
     }
 
     /**
      * Создание отдельной ячейки поля
-     * @param {number} row - Номер строки (0-3)
-     * @param {number} col - Номер столбца (0-3)
-     * @param {number} index - Линейный индекс ячейки (0-15)
+     * @param {number} row - Номер строки
+     * @param {number} col - Номер столбца
+     * @param {number} index - Линейный индекс ячейки (row * cols + col)
      * @param {boolean} isAvailable - Доступна ли ячейка для хода
+     * @param {string|null} terrain - Тип местности ячейки
      * @returns {HTMLElement} - DOM-элемент ячейки
      */
-    createCell(row, col, index, isAvailable) {
+    createCell(row, col, index, isAvailable, terrain = null) {
         const cell = document.createElement('div');
         cell.className = `game-field-cell ${isAvailable ? 'available' : 'unavailable'}`;
         cell.dataset.row = row;
@@ -128,6 +150,13 @@ class GameFieldRenderer {
         cell.dataset.index = index;
         cell.dataset.available = isAvailable;
 
+        const terrainTile = terrain ? this.terrainTiles[terrain] : null;
+        if (terrainTile) {
+            cell.classList.add('terrain', `terrain-${terrain}`);
+            cell.dataset.terrain = terrain;
+            cell.title = terrainTile.title;
+        }
+
         // Внутренний контейнер для контента ячейки
         const cellInner = document.createElement('div');
         cellInner.className = 'cell-inner';
@@ -140,6 +169,14 @@ class GameFieldRenderer {
             cellInner.appendChild(blockedIcon);
         }
 
+        // Значок местности остаётся виден под картой по краю ячейки
+        if (terrainTile) {
+            const terrainIcon = document.createElement('div');
+            terrainIcon.className = 'terrain-icon';
+            terrainIcon.textContent = terrainTile.icon;
+            cell.appendChild(terrainIcon);
+        }
+
         // Индекс ячейки для отладки (опционально)
         const indexLabel = document.createElement('div');
         indexLabel.className = 'cell-index';
@@ -0,0 +1,1189 @@
+/**
+ * Game Rules Module for Technomaster
+ * Единый модуль правил партии без привязки к DOM.
+ * Рассчитывает захваты, битвы и комбо-цепочки по состоянию поля и ходу.
+ * Используется оркестратором партии, ИИ и модулем предсказаний,
+ * а также подключается в Node.js через require().
+ */
+
+const GameRules = (() => {
+    const GameConfig = (typeof window !== 'undefined' && window.GameConfig) || require('./game-config.js');
+
+    // === Константы ===
+    const DEFAULT_GRID_SIZE = 4;
+    const MIN_GRID_SIZE = 2;
+    const MAX_GRID_SIZE = 8;
+    // Доля случайно закрытых ячеек (на поле 4×4 — до 6 ячеек)
+    const MAX_UNAVAILABLE_SHARE = 0.375;
+
+    // === Направления и их свойства стрелок ===
+    const directions = [
+        { name: 'topLeft', rowDelta: -1, colDelta: -1, activeArrow: 'arrowTopLeft', reactiveArrow: 'arrowBottomRight', opposite: 'bottomRight' },
+        { name: 'top', rowDelta: -1, colDelta: 0, activeArrow: 'arrowTop', reactiveArrow: 'arrowBottom', opposite: 'bottom' },
+        { name: 'topRight', rowDelta: -1, colDelta: 1, activeArrow: 'arrowTopRight', reactiveArrow: 'arrowBottomLeft', opposite: 'bottomLeft' },
+        { name: 'right', rowDelta: 0, colDelta: 1, activeArrow: 'arrowRight', reactiveArrow: 'arrowLeft', opposite: 'left' },
+        { name: 'bottomRight', rowDelta: 1, colDelta: 1, activeArrow: 'arrowBottomRight', reactiveArrow: 'arrowTopLeft', opposite: 'topLeft' },
+        { name: 'bottom', rowDelta: 1, colDelta: 0, activeArrow: 'arrowBottom', reactiveArrow: 'arrowTop', opposite: 'top' },
+        { name: 'bottomLeft', rowDelta: 1, colDelta: -1, activeArrow: 'arrowBottomLeft', reactiveArrow: 'arrowTopRight', opposite: 'topRight' },
+        { name: 'left', rowDelta: 0, colDelta: -1, activeArrow: 'arrowLeft', reactiveArrow: 'arrowRight', opposite: 'right' }
+    ];
+
+    // === Режимы игры ===
+    // Режим — набор флагов правил; оркестратор, экраны и ИИ читают флаги, а не имя режима.
+    // Порядок списка — порядок вкладок на стартовом экране.
+    //   name, description — название и пояснение на вкладке
+    //   firstTurn — кто ходит первым: 'coinFlip' (жребий) | 'player' (всегда игрок)
+    //   backstabTriggersCombo — удар в спину запускает комбо
+    //   comboRecursion — комбо распространяется дальше первой волны
+    //   battleStrategy — стратегия боя (BATTLE_STRATEGIES)
+    //   stakes — победитель забирает карту соперника
+    //   hintsAllowed — игроку доступна подсказка хода
+    //   aiEngine — как ИИ выбирает ход: 'scoring' (оценка ходов aiMoveCalculator / поиск aiSearch)
+    //     или 'monteCarlo' (доигрывания aiMonteCarlo); соперник может задать свой в opponents.ai_engine
+    //   aiDifficulty — минимальный уровень поиска aiSearch (novice | adept | master)
+    //   counterPickHand — соперник собирает руку против руки игрока (autoHandCollector)
+    //   unlockedBy — режим, после победы над всеми соперниками которого открывается этот (null — открыт сразу)
+    const DEFAULT_GAME_MODE = 'standard';
+    const GAME_MODES = [
+        {
+            id: 'standard', name: 'Стандартный', description: '(см. руководство)',
+            firstTurn: 'coinFlip', backstabTriggersCombo: true, comboRecursion: true, battleStrategy: 'dice',
+            stakes: true, hintsAllowed: true, aiEngine: 'scoring', aiDifficulty: 'novice', counterPickHand: false,
+            unlockedBy: null
+        },
+        // Бой без случайности: исход решают характеристики
+        {
+            id: 'tactical', name: 'Тактический',
+            description: '(бой без кубиков: побеждает большее значение)',
+            firstTurn: 'coinFlip', backstabTriggersCombo: true, comboRecursion: true, battleStrategy: 'deterministic',
+            stakes: true, hintsAllowed: true, aiEngine: 'scoring', aiDifficulty: 'adept', counterPickHand: false,
+            unlockedBy: 'standard'
+        },
+        // Удары в спину не вызывают комбо, а комбо не распространяется дальше первой волны
+        {
+            id: 'hard', name: 'Сложный', description: '(удары в спину не вызывают комбо)',
+            firstTurn: 'coinFlip', backstabTriggersCombo: false, comboRecursion: false, battleStrategy: 'dice',
+            stakes: true, hintsAllowed: true, aiEngine: 'scoring', aiDifficulty: 'adept', counterPickHand: true,
+            unlockedBy: 'standard'
+        },
+        // Удары в спину вызывают комбо, но игрок всегда ходит первым
+        {
+            id: 'hardcore', name: 'Хардкор',
+            description: '(удары в спину вызывают комбо, но ты всегда ходишь первый)',
+            firstTurn: 'player', backstabTriggersCombo: true, comboRecursion: true, battleStrategy: 'dice',
+            stakes: true, hintsAllowed: false, aiEngine: 'scoring', aiDifficulty: 'master', counterPickHand: true,
+            unlockedBy: 'hard'
+        }
+    ];
+    const MODE_RULES = Object.fromEntries(GAME_MODES.map(mode => [mode.id, mode]));
+
+    // === Стратегии боя ===
+    // roll — исход боя (rounds — броски по раундам), winProbability — шанс победы атакующего
+    const BATTLE_STRATEGIES = {
+        // Каждая сторона бросает floor(rng * значение), ничья остаётся за атакующим
+        dice: { name: 'Кубики', roll: rollDice, winProbability: diceWinProbability },
+        // Побеждает большее значение, при равенстве — атакующий
+        deterministic: { name: 'По характеристикам', roll: rollDeterministic, winProbability: deterministicWinProbability },
+        // Победа с вероятностью attack / (attack + defense)
+        weighted: { name: 'Взвешенная вероятность', roll: rollWeighted, winProbability: weightedWinProbability },
+        // Бросок кубиков до двух побед в раундах
+        bestOfThree: { name: 'Лучший из трёх', roll: rollBestOfThree, winProbability: bestOfThreeWinProbability }
+    };
+    const DEFAULT_BATTLE_STRATEGY = 'dice';
+
+    // === Типы местности (особые ячейки поля) ===
+    // Бонусы задаются в уровнях характеристики и умножаются на statMultiplier
+    const TERRAIN_TYPES = {
+        // Заряженная ячейка: карта на ней получает бонус к электрической защите
+        charged: { name: 'Заряженная', electricalDefenseBonus: 2 },
+        // Мастерская: карта на ней усиливает физические атаки (тип P)
+        workshop: { name: 'Мастерская', attackBonus: 2, attackTypes: ['P'] },
+        // Щит: карту на ней нельзя захватить без боя (ни ударом в спину, ни комбо)
+        shielded: { name: 'Щит', forcesBattle: true }
+    };
+
+    // === Реликвии ===
+    // Пассивные модификаторы забега (таблица relics, см. Relics). Реликвии сторон приходят
+    // в правилах партии: rules.relics = { player: [...], opponent: [...] },
+    // реликвия — { id, name, icon, effect: { type, ... }, charges }.
+    // charges — сколько раз реликвия ещё сработает в этой партии (null — действует всегда).
+    // Бонусы задаются в уровнях характеристики и умножаются на statMultiplier, как у местности.
+    const RELIC_EFFECTS = {
+        // +bonus к атаке карт стороны (attackTypes — только для этих типов атаки)
+        attackBonus: { name: 'Бонус атаки' },
+        // +bonus к защите карт стороны (defenseType: 'mechanical' | 'electrical', без него — к обеим)
+        defenseBonus: { name: 'Бонус защиты' },
+        // Удар в спину запускает комбо, даже если режим этого не позволяет
+        backstabCombo: { name: 'Комбо от удара в спину' },
+        // Проигранный стороной бой перебрасывается
+        battleReroll: { name: 'Переброс боя' }
+    };
+
+    // === Вспомогательные функции ===
+
+    /**
+     * Правила для режима игры (неизвестный режим — стандартный)
+     * @param {string} gameMode - id режима из GAME_MODES
+     * @returns {Object} Копия определения режима (см. GAME_MODES)
+     */
+    function getModeRules(gameMode) {
+        return { ...(MODE_RULES[gameMode] || MODE_RULES[DEFAULT_GAME_MODE]) };
+    }
+
+    /**
+     * Все режимы игры в порядке вкладок
+     * @returns {Array<Object>} Копии определений режимов
+     */
+    function getGameModes() {
+        return GAME_MODES.map(mode => ({ ...mode }));
+    }
+
+    /**
+     * Режимы, которые открываются (прямо или через цепочку) после прохождения режима
+     * @param {string} gameMode
+     * @returns {Array<string>} id режимов
+     */
+    function getModesUnlockedAfter(gameMode) {
+        const unlocked = [];
+        let frontier = [gameMode];
+
+        while (frontier.length > 0) {
+            frontier = GAME_MODES
+                .filter(mode => frontier.includes(mode.unlockedBy) && !unlocked.includes(mode.id))
+                .map(mode => mode.id);
+            unlocked.push(...frontier);
+        }
+
+        return unlocked;
+    }
+
+    /**
+     * Множитель характеристик при расчёте боя (баланс GameConfig)
+     */
+    function getStatMultiplier() {
+        return GameConfig.get('statMultiplier');
+    }
+
+    /**
+     * Получение числового значения характеристики
+     */
+    function getStatValue(value) {
+        const multiplier = getStatMultiplier();
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            if (Number.isInteger(value) && value >= 0 && value <= 15) {
+                return value * multiplier;
+            }
+            return value;
+        }
+
+        if (typeof value === 'string') {
+            const trimmed = value.trim();
+            if (/^[0-9a-f]$/i.test(trimmed)) {
+                return parseInt(trimmed, 16) * multiplier;
+            }
+            if (/^0x[0-9a-f]+$/i.test(trimmed)) {
+                return parseInt(trimmed, 16);
+            }
+            const parsed = Number.parseFloat(trimmed);
+            if (Number.isFinite(parsed)) {
+                if (Number.isInteger(parsed) && parsed >= 0 && parsed <= 15) {
+                    return parsed * multiplier;
+                }
+                return parsed;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Определение владельца карты
+     */
+    function getCardOwner(card) {
+        if (!card) return null;
+        if (card.owner) return card.owner;
+        if (card.ownership === 'rival') return 'opponent';
+        if (card.ownership === 'player') return 'player';
+        return null;
+    }
+
+    /**
+     * Проверка, является ли карта вражеской
+     */
+    function isEnemyCard(card, currentOwner) {
+        const cardOwner = getCardOwner(card);
+        if (!cardOwner) return false;
+        return cardOwner !== currentOwner;
+    }
+
+    /**
+     * Смена владельца карты (owner + ownership для рендерера)
+     */
+    function setCardOwner(card, owner) {
+        card.owner = owner;
+        card.ownership = owner === 'player' ? 'player' : 'rival';
+    }
+
+    /**
+     * Противоположная сторона партии
+     */
+    function getOpposingOwner(owner) {
+        return owner === 'player' ? 'opponent' : 'player';
+    }
+
+    /**
+     * Описание местности ячейки (null — обычная ячейка)
+     */
+    function getCellTerrain(cell) {
+        return (cell && TERRAIN_TYPES[cell.terrain]) || null;
+    }
+
+    /**
+     * Нельзя захватить карту на ячейке без боя
+     */
+    function isShieldedCell(cell) {
+        return Boolean(getCellTerrain(cell)?.forcesBattle);
+    }
+
+    /**
+     * Действующие реликвии стороны с эффектом effectType (без исчерпанных в этой партии)
+     * @param {Object|null} rules - Правила партии (rules.relics)
+     * @param {string|null} owner - 'player' | 'opponent'
+     * @param {string} effectType - Ключ RELIC_EFFECTS
+     * @returns {Array<Object>}
+     */
+    function getActiveRelics(rules, owner, effectType) {
+        const relics = owner ? rules?.relics?.[owner] : null;
+        if (!Array.isArray(relics)) {
+            return [];
+        }
+
+        return relics.filter(relic => (
+            relic?.effect?.type === effectType
+            && (relic.charges === undefined || relic.charges === null || relic.charges > 0)
+        ));
+    }
+
+    /**
+     * Сумма бонусов реликвий стороны в единицах характеристики
+     * @param {Function} applies - (effect) => boolean: подходит ли бонус
+     */
+    function getRelicStatBonus(rules, owner, effectType, applies) {
+        const levels = getActiveRelics(rules, owner, effectType)
+            .filter(relic => applies(relic.effect))
+            .reduce((sum, relic) => sum + (Number(relic.effect.bonus) || 0), 0);
+
+        return levels * getStatMultiplier();
+    }
+
+    /**
+     * Удар в спину стороны запускает комбо: по правилам режима или реликвией
+     * @returns {boolean}
+     */
+    function canBackstabTriggerCombo(rules, owner) {
+        return Boolean(rules?.backstabTriggersCombo) || getActiveRelics(rules, owner, 'backstabCombo').length > 0;
+    }
+
+    /**
+     * Значение атаки с учётом местности под атакующим и реликвий его стороны
+     * @param {Object} attacker - Карта атакующего
+     * @param {Object|null} attackerCell - Ячейка атакующего
+     * @param {Object|null} rules - Правила партии (для реликвий)
+     * @param {string|null} owner - Сторона атакующего (по умолчанию — владелец карты)
+     */
+    function resolveAttackValue(attacker, attackerCell = null, rules = null, owner = getCardOwner(attacker)) {
+        let attackValue = getStatValue(attacker.attackLevel);
+        const terrain = getCellTerrain(attackerCell);
+
+        if (terrain?.attackBonus && (!terrain.attackTypes || terrain.attackTypes.includes(attacker.attackType))) {
+            attackValue += terrain.attackBonus * getStatMultiplier();
+        }
+
+        return attackValue + getRelicStatBonus(rules, owner, 'attackBonus', effect => (
+            !Array.isArray(effect.attackTypes) || effect.attackTypes.includes(attacker.attackType)
+        ));
+    }
+
+    /**
+     * Получение защиты в зависимости от типа атаки
+     * (с учётом местности под защитником и реликвий стороны защитника)
+     * @param {Object} attacker - Карта атакующего
+     * @param {Object} defender - Карта защитника
+     * @param {Object|null} defenderCell - Ячейка защитника
+     * @param {Object|null} rules - Правила партии (для реликвий)
+     */
+    function resolveDefenseValue(attacker, defender, defenderCell = null, rules = null) {
+        const terrain = getCellTerrain(defenderCell);
+        const defenderOwner = getCardOwner(defender);
+        const mechanicalDefense = getStatValue(defender.mechanicalDefense)
+            + (terrain?.mechanicalDefenseBonus || 0) * getStatMultiplier()
+            + getRelicStatBonus(rules, defenderOwner, 'defenseBonus', effect => effect.defenseType !== 'electrical');
+        const electricalDefense = getStatValue(defender.electricalDefense)
+            + (terrain?.electricalDefenseBonus || 0) * getStatMultiplier()
+            + getRelicStatBonus(rules, defenderOwner, 'defenseBonus', effect => effect.defenseType !== 'mechanical');
+        const defenderAttack = getStatValue(defender.attackLevel);
+
+        switch (attacker.attackType) {
+            case 'P':
+                return mechanicalDefense;
+            case 'E':
+            case 'M':
+                return electricalDefense;
+            case 'X':
+                return Math.min(mechanicalDefense, electricalDefense);
+            case 'A':
+                return Math.min(mechanicalDefense, electricalDefense, defenderAttack);
+            default:
+                return mechanicalDefense;
+        }
+    }
+
+    /**
+     * Получение типа защиты для отображения
+     */
+    function getDefenseType(attackType) {
+        switch (attackType) {
+            case 'P': return 'mechanical';
+            case 'E':
+            case 'M': return 'electrical';
+            case 'X':
+            case 'A': return 'mixed';
+            default: return 'mechanical';
+        }
+    }
+
+    // === Параметры поля ===
+
+    function clampGridSize(value) {
+        const size = Number(value);
+        if (!Number.isInteger(size)) {
+            return DEFAULT_GRID_SIZE;
+        }
+        return Math.min(MAX_GRID_SIZE, Math.max(MIN_GRID_SIZE, size));
+    }
+
+    /**
+     * Нормализация параметров поля партии.
+     * unavailableCells — фиксированный узор закрытых ячеек (форма поля);
+     * если он не задан, экран закрывает unavailableCount случайных ячеек
+     * (null — случайное количество до getMaxUnavailableCount).
+     *
+     * terrain — особые ячейки { [index]: тип местности } (см. TERRAIN_TYPES).
+     *
+     * @param {Object} layout - { rows, cols, unavailableCells, unavailableCount, terrain }
+     * @returns {{rows: number, cols: number, unavailableCells: Array<number>|null, unavailableCount: number|null, terrain: Object}}
+     */
+    function normalizeLayout(layout = {}) {
+        const rows = clampGridSize(layout?.rows ?? DEFAULT_GRID_SIZE);
+        const cols = clampGridSize(layout?.cols ?? DEFAULT_GRID_SIZE);
+        const totalCells = rows * cols;
+
+        let unavailableCells = null;
+        if (Array.isArray(layout?.unavailableCells)) {
+            unavailableCells = [...new Set(layout.unavailableCells.map(Number))]
+                .filter(index => Number.isInteger(index) && index >= 0 && index < totalCells);
+        }
+
+        let unavailableCount = null;
+        const requestedCount = layout?.unavailableCount ?? null;
+        if (unavailableCells === null && requestedCount !== null && Number.isFinite(Number(requestedCount))) {
+            unavailableCount = Math.min(
+                Math.max(0, Math.floor(Number(requestedCount))),
+                getMaxUnavailableCount(rows, cols)
+            );
+        }
+
+        const terrain = {};
+        Object.entries(layout?.terrain || {}).forEach(([key, type]) => {
+            const index = Number(key);
+            if (Number.isInteger(index) && index >= 0 && index < totalCells
+                && TERRAIN_TYPES[type] && !unavailableCells?.includes(index)) {
+                terrain[index] = type;
+            }
+        });
+
+        return { rows, cols, unavailableCells, unavailableCount, terrain };
+    }
+
+    /**
+     * Разбор местности из строки БД ("5:charged,10:workshop")
+     * @returns {Object} { [index]: тип местности }
+     */
+    function parseTerrainList(value) {
+        const terrain = {};
+        if (!value) return terrain;
+
+        String(value).split(',').forEach(item => {
+            const [index, type] = item.split(':').map(part => part.trim());
+            if (Number.isInteger(Number(index)) && type) {
+                terrain[Number(index)] = type;
+            }
+        });
+
+        return terrain;
+    }
+
+    /**
+     * Разбор списка индексов ячеек из строки БД ("0,3,12")
+     */
+    function parseCellList(value) {
+        if (!value) return [];
+        return String(value)
+            .split(',')
+            .map(item => Number(item.trim()))
+            .filter(Number.isInteger);
+    }
+
+    /**
+     * Выбор закрытых ячеек арены (строка таблицы arenas).
+     *  - fixed: узор из blocked_cells;
+     *  - template: один из вариантов blocked_cells, разделённых ';';
+     *  - random: от blocked_min до blocked_max ячеек с весами cell_weights
+     *    (по умолчанию все ячейки равновероятны).
+     * Местность terrain_cells фиксирована; на закрытых ячейках она отбрасывается.
+     *
+     * @param {Object} arena - Строка таблицы arenas
+     * @param {Function} rng - Генератор случайных чисел [0, 1)
+     * @returns {{rows: number, cols: number, unavailableCells: Array<number>, terrain: Object}}
+     */
+    function resolveArenaLayout(arena, rng = Math.random) {
+        const rows = clampGridSize(arena?.grid_rows ?? DEFAULT_GRID_SIZE);
+        const cols = clampGridSize(arena?.grid_cols ?? DEFAULT_GRID_SIZE);
+        const totalCells = rows * cols;
+        let unavailableCells = [];
+
+        if (arena?.layout_type === 'fixed') {
+            unavailableCells = parseCellList(arena.blocked_cells);
+        } else if (arena?.layout_type === 'template') {
+            const variants = String(arena.blocked_cells || '').split(';').map(parseCellList);
+            unavailableCells = variants[Math.floor(rng() * variants.length)] || [];
+        } else {
+            const maxCount = getMaxUnavailableCount(rows, cols);
+            const minBlocked = Math.min(Math.max(0, Number(arena?.blocked_min) || 0), maxCount);
+            const maxBlocked = Math.min(Math.max(minBlocked, Number(arena?.blocked_max ?? maxCount)), maxCount);
+            const count = minBlocked + Math.floor(rng() * (maxBlocked - minBlocked + 1));
+
+            const parsedWeights = arena?.cell_weights ? String(arena.cell_weights).split(',').map(Number) : [];
+            const weights = Array.from({ length: totalCells }, (_, index) => {
+                const weight = parsedWeights[index];
+                return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+            });
+
+            // Взвешенный выбор без повторений
+            for (let picked = 0; picked < count; picked += 1) {
+                const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+                if (totalWeight <= 0) break;
+
+                let roll = rng() * totalWeight;
+                let index = 0;
+                while (index < totalCells - 1 && (roll >= weights[index] || weights[index] === 0)) {
+                    roll -= weights[index];
+                    index += 1;
+                }
+
+                unavailableCells.push(index);
+                weights[index] = 0;
+            }
+        }
+
+        return normalizeLayout({
+            rows,
+            cols,
+            unavailableCells,
+            terrain: parseTerrainList(arena?.terrain_cells)
+        });
+    }
+
+    /**
+     * Максимальное количество случайно закрытых ячеек для поля
+     */
+    function getMaxUnavailableCount(rows, cols) {
+        return Math.floor(rows * cols * MAX_UNAVAILABLE_SHARE);
+    }
+
+    /**
+     * Размер поля по координатам ячеек (если rows/cols не переданы явно)
+     */
+    function inferGridSize(cells, key) {
+        const values = (cells || []).map(c => c[key]).filter(Number.isInteger);
+        return values.length > 0 ? Math.max(...values) + 1 : null;
+    }
+
+    /**
+     * Местность поля в виде { [index]: тип } (для сохранения раскладки)
+     */
+    function getTerrainMap(board) {
+        const terrain = {};
+        (board?.cells || []).forEach(cell => {
+            if (cell.terrain) {
+                terrain[cell.index] = cell.terrain;
+            }
+        });
+        return terrain;
+    }
+
+    /**
+     * Индексы угловых ячеек поля
+     * @returns {Set<number>}
+     */
+    function getCornerIndices(board) {
+        const rows = board.rows || DEFAULT_GRID_SIZE;
+        const cols = board.cols || DEFAULT_GRID_SIZE;
+        return new Set([
+            0,
+            cols - 1,
+            (rows - 1) * cols,
+            rows * cols - 1
+        ]);
+    }
+
+    // === Состояние поля ===
+
+    /**
+     * Создание состояния поля из массива ячеек.
+     * Карты копируются, поэтому дальнейшие изменения не затрагивают исходные объекты.
+     * Если rows/cols не переданы, размер определяется по координатам ячеек.
+     *
+     * @param {Array} cells - Ячейки { index, row, col, isAvailable, terrain, card }
+     * @param {Object} options - { rows, cols }
+     * @returns {Object} Board - { rows, cols, cells }
+     */
+    function createBoard(cells, options = {}) {
+        const rows = options.rows || inferGridSize(cells, 'row') || DEFAULT_GRID_SIZE;
+        const cols = options.cols || inferGridSize(cells, 'col') || DEFAULT_GRID_SIZE;
+
+        return {
+            rows,
+            cols,
+            cells: (cells || []).map(c => ({
+                index: c.index,
+                row: c.row !== undefined ? c.row : Math.floor(c.index / cols),
+                col: c.col !== undefined ? c.col : c.index % cols,
+                isAvailable: c.isAvailable,
+                terrain: c.terrain || null,
+                card: c.card ? { ...c.card } : null
+            }))
+        };
+    }
+
+    /**
+     * Глубокое клонирование состояния поля
+     */
+    function cloneBoard(board) {
+        return createBoard(board.cells, board);
+    }
+
+    /**
+     * Получение ячейки по индексу
+     */
+    function getCell(board, index) {
+        if (!board || !Array.isArray(board.cells)) return null;
+        const cell = board.cells[index];
+        if (cell && cell.index === index) return cell;
+        return board.cells.find(c => c.index === index) || null;
+    }
+
+    /**
+     * Получение соседней ячейки по направлению
+     */
+    function getNeighborCell(board, cell, direction) {
+        const rows = board.rows || DEFAULT_GRID_SIZE;
+        const cols = board.cols || DEFAULT_GRID_SIZE;
+        const row = cell.row + direction.rowDelta;
+        const col = cell.col + direction.colDelta;
+
+        if (row < 0 || row >= rows || col < 0 || col >= cols) {
+            return null;
+        }
+
+        return getCell(board, row * cols + col);
+    }
+
+    /**
+     * Список существующих соседних ячеек
+     * @returns {Array<{direction: Object, cell: Object}>}
+     */
+    function getNeighbors(board, cell) {
+        return directions
+            .map(direction => ({ direction, cell: getNeighborCell(board, cell, direction) }))
+            .filter(item => item.cell);
+    }
+
+    /**
+     * Свободные ячейки, доступные для хода
+     */
+    function getEmptyCells(board) {
+        return board.cells.filter(c => c.isAvailable && !c.card);
+    }
+
+    /**
+     * Подсчёт карт на поле по владельцам
+     * @returns {{player: number, opponent: number, total: number}}
+     */
+    function countOwnership(board) {
+        const result = { player: 0, opponent: 0, total: 0 };
+        board.cells.forEach(cell => {
+            if (!cell.card) return;
+            result.total++;
+            if (getCardOwner(cell.card) === 'player') {
+                result.player++;
+            } else {
+                result.opponent++;
+            }
+        });
+        return result;
+    }
+
+    // === Анализ конфликтов ===
+
+    /**
+     * Анализ соседей только что выставленной карты.
+     * Возвращает конфликты: 'capture' (удар в спину) или 'battle'
+     * (встречные стрелки или карта врага на ячейке-щите).
+     */
+    function analyzeNeighbors(board, cellIndex, owner) {
+        const cell = getCell(board, cellIndex);
+        if (!cell || !cell.card) {
+            return [];
+        }
+
+        const activeCard = cell.card;
+        const conflicts = [];
+
+        directions.forEach(direction => {
+            const neighborCell = getNeighborCell(board, cell, direction);
+            if (!neighborCell || !neighborCell.card) {
+                return;
+            }
+
+            const neighborCard = neighborCell.card;
+            if (!isEnemyCard(neighborCard, owner)) {
+                return;
+            }
+
+            if (activeCard[direction.activeArrow] !== true) {
+                return;
+            }
+
+            const hasReactiveArrow = neighborCard[direction.reactiveArrow] === true;
+            const forcesBattle = hasReactiveArrow || isShieldedCell(neighborCell);
+
+            conflicts.push({
+                type: forcesBattle ? 'battle' : 'capture',
+                direction,
+                defenderCellIndex: neighborCell.index,
+                defenderCard: neighborCard,
+                defenderOwner: getCardOwner(neighborCard)
+            });
+        });
+
+        return conflicts;
+    }
+
+    // === Битва ===
+
+    /**
+     * Бросок кубиков для битвы.
+     * Каждая сторона получает floor(rng * значение); ничья остаётся за атакующим.
+     *
+     * @param {number} attackValue
+     * @param {number} defenseValue
+     * @param {Function} rng - Генератор случайных чисел [0, 1)
+     * @returns {{attackRoll: number, defenseRoll: number, attackerWins: boolean, rounds: Array}}
+     */
+    function rollDice(attackValue, defenseValue, rng = Math.random) {
+        const attackRoll = Math.floor(rng() * Math.max(1, attackValue));
+        const defenseRoll = Math.floor(rng() * Math.max(1, defenseValue));
+        const attackerWins = attackRoll >= defenseRoll;
+
+        return { attackRoll, defenseRoll, attackerWins, rounds: [{ attackRoll, defenseRoll, attackerWins }] };
+    }
+
+    /**
+     * Точный шанс победы в броске кубиков: P(floor(U·A) ≥ floor(V·D)).
+     * Бросок защиты d выпадает с долей отрезка [d, d + 1) в [0, D),
+     * атакующий выбрасывает не меньше d с вероятностью (A − d) / A.
+     */
+    function diceWinProbability(attackValue, defenseValue) {
+        const attack = Math.max(1, attackValue);
+        const defense = Math.max(1, defenseValue);
+        let probability = 0;
+
+        for (let defenseRoll = 0; defenseRoll < defense; defenseRoll += 1) {
+            const rollChance = (Math.min(defense, defenseRoll + 1) - defenseRoll) / defense;
+            probability += rollChance * (Math.max(0, attack - defenseRoll) / attack);
+        }
+
+        return Math.max(0, Math.min(1, probability));
+    }
+
+    /**
+     * Бой без случайности: сравниваются сами значения
+     */
+    function rollDeterministic(attackValue, defenseValue) {
+        const attackerWins = attackValue >= defenseValue;
+
+        return {
+            attackRoll: attackValue,
+            defenseRoll: defenseValue,
+            attackerWins,
+            rounds: [{ attackRoll: attackValue, defenseRoll: defenseValue, attackerWins }]
+        };
+    }
+
+    function deterministicWinProbability(attackValue, defenseValue) {
+        return attackValue >= defenseValue ? 1 : 0;
+    }
+
+    /**
+     * Бой с вероятностью победы attack / (attack + defense).
+     * Броски — доли шкалы 0–100, атакующий побеждает, если его доля больше броска.
+     */
+    function rollWeighted(attackValue, defenseValue, rng = Math.random) {
+        const chance = weightedWinProbability(attackValue, defenseValue);
+        const roll = rng();
+        const attackerWins = roll < chance;
+        const attackRoll = Math.round(chance * 100);
+        const defenseRoll = Math.round(roll * 100);
+
+        return { attackRoll, defenseRoll, attackerWins, rounds: [{ attackRoll, defenseRoll, attackerWins }] };
+    }
+
+    function weightedWinProbability(attackValue, defenseValue) {
+        const total = Math.max(0, attackValue) + Math.max(0, defenseValue);
+        if (total <= 0) {
+            return 0.5;
+        }
+        return Math.max(0, Math.min(1, attackValue / total));
+    }
+
+    /**
+     * Бросок кубиков до двух побед. В событии остаются броски решающего раунда.
+     */
+    function rollBestOfThree(attackValue, defenseValue, rng = Math.random) {
+        const rounds = [];
+        let attackWins = 0;
+        let defenseWins = 0;
+
+        while (attackWins < 2 && defenseWins < 2) {
+            const round = rollDice(attackValue, defenseValue, rng);
+            rounds.push(round.rounds[0]);
+            if (round.attackerWins) {
+                attackWins += 1;
+            } else {
+                defenseWins += 1;
+            }
+        }
+
+        const lastRound = rounds[rounds.length - 1];
+        return {
+            attackRoll: lastRound.attackRoll,
+            defenseRoll: lastRound.defenseRoll,
+            attackerWins: attackWins > defenseWins,
+            rounds
+        };
+    }
+
+    function bestOfThreeWinProbability(attackValue, defenseValue) {
+        const roundChance = diceWinProbability(attackValue, defenseValue);
+        // Две победы подряд или победа в двух раундах из трёх
+        return roundChance * roundChance * (3 - 2 * roundChance);
+    }
+
+    /**
+     * Стратегия боя по названию или из правил режима
+     * @param {string|Object} strategyOrRules - Название стратегии или правила режима
+     * @returns {{name: string, roll: Function, winProbability: Function}}
+     */
+    function getBattleStrategy(strategyOrRules) {
+        const key = typeof strategyOrRules === 'string'
+            ? strategyOrRules
+            : strategyOrRules?.battleStrategy;
+
+        return BATTLE_STRATEGIES[key] || BATTLE_STRATEGIES[DEFAULT_BATTLE_STRATEGY];
+    }
+
+    /**
+     * Бой по стратегии режима
+     *
+     * @param {number} attackValue
+     * @param {number} defenseValue
+     * @param {Function} rng - Генератор случайных чисел [0, 1)
+     * @param {string|Object} strategyOrRules - Название стратегии или правила режима
+     * @returns {{attackRoll: number, defenseRoll: number, attackerWins: boolean, rounds: Array}}
+     */
+    function rollBattle(attackValue, defenseValue, rng = Math.random, strategyOrRules = DEFAULT_BATTLE_STRATEGY) {
+        return getBattleStrategy(strategyOrRules).roll(attackValue, defenseValue, rng);
+    }
+
+    /**
+     * Шанс победы атакующего по стратегии режима
+     */
+    function getBattleWinProbability(attackValue, defenseValue, strategyOrRules = DEFAULT_BATTLE_STRATEGY) {
+        return getBattleStrategy(strategyOrRules).winProbability(attackValue, defenseValue);
+    }
+
+    /**
+     * Шанс победы атакующей карты над защитником.
+     * Значения считаются как в бою (getStatValue × statMultiplier, тип атаки, местность, реликвии),
+     * исход — по стратегии боя режима. Переброс проигранного боя реликвией учитывается:
+     * перебрасывает только проигравший, поэтому при перебросе у обеих сторон шанс не меняется.
+     *
+     * @param {Object} attacker - Атакующая карта
+     * @param {Object} defender - Защищающаяся карта (на поле, с владельцем)
+     * @param {Object|null} attackerCell - Ячейка атакующего (для местности)
+     * @param {Object|null} defenderCell - Ячейка защитника (для местности)
+     * @param {string|Object} strategyOrRules - Название стратегии или правила партии
+     * @returns {number} Вероятность [0, 1]
+     */
+    function calculateWinProbability(attacker, defender, attackerCell = null, defenderCell = null, strategyOrRules = DEFAULT_BATTLE_STRATEGY) {
+        const rules = typeof strategyOrRules === 'object' ? strategyOrRules : null;
+        const defenderOwner = getCardOwner(defender);
+        const attackerOwner = defenderOwner ? getOpposingOwner(defenderOwner) : getCardOwner(attacker);
+
+        const attackValue = resolveAttackValue(attacker, attackerCell, rules, attackerOwner);
+        const defenseValue = resolveDefenseValue(attacker, defender, defenderCell, rules);
+        const probability = getBattleWinProbability(attackValue, defenseValue, strategyOrRules);
+
+        const attackerRerolls = getActiveRelics(rules, attackerOwner, 'battleReroll').length > 0;
+        const defenderRerolls = getActiveRelics(rules, defenderOwner, 'battleReroll').length > 0;
+        if (attackerRerolls && !defenderRerolls) {
+            return 1 - (1 - probability) * (1 - probability);
+        }
+        if (defenderRerolls && !attackerRerolls) {
+            return probability * probability;
+        }
+        return probability;
+    }
+
+    /**
+     * Расчёт битвы с изменением состояния поля.
+     * Победитель забирает карту проигравшего. Если у проигравшей стороны есть реликвия
+     * переброса, бой перебрасывается один раз (первый бросок — в event.reroll).
+     *
+     * @returns {Object|null} Событие 'battle'
+     */
+    function resolveBattle(board, attackerCellIndex, defenderCellIndex, attackerOwner, options = {}) {
+        const attackerCell = getCell(board, attackerCellIndex);
+        const defenderCell = getCell(board, defenderCellIndex);
+
+        if (!attackerCell?.card || !defenderCell?.card) {
+            return null;
+        }
+
+        const attacker = attackerCell.card;
+        const defender = defenderCell.card;
+
+        const rules = options.rules || null;
+        const attackValue = resolveAttackValue(attacker, attackerCell, rules, attackerOwner);
+        const defenseValue = resolveDefenseValue(attacker, defender, defenderCell, rules);
+
+        const strategy = rules?.battleStrategy || DEFAULT_BATTLE_STRATEGY;
+        const rng = options.rng || Math.random;
+        const defenderOwner = getOpposingOwner(attackerOwner);
+        let reroll = null;
+        // Заданный исход (прогноз «что если») заменяет бросок
+        let roll = options.battleOutcome
+            ? { attackRoll: attackValue, defenseRoll: defenseValue, attackerWins: options.battleOutcome === 'attacker', rounds: [] }
+            : rollBattle(attackValue, defenseValue, rng, strategy);
+
+        if (!options.battleOutcome) {
+            const loserOwner = roll.attackerWins ? defenderOwner : attackerOwner;
+            const [relic] = getActiveRelics(rules, loserOwner, 'battleReroll');
+            if (relic) {
+                reroll = {
+                    owner: loserOwner,
+                    relicId: relic.id,
+                    relicName: relic.name,
+                    attackRoll: roll.attackRoll,
+                    defenseRoll: roll.defenseRoll
+                };
+                roll = rollBattle(attackValue, defenseValue, rng, strategy);
+            }
+        }
+
+        if (roll.attackerWins) {
+            setCardOwner(defender, attackerOwner);
+        } else {
+            setCardOwner(attacker, defenderOwner);
+        }
+
+        return {
+            type: 'battle',
+            attackerCellIndex,
+            defenderCellIndex,
+            attackType: attacker.attackType,
+            defenseType: getDefenseType(attacker.attackType),
+            attackValue,
+            defenseValue,
+            attackRoll: roll.attackRoll,
+            defenseRoll: roll.defenseRoll,
+            battleStrategy: strategy,
+            rounds: roll.rounds,
+            reroll,
+            winner: roll.attackerWins ? 'attacker' : 'defender',
+            newOwner: roll.attackerWins ? attackerOwner : defenderOwner,
+            changedCellIndex: roll.attackerWins ? defenderCellIndex : attackerCellIndex,
+            cardId: roll.attackerWins ? defender.id : attacker.id
+        };
+    }
+
+    // === Комбо ===
+
+    /**
+     * Комбо-цепочка от захваченных карт (с изменением состояния поля).
+     * Захваченная карта забирает всех врагов, на которых указывает её стрелка;
+     * встречная стрелка врага для комбо не требуется. Карты на ячейках-щитах
+     * комбо не захватывает.
+     *
+     * @param {Object} board - Состояние поля
+     * @param {Array<number>} starterIndices - Индексы захваченных ячеек
+     * @param {string} newOwner - Новый владелец
+     * @param {Object} rules - Правила режима (см. getModeRules)
+     * @returns {Array<Array<{fromCellIndex: number, toCellIndex: number, cardId: *}>>} Волны захватов
+     */
+    function runComboChain(board, starterIndices, newOwner, rules = MODE_RULES[DEFAULT_GAME_MODE]) {
+        const waves = [];
+        const processedCells = new Set();
+        let current = [...starterIndices];
+
+        while (current.length > 0) {
+            const wave = [];
+
+            for (const cellIndex of current) {
+                if (processedCells.has(cellIndex)) continue;
+                processedCells.add(cellIndex);
+
+                const cell = getCell(board, cellIndex);
+                if (!cell || !cell.card) continue;
+
+                for (const direction of directions) {
+                    if (!cell.card[direction.activeArrow]) continue;
+
+                    const neighborCell = getNeighborCell(board, cell, direction);
+                    if (!neighborCell || !neighborCell.card) continue;
+                    if (isShieldedCell(neighborCell)) continue;
+
+                    if (isEnemyCard(neighborCell.card, newOwner)) {
+                        setCardOwner(neighborCell.card, newOwner);
+                        wave.push({
+                            fromCellIndex: cellIndex,
+                            toCellIndex: neighborCell.index,
+                            cardId: neighborCell.card.id
+                        });
+                    }
+                }
+            }
+
+            if (wave.length === 0) {
+                break;
+            }
+
+            waves.push(wave);
+
+            if (!rules.comboRecursion) {
+                break;
+            }
+
+            current = wave.map(capture => capture.toCellIndex);
+        }
+
+        return waves;
+    }
+
+    // === Ход целиком ===
+
+    /**
+     * Выставление карты на поле (без расчёта последствий).
+     * @returns {Object} Новое состояние поля
+     */
+    function placeCard(board, cellIndex, card, owner) {
+        const nextBoard = cloneBoard(board);
+        const cell = getCell(nextBoard, cellIndex);
+
+        if (!cell || !cell.isAvailable || cell.card) {
+            throw new Error(`GameRules: ячейка ${cellIndex} недоступна для хода`);
+        }
+
+        cell.card = { ...card };
+        setCardOwner(cell.card, owner);
+        return nextBoard;
+    }
+
+    /**
+     * Расчёт последствий карты, уже стоящей в ячейке cellIndex.
+     * Порядок: битва -> мгновенные захваты -> комбо.
+     * Если атакующий проиграл битву, захваты и комбо не происходят.
+     *
+     * @param {Object} board - Состояние поля (не изменяется)
+     * @param {number} cellIndex - Ячейка атакующей карты
+     * @param {string} owner - 'player' | 'opponent'
+     * @param {Object} options
+     * @param {Object} options.rules - Правила режима
+     * @param {Function} options.rng - Генератор случайных чисел
+     * @param {number} options.targetCellIndex - Цель при нескольких битвах
+     * @param {Function} options.selectTarget - (battles, board) => battle, если цель не задана
+     * @param {string} options.battleOutcome - 'attacker' | 'defender': исход боя без броска (для прогнозов)
+     * @returns {{board: Object, events: Array, attackerLost: boolean, usedRelics: Array<{owner: string, relicId: *}>}}
+     *          usedRelics — сработавшие реликвии (вызывающий код списывает их заряды)
+     */
+    function resolvePlacement(board, cellIndex, owner, options = {}) {
+        const rules = options.rules || MODE_RULES[DEFAULT_GAME_MODE];
+        const nextBoard = cloneBoard(board);
+        const events = [];
+        const usedRelics = [];
+
+        const conflicts = analyzeNeighbors(nextBoard, cellIndex, owner);
+        const captures = conflicts.filter(c => c.type === 'capture');
+        const battles = conflicts.filter(c => c.type === 'battle');
+
+        const comboStarters = [];
+
+        if (battles.length > 0) {
+            let target = null;
+            if (options.targetCellIndex !== undefined && options.targetCellIndex !== null) {
+                target = battles.find(b => b.defenderCellIndex === options.targetCellIndex) || null;
+            }
+            if (!target && battles.length > 1 && typeof options.selectTarget === 'function') {
+                target = options.selectTarget(battles, nextBoard) || null;
+            }
+            target = target || battles[0];
+
+            const battleEvent = resolveBattle(nextBoard, cellIndex, target.defenderCellIndex, owner, { ...options, rules });
+            if (battleEvent) {
+                events.push(battleEvent);
+                if (battleEvent.reroll) {
+                    usedRelics.push({ owner: battleEvent.reroll.owner, relicId: battleEvent.reroll.relicId });
+                }
+
+                if (battleEvent.winner === 'defender') {
+                    return { board: nextBoard, events, attackerLost: true, usedRelics };
+                }
+
+                comboStarters.push(target.defenderCellIndex);
+            }
+        }
+
+        if (captures.length > 0) {
+            const captured = [];
+            captures.forEach(capture => {
+                const defenderCell = getCell(nextBoard, capture.defenderCellIndex);
+                if (!defenderCell || !defenderCell.card) return;
+
+                setCardOwner(defenderCell.card, owner);
+                captured.push({ cellIndex: capture.defenderCellIndex, cardId: defenderCell.card.id });
+            });
+
+            if (captured.length > 0) {
+                // Реликвия запускает комбо, только если режим сам этого не делает
+                const [comboRelic] = rules.backstabTriggersCombo ? [] : getActiveRelics(rules, owner, 'backstabCombo');
+                events.push({
+                    type: 'capture',
+                    newOwner: owner,
+                    captures: captured,
+                    relic: comboRelic ? { id: comboRelic.id, name: comboRelic.name } : null
+                });
+
+                if (rules.backstabTriggersCombo || comboRelic) {
+                    comboStarters.push(...captured.map(c => c.cellIndex));
+                }
+                if (comboRelic) {
+                    usedRelics.push({ owner, relicId: comboRelic.id });
+                }
+            }
+        }
+
+        if (comboStarters.length > 0) {
+            const waves = runComboChain(nextBoard, comboStarters, owner, rules);
+            waves.forEach((wave, waveIndex) => {
+                events.push({ type: 'combo', newOwner: owner, wave: waveIndex + 1, captures: wave });
+            });
+        }
+
+        return { board: nextBoard, events, attackerLost: false, usedRelics };
+    }
+
+    /**
+     * Применение хода: карта выставляется в ячейку и рассчитываются последствия.
+     *
+     * @param {Object} board - Состояние поля (не изменяется)
+     * @param {Object} move - { card, cellIndex, owner, targetCellIndex }
+     * @param {Object} options - См. resolvePlacement
+     * @returns {{board: Object, events: Array, attackerLost: boolean}}
+     */
+    function applyMove(board, move, options = {}) {
+        const placedBoard = placeCard(board, move.cellIndex, move.card, move.owner);
+        const result = resolvePlacement(placedBoard, move.cellIndex, move.owner, {
+            ...options,
+            targetCellIndex: move.targetCellIndex ?? options.targetCellIndex
+        });
+
+        result.events.unshift({
+            type: 'place',
+            cellIndex: move.cellIndex,
+            owner: move.owner,
+            cardId: move.card.id
+        });
+
+        return result;
+    }
+
+    // === Публичный API ===
+    return {
+        DEFAULT_GRID_SIZE,
+        MIN_GRID_SIZE,
+        MAX_GRID_SIZE,
+        TERRAIN_TYPES,
+        BATTLE_STRATEGIES,
+        RELIC_EFFECTS,
+        DEFAULT_GAME_MODE,
+        directions,
+        getModeRules,
+        getGameModes,
+        getModesUnlockedAfter,
+        getStatValue,
+        getCardOwner,
+        isEnemyCard,
+        setCardOwner,
+        getOpposingOwner,
+        getCellTerrain,
+        isShieldedCell,
+        getActiveRelics,
+        canBackstabTriggerCombo,
+        resolveAttackValue,
+        resolveDefenseValue,
+        getDefenseType,
+        normalizeLayout,
+        resolveArenaLayout,
+        getMaxUnavailableCount,
+        getCornerIndices,
+        getTerrainMap,
+        createBoard,
+        cloneBoard,
+        getCell,
+        getNeighborCell,
+        getNeighbors,
+        getEmptyCells,
+        countOwnership,
+        analyzeNeighbors,
+        getBattleStrategy,
+        rollBattle,
+        getBattleWinProbability,
+        calculateWinProbability,
+        resolveBattle,
+        runComboChain,
+        placeCard,
+        resolvePlacement,
+        applyMove
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.GameRules = GameRules;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameRules;
+}
+
+console.log('GameRules: Модуль загружен. Используйте GameRules.applyMove(board, move, options).');
@@ -4,7 +4,6 @@
  */
 
 const HAND_SETUP_DB_PATH = 'public/data/cards.db';
-const HAND_SIZE = 5;
 
 /**
  * Глобальное состояние экрана
@@ -15,12 +14,20 @@ const handSetupState = {
     deckRuleData: null,
     playerCards: [],
     deckCards: [],
-    handCards: Array(HAND_SIZE).fill(null),
+    handCards: [],
     db: null,
     draggedCard: null,
     draggedFromHand: false
 };
 
+/**
+ * Размер руки из баланса (GameConfig)
+ * @returns {number}
+ */
+function getHandSize() {
+    return GameConfig.get('handSize');
+}
+
 /**
  * Получает идентификатор оппонента из URL параметров
  * @returns {number|null}
@@ -54,6 +61,7 @@ async function initDatabase() {
     const response = await fetch(HAND_SETUP_DB_PATH);
     const buffer = await response.arrayBuffer();
     handSetupState.db = new SQL.Database(new Uint8Array(buffer));
+    GameConfig.loadFromDatabase(handSetupState.db);
 
     return handSetupState.db;
 }
@@ -266,7 +274,7 @@ async function moveCardToHand(cardId, slotIndex = null) {
         targetIndex = handSetupState.handCards.findIndex(slot => slot === null);
     }
 
-    if (targetIndex === -1 || targetIndex === null || targetIndex >= HAND_SIZE) {
+    if (targetIndex === -1 || targetIndex === null || targetIndex >= getHandSize()) {
         console.warn('Нет свободных слотов');
         return;
     }
@@ -453,7 +461,7 @@ function updateHandCounter() {
     const handCount = handSetupState.handCards.filter(c => c !== null).length;
     const counter = document.getElementById('handCounter');
     if (counter) {
-        counter.textContent = `(${handCount}/${HAND_SIZE})`;
+        counter.textContent = `(${handCount}/${getHandSize()})`;
     }
 }
 
@@ -464,7 +472,7 @@ function updateStartButtonState() {
     const handCount = handSetupState.handCards.filter(c => c !== null).length;
     const startBtn = document.getElementById('startGameBtn');
     if (startBtn) {
-        startBtn.disabled = handCount !== HAND_SIZE;
+        startBtn.disabled = handCount !== getHandSize();
     }
 }
 
@@ -478,9 +486,10 @@ async function handleAutoCollect() {
     const currentHandCards = handSetupState.handCards.filter(c => c !== null);
     const allCards = [...handSetupState.deckCards, ...currentHandCards];
 
-    if (allCards.length < HAND_SIZE) {
-        console.warn(`AutoCollect: Недостаточно карт (${allCards.length} < ${HAND_SIZE})`);
-        alert(`Недостаточно карт для сбора руки. Нужно минимум ${HAND_SIZE} карт.`);
+    const handSize = getHandSize();
+    if (allCards.length < handSize) {
+        console.warn(`AutoCollect: Недостаточно карт (${allCards.length} < ${handSize})`);
+        alert(`Недостаточно карт для сбора руки. Нужно минимум ${handSize} карт.`);
         return;
     }
 
@@ -492,7 +501,7 @@ async function handleAutoCollect() {
     const selectedIds = new Set(result.map(r => r.id));
 
     // Обновляем состояние
-    handSetupState.handCards = Array(HAND_SIZE).fill(null);
+    handSetupState.handCards = Array(handSize).fill(null);
     const newDeckCards = [];
 
     allCards.forEach(card => {
@@ -532,7 +541,7 @@ async function handleAutoCollect() {
  */
 function handleStartGame() {
     const validHandCards = handSetupState.handCards.filter(c => c !== null);
-    if (validHandCards.length !== HAND_SIZE) {
+    if (validHandCards.length !== getHandSize()) {
         console.warn('Нельзя начать игру: рука не заполнена');
         return [];
     }
@@ -551,6 +560,22 @@ function handleStartGame() {
     return handCardIds;
 }
 
+/**
+ * Создаёт слоты блока "Рука" по размеру руки из баланса
+ */
+function buildHandSlots() {
+    const slotsContainer = document.getElementById('handSlots');
+    if (!slotsContainer) return;
+
+    slotsContainer.innerHTML = '';
+    for (let index = 0; index < getHandSize(); index++) {
+        const slot = document.createElement('div');
+        slot.className = 'hand-slot empty';
+        slot.dataset.slot = index;
+        slotsContainer.appendChild(slot);
+    }
+}
+
 /**
  * Настраивает обработчики событий для drag-and-drop
  */
@@ -626,7 +651,7 @@ function setupButtonHandlers() {
     if (startGameBtn) {
         startGameBtn.addEventListener('click', () => {
             const cardIds = handleStartGame();
-            if (cardIds.length === HAND_SIZE) {
+            if (cardIds.length === getHandSize()) {
                 if (!isPartyFlow()) {
                     alert(`Игра начинается с картами: ${cardIds.join(', ')}`);
                 }
@@ -687,9 +712,10 @@ async function initHandSetupScreen() {
         handSetupState.deckCards = playerCards.filter(c => !c.inHand);
         const inHandCards = playerCards.filter(c => c.inHand);
 
-        handSetupState.handCards = Array(HAND_SIZE).fill(null);
+        const handSize = getHandSize();
+        handSetupState.handCards = Array(handSize).fill(null);
         inHandCards.forEach((card, i) => {
-            if (i < HAND_SIZE) {
+            if (i < handSize) {
                 handSetupState.handCards[i] = card;
             } else {
                 card.inHand = false;
@@ -698,6 +724,7 @@ async function initHandSetupScreen() {
         });
 
         updateOpponentInfoDisplay();
+        buildHandSlots();
         renderDeckCards();
         renderHandCards();
         updateStartButtonState();
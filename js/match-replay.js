@@ -0,0 +1,199 @@
+/**
+ * Match Replay Module for Technomaster
+ * Запись и восстановление повтора партии без привязки к DOM.
+ * Повтор хранит начальное поле, обе руки, зерно и список ходов;
+ * события ходов пересчитываются через GameRules при просмотре.
+ */
+
+const MatchReplay = (() => {
+    const GameRules = (typeof window !== 'undefined' && window.GameRules) || require('./game-rules.js');
+    const SeededRandom = (typeof window !== 'undefined' && window.SeededRandom) || require('./seeded-random.js');
+    const Relics = (typeof window !== 'undefined' && window.Relics) || require('./relics.js');
+
+    // === Константы ===
+    const REPLAY_VERSION = 1;
+
+    // Поля карты, которые влияют на расчёт и отрисовку
+    const CARD_FIELDS = [
+        'id',
+        'cardTypeId',
+        'cardLevel',
+        'attackLevel',
+        'attackType',
+        'mechanicalDefense',
+        'electricalDefense',
+        'arrowTopLeft',
+        'arrowTop',
+        'arrowTopRight',
+        'arrowRight',
+        'arrowBottomRight',
+        'arrowBottom',
+        'arrowBottomLeft',
+        'arrowLeft'
+    ];
+
+    // === Вспомогательные функции ===
+
+    /**
+     * Компактная копия карты (без служебных флагов матча)
+     */
+    function compactCard(card) {
+        const result = {};
+        CARD_FIELDS.forEach(field => {
+            if (card[field] !== undefined) {
+                result[field] = card[field];
+            }
+        });
+        return result;
+    }
+
+    // === Запись ===
+
+    /**
+     * Создание повтора в начале партии
+     *
+     * @param {Object} params
+     * @param {number} params.seed - Зерно партии
+     * @param {string} params.gameMode - Режим игры
+     * @param {number} params.opponentId - ID оппонента
+     * @param {Object|null} params.arena - Арена партии { id, name }
+     * @param {Object} params.board - Начальное состояние поля
+     * @param {Array} params.playerHand - Рука игрока
+     * @param {Array} params.opponentHand - Рука оппонента
+     * @param {string} params.firstTurn - 'player' | 'rival'
+     * @param {Array} params.relics - Реликвии игрока на партию (Relics.prepareForMatch)
+     * @returns {Object} Replay
+     */
+    function createReplay({ seed, gameMode, opponentId, arena, board, playerHand, opponentHand, firstTurn, relics = [] }) {
+        const cells = board?.cells || [];
+
+        return {
+            version: REPLAY_VERSION,
+            seed,
+            gameMode: gameMode || 'standard',
+            battleStrategy: GameRules.getModeRules(gameMode).battleStrategy,
+            opponentId,
+            field: {
+                arenaId: arena?.id ?? null,
+                rows: board?.rows || GameRules.DEFAULT_GRID_SIZE,
+                cols: board?.cols || GameRules.DEFAULT_GRID_SIZE,
+                unavailableCells: cells.filter(c => !c.isAvailable).map(c => c.index),
+                terrain: GameRules.getTerrainMap(board)
+            },
+            playerHand: (playerHand || []).map(compactCard),
+            opponentHand: (opponentHand || []).map(compactCard),
+            firstTurn,
+            relics,
+            moves: [],
+            result: null
+        };
+    }
+
+    /**
+     * Запись хода
+     *
+     * @param {Object} replay
+     * @param {Object} move - { owner, cardId, cellIndex, targetCellIndex, rngState }
+     */
+    function recordMove(replay, move) {
+        if (!replay) return;
+
+        replay.moves.push({
+            owner: move.owner,
+            cardId: move.cardId,
+            cellIndex: move.cellIndex,
+            targetCellIndex: move.targetCellIndex ?? null,
+            rngState: move.rngState
+        });
+    }
+
+    /**
+     * Фиксация итога партии
+     */
+    function finishReplay(replay, { winner, playerScore, opponentScore }) {
+        if (!replay) return;
+        replay.result = { winner, playerScore, opponentScore };
+    }
+
+    // === Воспроизведение ===
+
+    /**
+     * Начальное состояние поля повтора
+     */
+    function createInitialBoard(replay) {
+        const rows = replay.field?.rows || GameRules.DEFAULT_GRID_SIZE;
+        const cols = replay.field?.cols || GameRules.DEFAULT_GRID_SIZE;
+        const unavailable = new Set(replay.field?.unavailableCells || []);
+        const terrain = replay.field?.terrain || {};
+        const cells = [];
+
+        for (let index = 0; index < rows * cols; index += 1) {
+            cells.push({ index, isAvailable: !unavailable.has(index), terrain: terrain[index] || null, card: null });
+        }
+
+        return GameRules.createBoard(cells, { rows, cols });
+    }
+
+    /**
+     * Пересчёт всех ходов повтора.
+     * Каждый шаг содержит ход, карту, события GameRules и поле после хода.
+     *
+     * @param {Object} replay
+     * @returns {{initialBoard: Object, steps: Array}}
+     */
+    function buildTimeline(replay) {
+        const initialBoard = createInitialBoard(replay);
+        // Повторы без стратегии записаны до её появления, когда бой всегда решали кубики
+        const rules = { ...GameRules.getModeRules(replay.gameMode), battleStrategy: replay.battleStrategy || 'dice' };
+        const steps = [];
+        let board = initialBoard;
+        // Заряды реликвий расходуются так же, как в партии
+        let relics = replay.relics || [];
+
+        for (const move of replay.moves || []) {
+            const hand = move.owner === 'player' ? replay.playerHand : replay.opponentHand;
+            const card = hand.find(c => c.id === move.cardId);
+            if (!card) {
+                console.warn('MatchReplay: Карта хода не найдена в руке', move);
+                break;
+            }
+
+            const result = GameRules.applyMove(board, {
+                card,
+                cellIndex: move.cellIndex,
+                owner: move.owner,
+                targetCellIndex: move.targetCellIndex
+            }, {
+                rules: { ...rules, relics: { player: relics } },
+                rng: SeededRandom.createGenerator(move.rngState)
+            });
+
+            relics = Relics.spendCharges(relics, result.usedRelics
+                .filter(used => used.owner === 'player')
+                .map(used => used.relicId));
+            board = result.board;
+            steps.push({ move, card, events: result.events, board });
+        }
+
+        return { initialBoard, steps };
+    }
+
+    // === Публичный API ===
+    return {
+        REPLAY_VERSION,
+        compactCard,
+        createReplay,
+        recordMove,
+        finishReplay,
+        createInitialBoard,
+        buildTimeline
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.MatchReplay = MatchReplay;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchReplay;
+}
@@ -0,0 +1,178 @@
+/**
+ * Match Simulator Module for Technomaster
+ * Проигрывание партии «ИИ против ИИ» без экрана и задержек.
+ * Порядок ходов повторяет оркестратор партии: жребий (в хардкоре игрок ходит первым),
+ * ход переходит к стороне, у которой остались карты, цель боя выбирает AI,
+ * последствия хода рассчитываются в GameRules.
+ */
+
+const MatchSimulator = (() => {
+    const GameRules = (typeof window !== 'undefined' && window.GameRules) || require('./game-rules.js');
+    const aiMoveCalculator = (typeof window !== 'undefined' && window.aiMoveCalculator) || require('./ai-move-calculator.js');
+    const aiAttackSelector = (typeof window !== 'undefined' && window.aiAttackSelector) || require('./ai-attack-selector.js');
+    const aiSearch = (typeof window !== 'undefined' && window.aiSearch) || require('./ai-search.js');
+    const aiMonteCarlo = (typeof window !== 'undefined' && window.aiMonteCarlo) || require('./ai-monte-carlo.js');
+
+    // === Вспомогательные функции ===
+
+    /**
+     * Поле по раскладке { rows, cols, unavailableCells, terrain }
+     */
+    function createBoardFromLayout(layout = {}) {
+        const rows = layout.rows || GameRules.DEFAULT_GRID_SIZE;
+        const cols = layout.cols || GameRules.DEFAULT_GRID_SIZE;
+        const unavailable = new Set(layout.unavailableCells || []);
+        const terrain = layout.terrain || {};
+        const cells = [];
+
+        for (let index = 0; index < rows * cols; index += 1) {
+            cells.push({ index, isAvailable: !unavailable.has(index), terrain: terrain[index] || null, card: null });
+        }
+
+        return GameRules.createBoard(cells, { rows, cols });
+    }
+
+    /**
+     * Выбор цели при нескольких битвах (как aiSelectsTarget в оркестраторе)
+     */
+    function selectTarget(board, battles, cellIndex, owner, rules, personality) {
+        const attackerCell = GameRules.getCell(board, cellIndex);
+
+        const selectedId = aiAttackSelector.selectAiAttackTarget({
+            attacker: attackerCell.card,
+            attackerCellIndex: cellIndex,
+            targets: battles.map(b => ({
+                ...b.defenderCard,
+                id: b.defenderCellIndex,
+                cellIndex: b.defenderCellIndex
+            })),
+            enemyOwner: GameRules.getOpposingOwner(owner),
+            board,
+            rules,
+            personality
+        });
+
+        return battles.find(b => b.defenderCellIndex === selectedId) || battles[0];
+    }
+
+    // === Партия ===
+
+    /**
+     * Проигрывание партии до конца
+     *
+     * @param {Object} params
+     * @param {Array} params.playerHand - Рука игрока
+     * @param {Array} params.opponentHand - Рука соперника
+     * @param {Object} params.layout - Раскладка поля { rows, cols, unavailableCells, terrain }
+     * @param {string} params.gameMode - Режим игры
+     * @param {Object} params.rules - Правила вместо правил режима (например, другая стратегия боя)
+     * @param {Object} params.difficulty - Уровни сложности ИИ по сторонам { player, opponent } (см. aiSearch)
+     * @param {Object} params.personalities - Характеры ИИ по сторонам { player, opponent } (см. AiPersonality)
+     * @param {Object} params.engines - Движки ИИ по сторонам { player, opponent }: 'scoring' | 'monteCarlo'
+     *                                  (по умолчанию — rules.aiEngine)
+     * @param {Object} params.monteCarlo - Параметры aiMonteCarlo { playouts, timeBudgetMs, policy }
+     * @param {Object} params.search - Параметры aiSearch { timeBudgetMs }; по умолчанию бюджет времени
+     *                                 не ограничен, чтобы глубина поиска не зависела от скорости машины
+     * @param {Function} params.rng - Генератор случайных чисел [0, 1)
+     * @returns {{winner: string|null, playerScore: number, opponentScore: number, firstTurn: string, moves: Array, board: Object}}
+     */
+    function playMatch({ playerHand, opponentHand, layout = {}, gameMode = 'standard', rules = null, difficulty = {}, personalities = {}, engines = {}, monteCarlo = {}, search = { timeBudgetMs: Infinity }, rng = Math.random }) {
+        const matchRules = rules || GameRules.getModeRules(gameMode);
+        const hands = {
+            player: playerHand.map(card => ({ ...card, used: false })),
+            opponent: opponentHand.map(card => ({ ...card, used: false }))
+        };
+        const moves = [];
+        let board = createBoardFromLayout(layout);
+
+        const hasCards = owner => hands[owner].some(card => !card.used);
+        const hasEmptyCells = () => board.cells.some(cell => cell.isAvailable && !cell.card);
+
+        // Жребий, если режим не отдаёт первый ход игроку
+        const firstTurn = matchRules.firstTurn === 'player' || rng() < 0.5 ? 'player' : 'opponent';
+        let owner = firstTurn;
+
+        while (hasEmptyCells() && (hasCards('player') || hasCards('opponent'))) {
+            // Сторона без карт пропускает ход
+            if (!hasCards(owner)) {
+                owner = GameRules.getOpposingOwner(owner);
+            }
+
+            const enemy = GameRules.getOpposingOwner(owner);
+            const moveOptions = {
+                gameMode,
+                rules: matchRules,
+                aiOwner: owner,
+                difficulty: difficulty[owner],
+                personality: personalities[owner],
+                rng
+            };
+
+            // Параметры движка передаются только ему самому
+            let calculateMove = aiMoveCalculator.calculateAiMove;
+            if ((engines[owner] || matchRules.aiEngine) === 'monteCarlo') {
+                calculateMove = aiMonteCarlo.calculateMonteCarloMove;
+                Object.assign(moveOptions, monteCarlo);
+            } else if (difficulty[owner]) {
+                calculateMove = aiSearch.calculateSearchMove;
+                Object.assign(moveOptions, search);
+            }
+
+            const aiMove = calculateMove(
+                board,
+                hands[owner].filter(card => !card.used),
+                hands[enemy].filter(card => !card.used),
+                moveOptions
+            );
+
+            if (!aiMove || aiMove.cardId === null || aiMove.cellIndex === null) {
+                break;
+            }
+
+            const card = hands[owner].find(c => c.id === aiMove.cardId);
+            card.used = true;
+
+            const placedBoard = GameRules.placeCard(board, aiMove.cellIndex, card, owner);
+            const battles = GameRules.analyzeNeighbors(placedBoard, aiMove.cellIndex, owner)
+                .filter(conflict => conflict.type === 'battle');
+            const target = battles.length > 1
+                ? selectTarget(placedBoard, battles, aiMove.cellIndex, owner, matchRules, personalities[owner])
+                : null;
+
+            const result = GameRules.resolvePlacement(placedBoard, aiMove.cellIndex, owner, {
+                rules: matchRules,
+                rng,
+                targetCellIndex: target ? target.defenderCellIndex : null
+            });
+
+            board = result.board;
+            moves.push({ owner, cardId: card.id, cellIndex: aiMove.cellIndex, events: result.events });
+
+            owner = enemy;
+        }
+
+        const { player: playerScore, opponent: opponentScore } = GameRules.countOwnership(board);
+        let winner = null;
+        if (playerScore > opponentScore) {
+            winner = 'player';
+        } else if (opponentScore > playerScore) {
+            winner = 'opponent';
+        }
+
+        return { winner, playerScore, opponentScore, firstTurn, moves, board };
+    }
+
+    // === Публичный API ===
+    return {
+        createBoardFromLayout,
+        playMatch
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.MatchSimulator = MatchSimulator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchSimulator;
+}
@@ -0,0 +1,198 @@
+/**
+ * Narrative Event Orchestrator for Technomaster
+ * Сюжетные события между партиями (см. NarrativeEvents): бросок события после
+ * новой партии, выбор варианта и применение исхода к коллекции.
+ *
+ * Исходы меняют userData.cards теми же функциями, что и прогресс партии:
+ * повышение уровня — userCards.processCardLevelUp, новая карта — userCards.addCardToUserDeck.
+ * Ожидающее событие сохраняется в userData.narrative, поэтому переживает перезагрузку;
+ * исход бросается только при выборе варианта и сохраняется вместе со снятием события.
+ */
+
+const narrativeEventOrchestrator = (() => {
+    // Группы карт для новой карты из события, если в эффекте не заданы свои веса
+    const DEFAULT_GROUP_WEIGHTS = [1, 1, 1, 1];
+
+    async function getUserData() {
+        if (window.userCards?.whenReady) {
+            await window.userCards.whenReady();
+        }
+
+        const userData = await window.userCards.getUserData();
+        if (!userData) {
+            throw new Error('Данные пользователя недоступны.');
+        }
+
+        return userData;
+    }
+
+    async function saveUserData(userData) {
+        const saved = await window.userCards.saveUserData(userData);
+        if (saved === false) {
+            throw new Error('Не удалось сохранить событие.');
+        }
+    }
+
+    async function getCardGenerator() {
+        await window.cardRenderer.init();
+        return window.cardRenderer;
+    }
+
+    function getCardName(card) {
+        return card ? window.cardRenderer.getCardType(card.cardTypeId)?.name || `Карта ${card.cardTypeId}` : '';
+    }
+
+    function findCard(userData, cardId) {
+        return NarrativeEvents.getPlayerCards(userData).find(card => card.id === cardId) || null;
+    }
+
+    /**
+     * Ожидающее событие и его описание; событие, которое больше нельзя разыграть
+     * (удалено из таблицы или карта события ушла из коллекции), снимается
+     * @returns {Promise<{userData: Object, event: Object, subjectCard: Object|null}|null>}
+     */
+    async function loadPending() {
+        const userData = await getUserData();
+        const pending = NarrativeEvents.getState(userData).pending;
+        if (!pending) {
+            return null;
+        }
+
+        const catalog = await window.partyOrchestrator.getNarrativeEvents();
+        const event = NarrativeEvents.findEvent(catalog, pending.code);
+        const subjectCard = pending.subjectCardId !== null ? findCard(userData, pending.subjectCardId) : null;
+
+        if (!event || (event.subject && !subjectCard)) {
+            console.warn('NarrativeEventOrchestrator: Событие больше недоступно, снимаем', pending);
+            userData.narrative = { ...userData.narrative, pending: null };
+            await saveUserData(userData);
+            return null;
+        }
+
+        return { userData, event, subjectCard };
+    }
+
+    /**
+     * Событие после новых партий (бросок шанса один раз на партию)
+     * @returns {Promise<Object|null>} { code, title, text, choices: [label], card } или null
+     */
+    async function getPendingEvent() {
+        const userData = await getUserData();
+        const catalog = await window.partyOrchestrator.getNarrativeEvents();
+        const stateBefore = JSON.stringify(NarrativeEvents.getState(userData));
+
+        NarrativeEvents.rollPending(catalog, userData, {
+            chance: GameConfig.get('narrativeEventChance'),
+            maxCardLevel: GameConfig.get('maxCardLevel')
+        });
+
+        if (JSON.stringify(userData.narrative) !== stateBefore) {
+            await saveUserData(userData);
+        }
+
+        const loaded = await loadPending();
+        if (!loaded) {
+            return null;
+        }
+
+        await getCardGenerator();
+        const cardName = getCardName(loaded.subjectCard);
+
+        return {
+            code: loaded.event.code,
+            title: loaded.event.title,
+            text: NarrativeEvents.formatText(loaded.event.text, cardName),
+            choices: loaded.event.choices.map(choice => NarrativeEvents.formatText(choice.label, cardName)),
+            card: loaded.subjectCard
+        };
+    }
+
+    /**
+     * Новая карта по эффекту gainCard (параметры в формате правил колоды)
+     */
+    function generateEventCard(cardGenerator, effect) {
+        const groupWeights = Array.isArray(effect.groupWeights) ? effect.groupWeights : DEFAULT_GROUP_WEIGHTS;
+        const [card] = cardGenerator.generateDeck({
+            deck_size: 1,
+            level_min: effect.levelMin ?? 0,
+            level_max: effect.levelMax ?? effect.levelMin ?? 0,
+            group_1_weight: groupWeights[0] || 0,
+            group_2_weight: groupWeights[1] || 0,
+            group_3_weight: groupWeights[2] || 0,
+            group_4_weight: groupWeights[3] || 0
+        });
+        return card;
+    }
+
+    /**
+     * Выбор варианта ожидающего события: бросок исхода и применение эффектов
+     * @param {number} choiceIndex
+     * @returns {Promise<{text: string, results: Array<string>}>} Текст исхода и изменения коллекции
+     */
+    async function chooseOption(choiceIndex) {
+        const loaded = await loadPending();
+        if (!loaded) {
+            throw new Error('Событие не найдено.');
+        }
+
+        const { userData, event } = loaded;
+        const outcome = NarrativeEvents.rollOutcome(event, choiceIndex);
+        if (!outcome) {
+            throw new Error('Вариант события не найден.');
+        }
+
+        const cardGenerator = await getCardGenerator();
+        const cardName = getCardName(loaded.subjectCard);
+        let subjectCardId = loaded.subjectCard ? loaded.subjectCard.id : null;
+        const results = [];
+        const gainedCards = [];
+
+        outcome.effects.forEach(effect => {
+            if (effect.type === 'levelUp') {
+                const result = window.userCards.processCardLevelUp(subjectCardId, userData, cardGenerator);
+                if (result.status === 'success') {
+                    subjectCardId = result.newCard.id;
+                    results.push(`${cardName}: уровень ${result.newCard.cardLevel}`);
+                } else {
+                    console.warn('NarrativeEventOrchestrator: Повышение уровня не выполнено', result.message);
+                }
+            } else if (effect.type === 'loseCard') {
+                const cardIndex = userData.cards.findIndex(card => card.id === subjectCardId);
+                if (cardIndex !== -1) {
+                    userData.cards.splice(cardIndex, 1);
+                    subjectCardId = null;
+                    results.push(`${cardName}: потеряна`);
+                }
+            } else if (effect.type === 'gainCard') {
+                gainedCards.push(generateEventCard(cardGenerator, effect));
+            }
+        });
+
+        // Событие снимается вместе с изменениями коллекции, поэтому исход не перебросить
+        userData.narrative = { ...userData.narrative, pending: null };
+        await saveUserData(userData);
+
+        for (const card of gainedCards) {
+            const saved = await window.userCards.addCardToUserDeck(card);
+            if (saved !== false) {
+                results.push(`Новая карта: ${getCardName(card.renderParams)}`);
+            }
+        }
+
+        console.log('NarrativeEventOrchestrator: Событие', event.code, 'вариант', choiceIndex, results);
+
+        return {
+            text: NarrativeEvents.formatText(outcome.text, cardName),
+            results
+        };
+    }
+
+    return {
+        getPendingEvent,
+        chooseOption
+    };
+})();
+
+window.narrativeEventOrchestrator = narrativeEventOrchestrator;
+
+console.log('NarrativeEventOrchestrator: Модуль загружен. Используйте narrativeEventOrchestrator.getPendingEvent().');
@@ -0,0 +1,285 @@
+/**
+ * NarrativeEvents Module for Technomaster
+ * Сюжетные события между партиями (таблица narrative_events в cards.db).
+ * После завершённой партии с шансом narrativeEventChance игроку выпадает короткая
+ * история с вариантами выбора; исход варианта меняет коллекцию (userData.cards).
+ * Модуль не зависит от DOM: выбор события и исхода берётся из переданного генератора.
+ *
+ * Колонки события:
+ *   weight     — вес среди подходящих событий
+ *   subject    — карта события: 'any' (любая карта игрока), 'upgradable' (ниже
+ *                максимального уровня) или пусто (событие без карты)
+ *   conditions — JSON { minCards, maxCards, minParties, minWins }
+ *   choices    — JSON [{ label, outcomes: [{ weight, text, effects: [{ type, ... }] }] }]
+ * В тексте события и исходов {card} заменяется названием карты события.
+ *
+ * Эффекты исхода (EFFECT_TYPES):
+ *   levelUp  {}                                   — карта события повышает уровень
+ *   loseCard {}                                   — карта события уходит из коллекции
+ *   gainCard { levelMin, levelMax, groupWeights } — в коллекцию добавляется новая карта
+ *
+ * Состояние хранится в userData.narrative: { lastPartyId, pending }.
+ * lastPartyId — последняя партия, после которой бросался шанс события,
+ * pending — выпавшее событие { code, subjectCardId }, ещё не разыгранное игроком.
+ */
+
+const NarrativeEvents = (() => {
+    const EFFECT_TYPES = {
+        levelUp: { name: 'Повышение уровня', needsSubject: true },
+        loseCard: { name: 'Потеря карты', needsSubject: true },
+        gainCard: { name: 'Новая карта', needsSubject: false }
+    };
+
+    const SUBJECT_TYPES = ['any', 'upgradable'];
+
+    const COLUMNS = ['id', 'code', 'title', 'text', 'weight', 'subject', 'conditions', 'choices'];
+
+    function parseJson(value, fallback) {
+        if (value === null || value === undefined || value === '') {
+            return fallback;
+        }
+        return JSON.parse(value);
+    }
+
+    function isValidOutcome(outcome, subject) {
+        return Boolean(outcome)
+            && Number(outcome.weight) > 0
+            && Array.isArray(outcome.effects)
+            && outcome.effects.every(effect => (
+                effect?.type in EFFECT_TYPES && (subject || !EFFECT_TYPES[effect.type].needsSubject)
+            ));
+    }
+
+    function isValidChoice(choice, subject) {
+        return Boolean(choice?.label)
+            && Array.isArray(choice.outcomes)
+            && choice.outcomes.length > 0
+            && choice.outcomes.every(outcome => isValidOutcome(outcome, subject));
+    }
+
+    /**
+     * Событие из строки таблицы narrative_events
+     * @param {Object} row - { column: value }
+     * @returns {Object|null} null — JSON не разобран или описание события некорректно
+     */
+    function fromDbRow(row) {
+        if (!row) {
+            return null;
+        }
+
+        let conditions;
+        let choices;
+        try {
+            conditions = parseJson(row.conditions, {});
+            choices = parseJson(row.choices, []);
+        } catch (error) {
+            console.warn(`NarrativeEvents: Некорректный JSON события «${row.code}»`, error);
+            return null;
+        }
+
+        const subject = row.subject || null;
+        if (subject && !SUBJECT_TYPES.includes(subject)) {
+            console.warn(`NarrativeEvents: Неизвестная карта события «${row.code}»: ${subject}`);
+            return null;
+        }
+
+        if (!Array.isArray(choices) || choices.length === 0 || !choices.every(choice => isValidChoice(choice, subject))) {
+            console.warn(`NarrativeEvents: Некорректные варианты события «${row.code}»`);
+            return null;
+        }
+
+        return {
+            id: row.id,
+            code: row.code,
+            title: row.title,
+            text: row.text,
+            weight: Number(row.weight) > 0 ? Number(row.weight) : 1,
+            subject,
+            conditions: conditions || {},
+            choices
+        };
+    }
+
+    /**
+     * Все события из таблицы narrative_events (пустой список, если таблицы нет)
+     * @param {Object} db - База sql.js
+     * @returns {Array<Object>}
+     */
+    function readCatalog(db) {
+        let result;
+        try {
+            result = db.exec(`SELECT ${COLUMNS.join(', ')} FROM narrative_events ORDER BY id`);
+        } catch (error) {
+            console.warn('NarrativeEvents: Таблица narrative_events недоступна', error);
+            return [];
+        }
+
+        const { columns = [], values = [] } = result[0] || {};
+        return values
+            .map(row => fromDbRow(Object.fromEntries(columns.map((column, index) => [column, row[index]]))))
+            .filter(Boolean);
+    }
+
+    /**
+     * Взвешенный выбор элемента с полем weight
+     * @param {Array<Object>} items
+     * @param {Function} rng - Генератор [0, 1)
+     * @returns {Object|null}
+     */
+    function pickWeighted(items, rng) {
+        const totalWeight = items.reduce((sum, item) => sum + Number(item.weight), 0);
+        if (items.length === 0 || totalWeight <= 0) {
+            return null;
+        }
+
+        let roll = rng() * totalWeight;
+        for (const item of items) {
+            roll -= Number(item.weight);
+            if (roll < 0) {
+                return item;
+            }
+        }
+
+        return items[items.length - 1];
+    }
+
+    /**
+     * Карты коллекции игрока
+     */
+    function getPlayerCards(userData) {
+        const playerCardholder = userData.cardholders?.find(cardholder => cardholder.player === true);
+        if (!playerCardholder) {
+            return [];
+        }
+        return (userData.cards || []).filter(card => card.cardholder_id === playerCardholder.id);
+    }
+
+    /**
+     * Карты, которые могут стать картой события
+     * @param {Object} event
+     * @param {Object} userData
+     * @param {number} maxCardLevel - Максимальный уровень карты
+     * @returns {Array<Object>}
+     */
+    function getSubjectCandidates(event, userData, maxCardLevel) {
+        const cards = getPlayerCards(userData);
+        return event.subject === 'upgradable'
+            ? cards.filter(card => Number(card.cardLevel || 0) < maxCardLevel)
+            : cards;
+    }
+
+    /**
+     * Проверка условий события по коллекции и истории партий
+     * @param {Object} event
+     * @param {Object} userData
+     * @param {number} maxCardLevel
+     * @returns {boolean}
+     */
+    function isAvailable(event, userData, maxCardLevel) {
+        const { minCards, maxCards, minParties, minWins } = event.conditions;
+        const cardCount = getPlayerCards(userData).length;
+        const parties = userData.parties || [];
+
+        if (minCards !== undefined && cardCount < minCards) {
+            return false;
+        }
+        if (maxCards !== undefined && cardCount > maxCards) {
+            return false;
+        }
+        if (minParties !== undefined && parties.length < minParties) {
+            return false;
+        }
+        if (minWins !== undefined && parties.filter(party => party.win).length < minWins) {
+            return false;
+        }
+
+        return !event.subject || getSubjectCandidates(event, userData, maxCardLevel).length > 0;
+    }
+
+    /**
+     * Состояние событий игрока (пустое, если событий ещё не было)
+     */
+    function getState(userData) {
+        return userData.narrative || { lastPartyId: 0, pending: null };
+    }
+
+    /**
+     * Бросок события после новых партий.
+     * Шанс бросается один раз на последнюю записанную партию, поэтому
+     * перезагрузка стартового экрана не даёт новых попыток.
+     *
+     * @param {Array<Object>} catalog - События из readCatalog
+     * @param {Object} userData - Изменяется: обновляется userData.narrative
+     * @param {Object} options - { chance, maxCardLevel, rng }
+     * @returns {Object|null} Выпавшее событие { code, subjectCardId } или уже ожидающее
+     */
+    function rollPending(catalog, userData, { chance, maxCardLevel, rng = Math.random }) {
+        const state = getState(userData);
+        const lastPartyId = (userData.parties || []).reduce((max, party) => Math.max(max, party.id || 0), 0);
+
+        if (state.pending || lastPartyId <= state.lastPartyId) {
+            return state.pending;
+        }
+
+        let pending = null;
+        if (rng() < chance) {
+            const event = pickWeighted(catalog.filter(item => isAvailable(item, userData, maxCardLevel)), rng);
+            if (event) {
+                const candidates = event.subject ? getSubjectCandidates(event, userData, maxCardLevel) : [];
+                const subjectCard = candidates[Math.floor(rng() * candidates.length)] || null;
+                pending = { code: event.code, subjectCardId: subjectCard ? subjectCard.id : null };
+            }
+        }
+
+        userData.narrative = { lastPartyId, pending };
+        return pending;
+    }
+
+    /**
+     * Описание события по коду (null — событие удалено из таблицы)
+     */
+    function findEvent(catalog, code) {
+        return catalog.find(event => event.code === code) || null;
+    }
+
+    /**
+     * Исход выбранного варианта
+     * @param {Object} event
+     * @param {number} choiceIndex
+     * @param {Function} rng
+     * @returns {Object|null} { weight, text, effects }
+     */
+    function rollOutcome(event, choiceIndex, rng = Math.random) {
+        const choice = event.choices[choiceIndex];
+        return choice ? pickWeighted(choice.outcomes, rng) : null;
+    }
+
+    /**
+     * Подстановка названия карты события в текст
+     */
+    function formatText(text, cardName) {
+        return String(text || '').replace(/\{card\}/g, cardName || 'устройство');
+    }
+
+    return {
+        EFFECT_TYPES,
+        SUBJECT_TYPES,
+        fromDbRow,
+        readCatalog,
+        getPlayerCards,
+        isAvailable,
+        getState,
+        rollPending,
+        findEvent,
+        rollOutcome,
+        formatText
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.NarrativeEvents = NarrativeEvents;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NarrativeEvents;
+}
@@ -8,22 +8,15 @@
 const partyGameOrchestrator = (() => {
     // === Константы ===
     const PLAYER_CARDHOLDER_ID = 1;
-    const LEVEL_UP_CHANCE = 0.1;
-    const MAX_CARD_LEVEL = 2;
     const AI_MOVE_DELAY_MIN = 1000;
     const AI_MOVE_DELAY_MAX = 1500;
+    const CHECKPOINT_VERSION = 1;
 
-    // === Направления и их свойства стрелок ===
-    const directions = [
-        { name: 'topLeft', rowDelta: -1, colDelta: -1, activeArrow: 'arrowTopLeft', reactiveArrow: 'arrowBottomRight' },
-        { name: 'top', rowDelta: -1, colDelta: 0, activeArrow: 'arrowTop', reactiveArrow: 'arrowBottom' },
-        { name: 'topRight', rowDelta: -1, colDelta: 1, activeArrow: 'arrowTopRight', reactiveArrow: 'arrowBottomLeft' },
-        { name: 'right', rowDelta: 0, colDelta: 1, activeArrow: 'arrowRight', reactiveArrow: 'arrowLeft' },
-        { name: 'bottomRight', rowDelta: 1, colDelta: 1, activeArrow: 'arrowBottomRight', reactiveArrow: 'arrowTopLeft' },
-        { name: 'bottom', rowDelta: 1, colDelta: 0, activeArrow: 'arrowBottom', reactiveArrow: 'arrowTop' },
-        { name: 'bottomLeft', rowDelta: 1, colDelta: -1, activeArrow: 'arrowBottomLeft', reactiveArrow: 'arrowTopRight' },
-        { name: 'left', rowDelta: 0, colDelta: -1, activeArrow: 'arrowLeft', reactiveArrow: 'arrowRight' }
-    ];
+    // Имена сторон в игре вдвоём на одном устройстве
+    const HOTSEAT_SIDE_NAMES = {
+        player: 'Игрок 1',
+        rival: 'Игрок 2'
+    };
 
     // === Глобальное состояние оркестратора ===
     const state = {
@@ -51,6 +44,9 @@ const partyGameOrchestrator = (() => {
         isSavingProgress: false,
         isPartyResultRecorded: false,
 
+        // Итог завершённой партии; хранится в контрольной точке, пока результат не сохранён
+        result: null,
+
         // Результаты боев текущего хода
         currentMoveBattles: [],
         pendingCaptures: [],
@@ -58,49 +54,41 @@ const partyGameOrchestrator = (() => {
         // Режим игры
         gameMode: 'standard',
 
+        // Арена партии { id, name } (раскладка поля уже на экране)
+        arena: null,
+
+        // Игра вдвоём { deckSource, stakes }; null — соперником управляет AI
+        hotseat: null,
+
+        // Демо-партия: за обе стороны играет AI, результат не сохраняется
+        isSpectator: false,
+
+        // Партия забега { runId, nodeId, nodeType, relics }; итог сохраняет runOrchestrator
+        run: null,
+
+        // Реликвии игрока на партию с оставшимися зарядами (см. Relics)
+        relics: [],
+
+        // Множитель скорости демо-партии (ускоряет паузы и анимации)
+        playbackSpeed: 1,
+
+        // Зерно генератора случайных чисел партии
+        seed: null,
+
+        // Запись повтора партии
+        replay: null,
+
         // Ссылка на экран
         screenApi: null
     };
 
     // === Вспомогательные функции ===
 
-    /**
-     * Получение числового значения характеристики
-     */
-    function getStatValue(value) {
-        const multiplier = window.GameConfig?.statMultiplier ?? 16;
-        if (typeof value === 'number' && Number.isFinite(value)) {
-            if (Number.isInteger(value) && value >= 0 && value <= 15) {
-                return value * multiplier;
-            }
-            return value;
-        }
-
-        if (typeof value === 'string') {
-            const trimmed = value.trim();
-            if (/^[0-9a-f]$/i.test(trimmed)) {
-                return parseInt(trimmed, 16) * multiplier;
-            }
-            if (/^0x[0-9a-f]+$/i.test(trimmed)) {
-                return parseInt(trimmed, 16);
-            }
-            const parsed = Number.parseFloat(trimmed);
-            if (Number.isFinite(parsed)) {
-                if (Number.isInteger(parsed) && parsed >= 0 && parsed <= 15) {
-                    return parsed * multiplier;
-                }
-                return parsed;
-            }
-        }
-
-        return 0;
-    }
-
     /**
      * Задержка выполнения
      */
     function delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return new Promise(resolve => setTimeout(resolve, ms / state.playbackSpeed));
     }
 
     /**
@@ -111,71 +99,99 @@ const partyGameOrchestrator = (() => {
     }
 
     /**
-     * Получение ячейки по индексу
+     * Расчёт в потоке AI (js/ai-worker.js) с откатом на основной поток.
+     * Отмена расчёта (aiWorkerClient.cancel) пробрасывается вызывающему коду.
+     * @param {string} type - Тип запроса к воркеру
+     * @param {Object} payload - Данные запроса
+     * @param {Function} fallback - Тот же расчёт в основном потоке
      */
-    function getCellByIndex(index) {
-        if (!state.fieldState || !state.fieldState.cells) {
-            return null;
+    async function runAiTask(type, payload, fallback) {
+        const client = window.aiWorkerClient;
+        if (!client?.isAvailable()) {
+            return fallback();
+        }
+
+        try {
+            return await client.request(type, payload);
+        } catch (error) {
+            if (client.isCancelled(error)) {
+                throw error;
+            }
+            console.warn('PartyGameOrchestrator: Воркер AI недоступен, расчёт в основном потоке:', error.message);
+            return fallback();
         }
-        return state.fieldState.cells.find(c => c.index === index) || null;
     }
 
     /**
-     * Получение соседней ячейки по направлению
+     * Отмена незавершённого расчёта AI
      */
-    function getNeighborCell(cell, direction) {
-        const row = cell.row + direction.rowDelta;
-        const col = cell.col + direction.colDelta;
+    function cancelAiTasks() {
+        window.aiWorkerClient?.cancel();
+    }
 
-        if (row < 0 || row > 3 || col < 0 || col > 3) {
-            return null;
+    /**
+     * Индикатор «раздумий» AI на экране
+     * @param {boolean} active
+     * @param {string} owner - 'player' | 'opponent'
+     */
+    function setAiThinking(active, owner = 'opponent') {
+        if (state.screenApi?.setAiThinking) {
+            state.screenApi.setAiThinking(active, owner);
         }
+    }
 
-        const index = row * 4 + col;
-        return getCellByIndex(index);
+    /**
+     * Имя стороны в сообщениях игры вдвоём
+     * @param {string} turn - 'player' | 'rival'
+     */
+    function getSideName(turn) {
+        return HOTSEAT_SIDE_NAMES[turn] || HOTSEAT_SIDE_NAMES.player;
     }
 
     /**
-     * Определение владельца карты
+     * Правила партии: флаги режима и реликвии игрока.
+     * Передаются в GameRules, воркер и оценку ходов AI.
      */
-    function getCardOwner(card) {
-        if (!card) return null;
-        if (card.owner) return card.owner;
-        if (card.ownership === 'rival') return 'opponent';
-        if (card.ownership === 'player') return 'player';
-        return null;
+    function getMatchRules() {
+        const modeRules = GameRules.getModeRules(state.gameMode);
+        return state.relics.length > 0 ? { ...modeRules, relics: { player: state.relics } } : modeRules;
     }
 
     /**
-     * Проверка, является ли карта вражеской
+     * Списание зарядов реликвий, сработавших в ходе
+     * @param {Array<{owner: string, relicId: *}>} usedRelics - Из результата GameRules.resolvePlacement
      */
-    function isEnemyCard(card, currentOwner) {
-        const cardOwner = getCardOwner(card);
-        if (!cardOwner) return false;
-        return cardOwner !== currentOwner;
+    function spendRelicCharges(usedRelics = []) {
+        const relicIds = usedRelics.filter(used => used.owner === 'player').map(used => used.relicId);
+        if (relicIds.length === 0 || !window.Relics) {
+            return;
+        }
+
+        state.relics = window.Relics.spendCharges(state.relics, relicIds);
+        state.screenApi?.updateRelics?.(state.relics);
     }
 
     /**
-     * Получение защиты в зависимости от типа атаки
+     * Передача устройства следующему игроку (только в игре вдвоём).
+     * Экран закрывает руки и ждёт подтверждения от игрока, который будет ходить.
+     * @param {string} turn - 'player' | 'rival'
      */
-    function resolveDefenseValue(attacker, defender) {
-        const mechanicalDefense = getStatValue(defender.mechanicalDefense);
-        const electricalDefense = getStatValue(defender.electricalDefense);
-        const defenderAttack = getStatValue(defender.attackLevel);
-
-        switch (attacker.attackType) {
-            case 'P':
-                return mechanicalDefense;
-            case 'E':
-            case 'M':
-                return electricalDefense;
-            case 'X':
-                return Math.min(mechanicalDefense, electricalDefense);
-            case 'A':
-                return Math.min(mechanicalDefense, electricalDefense, defenderAttack);
-            default:
-                return mechanicalDefense;
+    async function handOverDevice(turn) {
+        if (!state.hotseat || !state.screenApi?.showHandover) {
+            return;
+        }
+
+        await state.screenApi.showHandover(turn === 'player' ? 'player' : 'opponent', getSideName(turn));
+    }
+
+    /**
+     * Получение ячейки по индексу
+     */
+    function getCellByIndex(index) {
+        if (!state.fieldState || !state.fieldState.cells) {
+            return null;
         }
+        return state.fieldState.cells.find(c => c.index === index) || null;
     }
 
     // === Этап 0: Инициализация ===
@@ -202,15 +218,10 @@ const partyGameOrchestrator = (() => {
 
             // Инициализируем fieldState из fieldCells
             if (initialState.fieldCells && initialState.fieldCells.length > 0) {
-                state.fieldState = {
-                    cells: initialState.fieldCells.map(c => ({
-                        index: c.index,
-                        row: c.row !== undefined ? c.row : Math.floor(c.index / 4),
-                        col: c.col !== undefined ? c.col : c.index % 4,
-                        isAvailable: c.isAvailable,
-                        card: c.card || null
-                    }))
-                };
+                state.fieldState = GameRules.createBoard(initialState.fieldCells, {
+                    rows: initialState.fieldRows,
+                    cols: initialState.fieldCols
+                });
             }
         }
 
@@ -221,9 +232,28 @@ const partyGameOrchestrator = (() => {
             state.playerHand = payload.playerHand || [];
             state.opponentHand = payload.opponentHand || [];
             state.gameMode = payload.gameMode || 'standard';
-            console.log('PartyGameOrchestrator: Режим игры -', state.gameMode);
+            state.arena = payload.arena || null;
+            state.hotseat = payload.hotseat || null;
+            state.run = payload.run || null;
+            state.relics = window.Relics ? window.Relics.prepareForMatch(state.run?.relics || []) : [];
+            state.isSpectator = Boolean(payload.spectator);
+            if (state.isSpectator) {
+                setPlaybackSpeed(payload.spectator.speed || 1);
+            }
+            console.log('PartyGameOrchestrator: Режим игры -', state.gameMode, 'Арена -', state.arena?.name || 'по умолчанию');
+            state.screenApi?.updateRelics?.(state.relics);
         }
 
+        // Продолжение прерванной партии (экран уже восстановил поле и руки)
+        if (payload?.resume && initialState?.checkpoint) {
+            await resumeFromCheckpoint(initialState.checkpoint, payload.resume);
+            return;
+        }
+
+        // Зерно уже установлено экраном партии до генерации поля
+        state.seed = SeededRandom.getSeed();
+        console.log('PartyGameOrchestrator: Зерно партии -', state.seed);
+
         // Получаем данные оппонента
         if (state.opponentId && window.partyScreen) {
             state.opponentData = await getOpponentData(state.opponentId);
@@ -240,24 +270,63 @@ const partyGameOrchestrator = (() => {
         let coinFlip;
         let firstTurnMessage;
 
-        if (state.gameMode === 'hardcore') {
-            coinFlip = true; // Игрок всегда первый в хардкоре
+        if (state.isSpectator) {
+            addSystemMessage('Демо-партия: ИИ против ИИ');
+        }
+
+        const modeRules = GameRules.getModeRules(state.gameMode);
+        if (modeRules.firstTurn === 'player') {
+            coinFlip = true; // Режим, в котором игрок всегда первый
             state.currentTurn = 'player';
-            firstTurnMessage = 'Режим ХАРДКОР: Вы всегда ходите первым!';
+            const modeTitle = `Режим ${modeRules.name.toUpperCase()}`;
+            firstTurnMessage = state.hotseat
+                ? `${modeTitle}: ${getSideName('player')} всегда ходит первым!`
+                : `${modeTitle}: Вы всегда ходите первым!`;
         } else {
             // Определяем первый ход случайным образом (50/50)
-            coinFlip = Math.random() < 0.5;
+            coinFlip = SeededRandom.random() < 0.5;
             state.currentTurn = coinFlip ? 'player' : 'rival';
-            firstTurnMessage = coinFlip
-                ? 'Орёл или Решка? Первый ход за Вами!'
-                : 'Орёл или Решка? Первый ход за Соперником!';
+            if (state.hotseat) {
+                firstTurnMessage = `Орёл или Решка? Первый ход за: ${getSideName(state.currentTurn)}!`;
+            } else {
+                firstTurnMessage = coinFlip
+                    ? 'Орёл или Решка? Первый ход за Вами!'
+                    : 'Орёл или Решка? Первый ход за Соперником!';
+            }
         }
 
+        if (state.arena) {
+            addSystemMessage(`Арена: ${state.arena.name}`);
+        }
+        if (!state.hotseat && state.opponentData?.personality) {
+            addSystemMessage(`Характер соперника: ${state.opponentData.personality.name}`);
+        }
         addSystemMessage(firstTurnMessage);
         state.isPartyResultRecorded = false;
+        state.result = null;
 
         // Логируем в историю
-        logGameEvent('game_start', { firstTurn: state.currentTurn });
+        logGameEvent('game_start', {
+            firstTurn: state.currentTurn,
+            seed: state.seed,
+            arenaId: state.arena?.id ?? null,
+            hotseat: Boolean(state.hotseat)
+        });
+
+        // Начинаем запись повтора
+        state.replay = window.MatchReplay
+            ? window.MatchReplay.createReplay({
+                seed: state.seed,
+                gameMode: state.gameMode,
+                opponentId: state.opponentId,
+                arena: state.arena,
+                board: state.fieldState,
+                playerHand: state.playerHand,
+                opponentHand: state.opponentHand,
+                firstTurn: state.currentTurn,
+                relics: state.relics
+            })
+            : null;
 
         // Задержка перед первым ходом
         await delay(1500);
@@ -270,6 +339,172 @@ const partyGameOrchestrator = (() => {
         }
     }
 
+    /**
+     * Восстановление партии из контрольной точки
+     * @param {Object} checkpoint - Снимок партии (см. saveCheckpoint)
+     * @param {string} action - 'continue' | 'forfeit'
+     */
+    async function resumeFromCheckpoint(checkpoint, action) {
+        state.opponentId = checkpoint.opponentId;
+        state.opponentData = checkpoint.opponentData || await getOpponentData(checkpoint.opponentId);
+        state.gameMode = checkpoint.gameMode || 'standard';
+        state.arena = checkpoint.arena || null;
+        state.hotseat = checkpoint.hotseat || null;
+        state.run = checkpoint.run || null;
+        state.relics = checkpoint.relics || [];
+        state.screenApi?.updateRelics?.(state.relics);
+        state.seed = checkpoint.seed;
+        state.currentTurn = checkpoint.currentTurn;
+        state.turnNumber = checkpoint.turnNumber || 0;
+        state.gameHistory = checkpoint.gameHistory || [];
+        state.replay = checkpoint.replay || null;
+        state.result = checkpoint.finished || null;
+        state.isPartyResultRecorded = Boolean(state.result?.resultRecorded);
+
+        // Зерно уже установлено экраном; генератор продолжает поток с места сохранения
+        SeededRandom.setState(checkpoint.rngState);
+
+        syncFieldState();
+
+        // Партия уже завершена: доигрывать нечего, сразу к выбору награды и сохранению
+        if (state.result) {
+            logGameEvent('game_resume', { action: 'settle', seed: state.seed });
+            await resumeFinishedParty();
+            return;
+        }
+
+        state.isGameActive = true;
+
+        logGameEvent('game_resume', { action, seed: state.seed });
+
+        if (action === 'forfeit') {
+            await forfeitMatch();
+            return;
+        }
+
+        addSystemMessage('Партия восстановлена. Продолжаем!');
+        await delay(1500);
+
+        // Ожидался выбор цели: карта уже на поле, повторяем расчёт последствий
+        if (checkpoint.pendingSelection) {
+            await processMoveConsequences(checkpoint.pendingSelection.cellIndex, checkpoint.pendingSelection.owner);
+            return;
+        }
+
+        // Прерванный ход начинается заново
+        state.turnNumber -= 1;
+
+        if (checkpoint.currentTurn === 'rival') {
+            await startRivalTurn();
+        } else {
+            await startPlayerTurn();
+        }
+    }
+
+    /**
+     * Подведение итога партии, завершённой до перезагрузки страницы
+     */
+    async function resumeFinishedParty() {
+        const { winner, outcome, playerScore, opponentScore, leveledUpCardIds, forfeit } = state.result;
+
+        addSystemMessage('Партия уже завершена. Подводим итог.');
+
+        if (state.screenApi?.handleEvent) {
+            await state.screenApi.handleEvent({
+                type: 'game_end',
+                winner,
+                outcome,
+                playerScore,
+                opponentScore,
+                leveledUpCardIds: leveledUpCardIds || []
+            });
+        }
+
+        await settleOutcome(outcome, Boolean(forfeit));
+    }
+
+    /**
+     * Сохранение контрольной точки партии.
+     * Делается в начале каждого хода (после разрешения предыдущего),
+     * перед выбором цели игроком и после последнего хода — с итогом партии.
+     * @param {Object|null} pendingSelection - { cellIndex, owner }, если ожидается выбор цели
+     */
+    function saveCheckpoint(pendingSelection = null) {
+        if ((!state.isGameActive && !state.result) || state.isSpectator || !window.partyOrchestrator?.saveCheckpoint) {
+            return;
+        }
+
+        window.partyOrchestrator.saveCheckpoint({
+            version: CHECKPOINT_VERSION,
+            savedAt: Date.now(),
+            opponentId: state.opponentId,
+            opponentData: state.opponentData,
+            gameMode: state.gameMode,
+            arena: state.arena,
+            hotseat: state.hotseat,
+            run: state.run,
+            relics: state.relics,
+            seed: state.seed,
+            rngState: SeededRandom.getState(),
+            field: {
+                rows: state.fieldState?.rows,
+                cols: state.fieldState?.cols,
+                terrain: GameRules.getTerrainMap(state.fieldState),
+                cells: (state.fieldState?.cells || []).map(cell => ({
+                    index: cell.index,
+                    isAvailable: cell.isAvailable,
+                    terrain: cell.terrain,
+                    card: cell.card
+                }))
+            },
+            unavailableCells: state.unavailableCells,
+            playerHand: state.playerHand,
+            opponentHand: state.opponentHand,
+            currentTurn: state.currentTurn,
+            turnNumber: state.turnNumber,
+            gameHistory: state.gameHistory,
+            replay: state.replay,
+            pendingSelection,
+            finished: state.result
+        });
+    }
+
+    /**
+     * Сдача прерванной партии.
+     * Засчитывается поражение по обычному пути handlePlayerDefeat → saveGameProgress.
+     */
+    async function forfeitMatch() {
+        state.isGameActive = false;
+        cancelAiTasks();
+
+        const { player: playerScore, opponent: opponentScore } = GameRules.countOwnership(state.fieldState);
+
+        addSystemMessage(state.hotseat
+            ? `${getSideName('player')} сдался. Победа: ${getSideName('rival')}.`
+            : 'Вы сдались. Партия засчитана как поражение.');
+        logGameEvent('game_end', { winner: 'opponent', playerScore, opponentScore, forfeit: true });
+
+        if (state.replay && window.MatchReplay) {
+            window.MatchReplay.finishReplay(state.replay, { winner: 'opponent', playerScore, opponentScore });
+        }
+
+        state.result = { winner: 'opponent', outcome: 'loss', playerScore, opponentScore, leveledUpCardIds: [], forfeit: true };
+        saveCheckpoint();
+
+        if (state.screenApi?.handleEvent) {
+            await state.screenApi.handleEvent({
+                type: 'game_end',
+                winner: 'opponent',
+                outcome: 'loss',
+                playerScore,
+                opponentScore,
+                leveledUpCardIds: []
+            });
+        }
+
+        await settleOutcome('loss', true);
+    }
+
     /**
      * Получение данных партии из sessionStorage
      */
@@ -308,17 +543,12 @@ const partyGameOrchestrator = (() => {
         if (state.screenApi?.getState) {
             const screenState = state.screenApi.getState();
 
-            // fieldCells уже содержит card из Map, используем напрямую
+            // fieldCells уже содержит card из Map
             if (screenState.fieldCells && screenState.fieldCells.length > 0) {
-                state.fieldState = {
-                    cells: screenState.fieldCells.map(c => ({
-                        index: c.index,
-                        row: c.row !== undefined ? c.row : Math.floor(c.index / 4),
-                        col: c.col !== undefined ? c.col : c.index % 4,
-                        isAvailable: c.isAvailable,
-                        card: c.card || null
-                    }))
-                };
+                state.fieldState = GameRules.createBoard(screenState.fieldCells, {
+                    rows: screenState.fieldRows,
+                    cols: screenState.fieldCols
+                });
             }
 
             state.unavailableCells = screenState.unavailableCells || [];
@@ -338,8 +568,21 @@ const partyGameOrchestrator = (() => {
     async function startPlayerTurn() {
         state.turnNumber++;
         state.currentTurn = 'player';
+        saveCheckpoint();
 
-        addSystemMessage('Ваш ход. Выберите карту и место на поле.');
+        // Демо-партия: за игрока тоже ходит AI
+        if (state.isSpectator) {
+            addSystemMessage('Ход ИИ игрока...');
+            await playAiTurn('player');
+            return;
+        }
+
+        if (state.hotseat) {
+            await handOverDevice('player');
+            addSystemMessage(`${getSideName('player')}: ваш ход. Выберите карту и место на поле.`);
+        } else {
+            addSystemMessage('Ваш ход. Выберите карту и место на поле.');
+        }
 
         if (state.screenApi?.setMode) {
             state.screenApi.setMode('player_turn');
@@ -352,8 +595,29 @@ const partyGameOrchestrator = (() => {
      * Обработка хода игрока (вызывается из экрана)
      */
     async function onPlayerMove(moveData) {
-        if (state.currentTurn !== 'player' || state.isProcessingMove) {
-            console.warn('PartyGameOrchestrator: Некорректный вызов onPlayerMove');
+        await acceptHumanMove(moveData, 'player');
+    }
+
+    /**
+     * Обработка хода второго игрока в игре вдвоём (вызывается из экрана)
+     */
+    async function onRivalMove(moveData) {
+        if (!state.hotseat) {
+            console.warn('PartyGameOrchestrator: onRivalMove доступен только в игре вдвоём');
+            return;
+        }
+
+        await acceptHumanMove(moveData, 'rival');
+    }
+
+    /**
+     * Приём хода, сделанного человеком через drag & drop
+     * @param {Object} moveData - { cellIndex, cardId, cardData }
+     * @param {string} turn - 'player' | 'rival'
+     */
+    async function acceptHumanMove(moveData, turn) {
+        if (state.currentTurn !== turn || state.isProcessingMove) {
+            console.warn(`PartyGameOrchestrator: Некорректный вызов хода (${turn})`);
             return;
         }
 
@@ -361,9 +625,11 @@ const partyGameOrchestrator = (() => {
 
         try {
             const { cellIndex, cardId, cardData } = moveData;
+            const hand = turn === 'player' ? state.playerHand : state.opponentHand;
+            const owner = turn === 'player' ? 'player' : 'opponent';
 
-            // Находим карту в руке игрока
-            const card = cardData || state.playerHand.find(c => c.id === cardId);
+            // Находим карту в руке
+            const card = cardData || hand.find(c => c.id === cardId);
             if (!card) {
                 console.error('PartyGameOrchestrator: Карта не найдена');
                 state.isProcessingMove = false;
@@ -376,20 +642,20 @@ const partyGameOrchestrator = (() => {
             // Обновляем состояние: размещаем карту
             const cell = getCellByIndex(cellIndex);
             if (cell) {
-                cell.card = { ...card, owner: 'player' };
+                cell.card = { ...card, owner };
             }
 
             // Помечаем карту как использованную
-            const handCard = state.playerHand.find(c => c.id === cardId);
+            const handCard = hand.find(c => c.id === cardId);
             if (handCard) {
                 handCard.used = true;
             }
 
             // Логируем ход
-            logGameEvent('player_move', { cardId, cellIndex, card });
+            logGameEvent(turn === 'player' ? 'player_move' : 'rival_move', { cardId, cellIndex, card });
 
             // Переходим к расчету последствий
-            await processMoveConsequences(cellIndex, 'player');
+            await processMoveConsequences(cellIndex, owner);
 
         } finally {
             state.isProcessingMove = false;
@@ -404,8 +670,32 @@ const partyGameOrchestrator = (() => {
     async function startRivalTurn() {
         state.turnNumber++;
         state.currentTurn = 'rival';
+        saveCheckpoint();
+
+        // Игра вдвоём: второй игрок ходит сам через drag & drop (см. onRivalMove)
+        if (state.hotseat) {
+            await handOverDevice('rival');
+            addSystemMessage(`${getSideName('rival')}: ваш ход. Выберите карту и место на поле.`);
+
+            if (state.screenApi?.setMode) {
+                state.screenApi.setMode('player_turn');
+            }
+
+            logGameEvent('turn_start', { turn: 'rival', turnNumber: state.turnNumber });
+            return;
+        }
 
         addSystemMessage('Ход соперника...');
+        await playAiTurn('rival');
+    }
+
+    /**
+     * Ход AI за указанную сторону
+     * @param {string} turn - 'player' (только в демо-партии) | 'rival'
+     */
+    async function playAiTurn(turn) {
+        const hand = turn === 'player' ? state.playerHand : state.opponentHand;
+        const owner = turn === 'player' ? 'player' : 'opponent';
 
         if (state.screenApi?.setMode) {
             state.screenApi.setMode('events');
@@ -414,11 +704,24 @@ const partyGameOrchestrator = (() => {
         // Синхронизируем состояние
         syncFieldState();
 
-        // Эмуляция "раздумий" AI
-        await delay(getAiDelay());
+        // Ход считается в потоке AI; пауза "раздумий" идёт параллельно
+        let aiMove;
+        setAiThinking(true, owner);
+        try {
+            [aiMove] = await Promise.all([calculateAiMoveAsync(turn), delay(getAiDelay())]);
+        } catch (error) {
+            if (window.aiWorkerClient?.isCancelled(error)) {
+                console.log('PartyGameOrchestrator: Расчёт хода AI отменён');
+                return;
+            }
+            throw error;
+        } finally {
+            setAiThinking(false, owner);
+        }
 
-        // Вызываем AI для расчета хода
-        const aiMove = calculateAiMove();
+        if (!state.isGameActive) {
+            return;
+        }
 
         if (!aiMove || aiMove.cardId === null || aiMove.cellIndex === null) {
             console.log('PartyGameOrchestrator: AI не смог выбрать ход');
@@ -427,7 +730,7 @@ const partyGameOrchestrator = (() => {
         }
 
         // Находим карту
-        const card = state.opponentHand.find(c => c.id === aiMove.cardId);
+        const card = hand.find(c => c.id === aiMove.cardId);
         if (!card) {
             console.error('PartyGameOrchestrator: AI выбрал несуществующую карту');
             await checkGameEnd();
@@ -435,66 +738,136 @@ const partyGameOrchestrator = (() => {
         }
 
         // Логируем ход AI
-        logGameEvent('rival_move', { cardId: aiMove.cardId, cellIndex: aiMove.cellIndex, card });
+        logGameEvent(turn === 'player' ? 'player_move' : 'rival_move', { cardId: aiMove.cardId, cellIndex: aiMove.cellIndex, card });
 
-        // Визуализируем ход оппонента
-        await visualizeOpponentMove(card, aiMove.cellIndex);
+        // Визуализируем ход
+        await visualizeAiMove(card, aiMove.cellIndex, owner);
 
         // Обновляем состояние
         const cell = getCellByIndex(aiMove.cellIndex);
         if (cell) {
-            cell.card = { ...card, owner: 'opponent' };
+            cell.card = { ...card, owner };
         }
 
         // Помечаем карту как использованную
         card.used = true;
 
         // Переходим к расчету последствий
-        await processMoveConsequences(aiMove.cellIndex, 'opponent');
+        await processMoveConsequences(aiMove.cellIndex, owner);
+    }
+
+    /**
+     * Характер AI стороны: у соперника — из ai_personalities, у игрока в демо-партии — по умолчанию
+     * @param {string} owner - 'player' | 'opponent'
+     * @returns {Object|null}
+     */
+    function getAiPersonality(owner) {
+        return owner === 'opponent' ? state.opponentData?.personality || null : null;
+    }
+
+    /**
+     * Движок AI стороны: соперник может задать свой (opponents.ai_engine), иначе — по режиму
+     * @param {string} owner - 'player' | 'opponent'
+     * @returns {string} 'scoring' | 'monteCarlo'
+     */
+    function getAiEngine(owner) {
+        const opponentEngine = owner === 'opponent' ? state.opponentData?.aiEngine : null;
+        return opponentEngine || GameRules.getModeRules(state.gameMode).aiEngine || 'scoring';
+    }
+
+    /**
+     * Данные для расчёта хода AI (одинаковые для воркера и основного потока)
+     * @param {string} turn - Сторона, за которую считается ход
+     * @returns {{fieldState: Object, aiHand: Array, enemyHand: Array, options: Object, difficulty: string|null, engine: string}}
+     */
+    function getAiMoveRequest(turn = 'rival') {
+        const aiHand = turn === 'player' ? state.playerHand : state.opponentHand;
+        const enemyHand = turn === 'player' ? state.opponentHand : state.playerHand;
+
+        // Поздние соперники и сложные режимы просчитывают ходы вперёд
+        const difficulty = window.aiSearch?.resolveDifficulty
+            ? window.aiSearch.resolveDifficulty({
+                gameMode: state.gameMode,
+                opponentSequence: state.opponentData?.sequence
+            })
+            : null;
+
+        return {
+            fieldState: state.fieldState,
+            aiHand: aiHand.filter(c => !c.used),
+            enemyHand: enemyHand.filter(c => !c.used),
+            options: {
+                gameMode: state.gameMode,
+                rules: getMatchRules(),
+                aiOwner: turn === 'player' ? 'player' : 'opponent',
+                personality: getAiPersonality(turn === 'player' ? 'player' : 'opponent')
+            },
+            difficulty,
+            engine: getAiEngine(turn === 'player' ? 'player' : 'opponent')
+        };
+    }
+
+    /**
+     * Расчёт хода AI в потоке AI (при недоступности воркера — в основном потоке)
+     * @param {string} turn - Сторона, за которую считается ход
+     */
+    function calculateAiMoveAsync(turn = 'rival') {
+        if (!window.aiMoveCalculator?.calculateAiMove) {
+            return Promise.resolve(calculateAiMove(turn));
+        }
+
+        return runAiTask('calculateMove', getAiMoveRequest(turn), () => calculateAiMove(turn));
     }
 
     /**
      * Вызов AI калькулятора
+     * @param {string} turn - Сторона, за которую считается ход
      */
-    function calculateAiMove() {
+    function calculateAiMove(turn = 'rival') {
         if (!window.aiMoveCalculator?.calculateAiMove) {
             console.warn('PartyGameOrchestrator: AI калькулятор недоступен');
-            return fallbackAiMove();
+            return fallbackAiMove(turn);
         }
 
-        return window.aiMoveCalculator.calculateAiMove(
-            state.fieldState,
-            state.opponentHand.filter(c => !c.used),
-            state.playerHand.filter(c => !c.used)
-        );
+        const { fieldState, aiHand, enemyHand, options, difficulty, engine } = getAiMoveRequest(turn);
+
+        if (engine === 'monteCarlo' && window.aiMonteCarlo?.calculateMonteCarloMove) {
+            return window.aiMonteCarlo.calculateMonteCarloMove(fieldState, aiHand, enemyHand, options);
+        }
+
+        if (difficulty && window.aiSearch?.calculateSearchMove) {
+            return window.aiSearch.calculateSearchMove(fieldState, aiHand, enemyHand, { ...options, difficulty });
+        }
+
+        return window.aiMoveCalculator.calculateAiMove(fieldState, aiHand, enemyHand, options);
     }
 
     /**
      * Резервный алгоритм AI (простой)
      */
-    function fallbackAiMove() {
-        const availableCards = state.opponentHand.filter(c => !c.used);
+    function fallbackAiMove(turn = 'rival') {
+        const availableCards = (turn === 'player' ? state.playerHand : state.opponentHand).filter(c => !c.used);
         const emptyCells = state.fieldState?.cells?.filter(c => c.isAvailable && !c.card) || [];
 
         if (availableCards.length === 0 || emptyCells.length === 0) {
             return { cardId: null, cellIndex: null };
         }
 
-        const randomCard = availableCards[Math.floor(Math.random() * availableCards.length)];
-        const randomCell = emptyCells[Math.floor(Math.random() * emptyCells.length)];
+        const randomCard = availableCards[Math.floor(SeededRandom.random() * availableCards.length)];
+        const randomCell = emptyCells[Math.floor(SeededRandom.random() * emptyCells.length)];
 
         return { cardId: randomCard.id, cellIndex: randomCell.index };
     }
 
     /**
-     * Визуализация хода оппонента
+     * Визуализация хода AI
      */
-    async function visualizeOpponentMove(card, cellIndex) {
+    async function visualizeAiMove(card, cellIndex, owner) {
         if (state.screenApi?.handleEvent) {
             await state.screenApi.handleEvent({
-                type: 'opponent_move',
+                type: owner === 'player' ? 'player_move' : 'opponent_move',
                 cellIndex: cellIndex,
-                cardData: { ...card, owner: 'opponent' }
+                cardData: { ...card, owner }
             });
         }
 
@@ -506,204 +879,110 @@ const partyGameOrchestrator = (() => {
 
     /**
      * Обработка последствий хода (для обоих игроков)
+     * Правила (битвы, захваты, комбо) рассчитываются в GameRules,
+     * оркестратор только выбирает цель и проигрывает события на экране.
      */
     async function processMoveConsequences(cellIndex, owner) {
         // Синхронизируем состояние
         syncFieldState();
 
         // Шаг 3.1-3.2: Анализ соседей и классификация конфликтов
-        const conflicts = analyzeNeighbors(cellIndex, owner);
+        const conflicts = GameRules.analyzeNeighbors(state.fieldState, cellIndex, owner);
 
         console.log('PartyGameOrchestrator: Конфликты:', conflicts);
 
-        // Разделяем захваты и битвы
-        const captures = conflicts.filter(c => c.type === 'capture');
+        // Шаг 3.3: Выбор цели, если битв несколько
         const battles = conflicts.filter(c => c.type === 'battle');
+        let targetCellIndex = null;
 
-        // Флаг: проиграл ли атакующий битву
-        let attackerLostBattle = false;
-
-        // Сначала обрабатываем битвы (показываем анимацию боя)
-        // Результаты битв (захваты) собираем для последующего комбо
-        const battleCapturedCells = [];
-        if (battles.length > 0) {
-            const battleResult = await processBattles(battles, cellIndex, owner);
-            if (battleResult.attackerLost) {
-                // Атакующий проиграл битву - его карта перешла к противнику
-                // Мгновенные захваты и комбо НЕ происходят
-                attackerLostBattle = true;
-                console.log('PartyGameOrchestrator: Атакующий проиграл битву, захваты отменены');
-            } else if (battleResult.capturedCells.length > 0) {
-                battleCapturedCells.push(...battleResult.capturedCells);
-            }
-        }
-
-        // Мгновенные захваты и комбо происходят только если атакующий НЕ проиграл битву
-        if (!attackerLostBattle) {
-            // Потом обрабатываем мгновенные захваты (без боя)
-            const instantCapturedCells = [];
-            if (captures.length > 0) {
-                const captured = await processInstantCaptures(captures, owner);
-                instantCapturedCells.push(...captured);
-            }
-
-            // Теперь запускаем комбо для всех захваченных карт
-            // В сложном режиме удары в спину (instantCapturedCells) не вызывают комбо
-            let comboStarters = [];
-            if (state.gameMode === 'hard') {
-                comboStarters = [...battleCapturedCells];
-                if (instantCapturedCells.length > 0) {
-                    console.log('PartyGameOrchestrator: Сложный режим - удары в спину не вызывают комбо');
-                }
+        if (battles.length > 1) {
+            let selectedTarget;
+            if ((owner === 'player' || state.hotseat) && !state.isSpectator) {
+                // Игрок выбирает цель (выбор переживает перезагрузку страницы)
+                saveCheckpoint({ cellIndex, owner });
+                addSystemMessage('Выберите цель для атаки!');
+                selectedTarget = await playerSelectsTarget(battles);
             } else {
-                comboStarters = [...battleCapturedCells, ...instantCapturedCells];
-            }
-
-            if (comboStarters.length > 0) {
-                await processComboChain(comboStarters, owner);
+                // AI выбирает цель
+                try {
+                    selectedTarget = await aiSelectsTarget(battles, cellIndex, owner);
+                } catch (error) {
+                    if (window.aiWorkerClient?.isCancelled(error)) {
+                        return;
+                    }
+                    throw error;
+                }
             }
+            targetCellIndex = selectedTarget ? selectedTarget.defenderCellIndex : null;
         }
 
-        // Этап 4: Проверка окончания игры
-        await checkGameEnd();
-    }
-
-    /**
-     * Шаг 3.1-3.2: Анализ соседей
-     */
-    function analyzeNeighbors(cellIndex, owner) {
-        const cell = getCellByIndex(cellIndex);
-        if (!cell || !cell.card) {
-            return [];
-        }
-
-        const activeCard = cell.card;
-        const conflicts = [];
-
-        directions.forEach(direction => {
-            const neighborCell = getNeighborCell(cell, direction);
-
-            // Пропускаем пустые или отсутствующие ячейки
-            if (!neighborCell || !neighborCell.card) {
-                return;
-            }
-
-            const neighborCard = neighborCell.card;
-            const neighborOwner = getCardOwner(neighborCard);
-
-            // Нас интересуют только враги
-            if (!isEnemyCard(neighborCard, owner)) {
-                return;
-            }
-
-            // Проверяем активную стрелку (у только что поставленной карты)
-            const hasActiveArrow = activeCard[direction.activeArrow] === true;
-
-            if (!hasActiveArrow) {
-                // Нет активной стрелки - конфликта нет
+        // Шаг 3.4-3.5: Бой, мгновенные захваты и комбо по правилам режима
+        const rngState = SeededRandom.getState();
+        let result;
+        try {
+            result = await resolvePlacementAsync(cellIndex, owner, targetCellIndex, rngState);
+        } catch (error) {
+            if (window.aiWorkerClient?.isCancelled(error)) {
                 return;
             }
-
-            // Проверяем реактивную стрелку (у соседа)
-            const hasReactiveArrow = neighborCard[direction.reactiveArrow] === true;
-
-            if (!hasReactiveArrow) {
-                // Есть активная, нет реактивной - мгновенный захват
-                conflicts.push({
-                    type: 'capture',
-                    direction: direction,
-                    defenderCellIndex: neighborCell.index,
-                    defenderCard: neighborCard,
-                    defenderOwner: neighborOwner
-                });
-            } else {
-                // Обе стрелки - битва
-                conflicts.push({
-                    type: 'battle',
-                    direction: direction,
-                    defenderCellIndex: neighborCell.index,
-                    defenderCard: neighborCard,
-                    defenderOwner: neighborOwner
-                });
-            }
-        });
-
-        return conflicts;
-    }
-
-    /**
-     * Обработка мгновенных захватов (без боя)
-     * Возвращает массив индексов захваченных ячеек для последующего комбо
-     */
-    async function processInstantCaptures(captures, newOwner) {
-        const capturedCells = [];
-
-        for (const capture of captures) {
-            const defenderCell = getCellByIndex(capture.defenderCellIndex);
-            if (!defenderCell || !defenderCell.card) continue;
-
-            // Меняем владельца
-            defenderCell.card.owner = newOwner;
-            defenderCell.card.ownership = newOwner === 'player' ? 'player' : 'rival';
-
-            capturedCells.push(capture.defenderCellIndex);
-
-            logGameEvent('capture', {
-                cellIndex: capture.defenderCellIndex,
-                newOwner: newOwner,
-                cardId: defenderCell.card.id
+            throw error;
+        }
+
+        // Записываем ход в повтор (состояние генератора позволяет пересчитать бой)
+        if (state.replay && window.MatchReplay) {
+            const battleEvent = result.events.find(e => e.type === 'battle');
+            window.MatchReplay.recordMove(state.replay, {
+                owner,
+                cardId: getCellByIndex(cellIndex)?.card?.id,
+                cellIndex,
+                targetCellIndex: battleEvent ? battleEvent.defenderCellIndex : null,
+                rngState
             });
         }
 
-        // Визуализируем смену владельцев
-        if (capturedCells.length > 0 && state.screenApi?.handleEvent) {
-            addSystemMessage(`Захвачено карт: ${capturedCells.length}`);
+        if (result.attackerLost) {
+            // Атакующий проиграл битву - его карта перешла к противнику
+            // Мгновенные захваты и комбо НЕ происходят
+            console.log('PartyGameOrchestrator: Атакующий проиграл битву, захваты отменены');
+        } else if (!GameRules.canBackstabTriggerCombo(getMatchRules(), owner) && result.events.some(e => e.type === 'capture')) {
+            console.log('PartyGameOrchestrator: В этом режиме удары в спину не вызывают комбо');
+        }
 
-            await state.screenApi.handleEvent({
-                type: 'ownership_change',
-                changes: capturedCells.map(cellIndex => ({
-                    cellIndex,
-                    newOwner
-                }))
-            });
+        spendRelicCharges(result.usedRelics);
 
-            // Синхронизируем после визуализации
-            syncFieldState();
-        }
+        // Проигрываем события хода на экране
+        await playMoveEvents(result.events);
 
-        // Возвращаем захваченные ячейки для комбо (комбо вызывается в processMoveConsequences)
-        return capturedCells;
+        // Этап 4: Проверка окончания игры
+        await checkGameEnd();
     }
 
     /**
-     * Шаг 3.3: Обработка битв
-     * Возвращает объект { capturedCells: [], attackerLost: boolean }
+     * Расчёт последствий хода в потоке AI.
+     * Воркер продолжает поток генератора с rngState и возвращает его новое состояние,
+     * поэтому исход боя совпадает с расчётом в основном потоке (и с повтором партии).
      */
-    async function processBattles(battles, attackerCellIndex, attackerOwner) {
-        if (battles.length === 0) return { capturedCells: [], attackerLost: false };
-
-        let selectedTarget;
-
-        if (battles.length === 1) {
-            // Одна цель - сражаемся автоматически
-            selectedTarget = battles[0];
-        } else {
-            // Несколько целей - выбор
-            if (attackerOwner === 'player') {
-                // Игрок выбирает цель
-                addSystemMessage('Выберите цель для атаки!');
-                selectedTarget = await playerSelectsTarget(battles);
-            } else {
-                // AI выбирает цель
-                selectedTarget = aiSelectsTarget(battles, attackerCellIndex);
-            }
-        }
-
-        if (!selectedTarget) return { capturedCells: [], attackerLost: false };
-
-        // Шаг 3.4: Расчет боя - возвращает результат
-        const battleResult = await executeBattle(attackerCellIndex, selectedTarget.defenderCellIndex, attackerOwner);
-        return battleResult;
+    async function resolvePlacementAsync(cellIndex, owner, targetCellIndex, rngState) {
+        const rules = getMatchRules();
+
+        const result = await runAiTask('resolvePlacement', {
+            board: state.fieldState,
+            cellIndex,
+            owner,
+            rules,
+            targetCellIndex,
+            rngState
+        }, () => GameRules.resolvePlacement(state.fieldState, cellIndex, owner, {
+            rules,
+            rng: SeededRandom.random,
+            targetCellIndex
+        }));
+
+        if (result.rngState !== undefined) {
+            SeededRandom.setState(result.rngState);
+        }
+
+        return result;
     }
 
     /**
@@ -727,8 +1006,9 @@ const partyGameOrchestrator = (() => {
 
     /**
      * Выбор цели AI
+     * @param {string} owner - Владелец атакующей карты ('opponent'; в демо-партии и 'player')
      */
-    function aiSelectsTarget(battles, attackerCellIndex) {
+    async function aiSelectsTarget(battles, attackerCellIndex, owner = 'opponent') {
         const attackerCell = getCellByIndex(attackerCellIndex);
         if (!attackerCell || !attackerCell.card) {
             return battles[0];
@@ -737,201 +1017,160 @@ const partyGameOrchestrator = (() => {
         if (window.aiAttackSelector?.selectAiAttackTarget) {
             const context = {
                 attacker: attackerCell.card,
+                attackerCellIndex,
                 targets: battles.map(b => ({
                     ...b.defenderCard,
                     id: b.defenderCellIndex, // Используем индекс ячейки как ID для выбора
                     cellIndex: b.defenderCellIndex
                 })),
-                enemyOwner: 'player'
+                enemyOwner: GameRules.getOpposingOwner(owner),
+                board: state.fieldState,
+                rules: getMatchRules(),
+                personality: getAiPersonality(owner)
             };
 
-            const selectedId = window.aiAttackSelector.selectAiAttackTarget(context);
+            const selectedId = await runAiTask('selectTarget', context,
+                () => window.aiAttackSelector.selectAiAttackTarget(context));
             return battles.find(b => b.defenderCellIndex === selectedId) || battles[0];
         }
 
         // Резервный выбор: самая слабая защита
+        const rules = getMatchRules();
         return battles.reduce((weakest, current) => {
-            const currentDefense = resolveDefenseValue(attackerCell.card, current.defenderCard);
-            const weakestDefense = resolveDefenseValue(attackerCell.card, weakest.defenderCard);
+            const currentDefense = GameRules.resolveDefenseValue(
+                attackerCell.card, current.defenderCard, getCellByIndex(current.defenderCellIndex), rules
+            );
+            const weakestDefense = GameRules.resolveDefenseValue(
+                attackerCell.card, weakest.defenderCard, getCellByIndex(weakest.defenderCellIndex), rules
+            );
             return currentDefense < weakestDefense ? current : weakest;
         }, battles[0]);
     }
 
     /**
-     * Шаг 3.4: Расчет боя
-     * Возвращает объект { capturedCells: [], attackerLost: boolean }
+     * Проигрывание событий хода на экране (в порядке расчета)
      */
-    async function executeBattle(attackerCellIndex, defenderCellIndex, attackerOwner) {
-        const attackerCell = getCellByIndex(attackerCellIndex);
-        const defenderCell = getCellByIndex(defenderCellIndex);
-
-        if (!attackerCell?.card || !defenderCell?.card) {
-            return { capturedCells: [], attackerLost: false };
+    async function playMoveEvents(events) {
+        for (const event of events) {
+            switch (event.type) {
+                case 'battle':
+                    await showBattle(event);
+                    break;
+                case 'capture':
+                    await showCaptures(event);
+                    break;
+                case 'combo':
+                    await showCombo(event);
+                    break;
+                default:
+                    break;
+            }
         }
+    }
 
-        const attacker = attackerCell.card;
-        const defender = defenderCell.card;
-
-        // Определяем параметры
-        const attackValue = getStatValue(attacker.attackLevel);
-        const defenseValue = resolveDefenseValue(attacker, defender);
-
-        // Бросок кубика
-        const attackRoll = Math.floor(Math.random() * Math.max(1, attackValue));
-        const defenseRoll = Math.floor(Math.random() * Math.max(1, defenseValue));
+    /**
+     * Визуализация боя и смены владельца по его итогам
+     */
+    async function showBattle(event) {
+        const attackerWins = event.winner === 'attacker';
 
-        const attackerWins = attackRoll >= defenseRoll;
+        console.log(`PartyGameOrchestrator: Бой (${event.battleStrategy}) - Атака: ${event.attackRoll}/${event.attackValue}, Защита: ${event.defenseRoll}/${event.defenseValue}, Победитель: ${attackerWins ? 'атакующий' : 'защитник'}`);
 
-        console.log(`PartyGameOrchestrator: Бой - Атака: ${attackRoll}/${attackValue}, Защита: ${defenseRoll}/${defenseValue}, Победитель: ${attackerWins ? 'атакующий' : 'защитник'}`);
+        if (event.reroll) {
+            addSystemMessage(`Реликвия «${event.reroll.relicName}»: проигранный бой переброшен!`);
+        }
 
-        // Визуализируем бой
         if (state.screenApi?.handleEvent) {
             await state.screenApi.handleEvent({
                 type: 'battle',
-                attackerCellIndex,
-                defenderCellIndex,
-                attackLevel: attackRoll,
-                attackType: attacker.attackType,
-                defenseLevel: defenseRoll,
-                defenseType: getDefenseType(attacker.attackType),
-                winner: attackerWins ? 'attacker' : 'defender'
+                attackerCellIndex: event.attackerCellIndex,
+                defenderCellIndex: event.defenderCellIndex,
+                attackLevel: event.attackRoll,
+                attackType: event.attackType,
+                defenseLevel: event.defenseRoll,
+                defenseType: event.defenseType,
+                battleStrategy: event.battleStrategy,
+                rounds: event.rounds,
+                winner: event.winner
             });
         }
 
         await delay(500);
 
-        // Применяем результат
-        if (attackerWins) {
-            // Защитник меняет владельца
-            defender.owner = attackerOwner;
-            defender.ownership = attackerOwner === 'player' ? 'player' : 'rival';
+        logGameEvent(attackerWins ? 'battle_win' : 'battle_loss', {
+            attackerCellIndex: event.attackerCellIndex,
+            defenderCellIndex: event.defenderCellIndex,
+            winner: event.newOwner,
+            attackRoll: event.attackRoll,
+            defenseRoll: event.defenseRoll
+        });
 
-            logGameEvent('battle_win', {
-                attackerCellIndex,
-                defenderCellIndex,
-                winner: attackerOwner,
-                attackRoll,
-                defenseRoll
+        // Визуализируем смену владельца (защитника при победе, атакующего при поражении)
+        if (state.screenApi?.handleEvent) {
+            await state.screenApi.handleEvent({
+                type: 'ownership_change',
+                changes: [{ cellIndex: event.changedCellIndex, newOwner: event.newOwner }]
             });
+        }
 
-            // Визуализируем смену владельца
-            if (state.screenApi?.handleEvent) {
-                await state.screenApi.handleEvent({
-                    type: 'ownership_change',
-                    changes: [{ cellIndex: defenderCellIndex, newOwner: attackerOwner }]
-                });
-            }
-
-            syncFieldState();
-
-            // Возвращаем результат: атакующий победил, защитник захвачен
-            return { capturedCells: [defenderCellIndex], attackerLost: false };
-
-        } else {
-            // Атакующий меняет владельца (переходит к врагу)
-            const defenderOwner = attackerOwner === 'player' ? 'opponent' : 'player';
-            attacker.owner = defenderOwner;
-            attacker.ownership = defenderOwner === 'player' ? 'player' : 'rival';
+        syncFieldState();
+    }
 
-            logGameEvent('battle_loss', {
-                attackerCellIndex,
-                defenderCellIndex,
-                winner: defenderOwner,
-                attackRoll,
-                defenseRoll
+    /**
+     * Визуализация мгновенных захватов (без боя)
+     */
+    async function showCaptures(event) {
+        event.captures.forEach(capture => {
+            logGameEvent('capture', {
+                cellIndex: capture.cellIndex,
+                newOwner: event.newOwner,
+                cardId: capture.cardId
             });
+        });
 
-            // Визуализируем смену владельца атакующего
-            if (state.screenApi?.handleEvent) {
-                await state.screenApi.handleEvent({
-                    type: 'ownership_change',
-                    changes: [{ cellIndex: attackerCellIndex, newOwner: defenderOwner }]
-                });
-            }
-
-            syncFieldState();
-
-            // Атакующий проиграл - комбо и захваты не происходят
-            return { capturedCells: [], attackerLost: true };
+        addSystemMessage(`Захвачено карт: ${event.captures.length}`);
+        if (event.relic) {
+            addSystemMessage(`Реликвия «${event.relic.name}»: удар в спину запускает комбо!`);
         }
-    }
 
-    /**
-     * Получение типа защиты для отображения
-     */
-    function getDefenseType(attackType) {
-        switch (attackType) {
-            case 'P': return 'mechanical';
-            case 'E':
-            case 'M': return 'electrical';
-            case 'X':
-            case 'A': return 'mixed';
-            default: return 'mechanical';
+        if (state.screenApi?.handleEvent) {
+            await state.screenApi.handleEvent({
+                type: 'ownership_change',
+                changes: event.captures.map(capture => ({
+                    cellIndex: capture.cellIndex,
+                    newOwner: event.newOwner
+                }))
+            });
         }
+
+        syncFieldState();
     }
 
     /**
-     * Шаг 3.5: Комбо (цепная реакция)
+     * Визуализация волны комбо (цепной реакции)
      */
-    async function processComboChain(capturedCellIndices, newOwner, processedCells = new Set()) {
-        const newCaptures = [];
-
-        for (const cellIndex of capturedCellIndices) {
-            if (processedCells.has(cellIndex)) continue;
-            processedCells.add(cellIndex);
-
-            const cell = getCellByIndex(cellIndex);
-            if (!cell || !cell.card) continue;
-
-            const card = cell.card;
-
-            // Проверяем все направления захваченной карты
-            for (const direction of directions) {
-                // Проверяем, есть ли у карты стрелка в этом направлении
-                if (!card[direction.activeArrow]) continue;
-
-                const neighborCell = getNeighborCell(cell, direction);
-                if (!neighborCell || !neighborCell.card) continue;
-
-                // Если сосед - враг, захватываем его (комбо не требует встречной стрелки)
-                if (isEnemyCard(neighborCell.card, newOwner)) {
-                    // В комбо захват происходит только если у активной карты есть стрелка
-                    neighborCell.card.owner = newOwner;
-                    neighborCell.card.ownership = newOwner === 'player' ? 'player' : 'rival';
+    async function showCombo(event) {
+        event.captures.forEach(capture => {
+            logGameEvent('combo_capture', {
+                fromCellIndex: capture.fromCellIndex,
+                toCellIndex: capture.toCellIndex,
+                newOwner: event.newOwner
+            });
+        });
 
-                    newCaptures.push(neighborCell.index);
+        addSystemMessage(`Комбо! Захвачено карт: ${event.captures.length}`);
 
-                    logGameEvent('combo_capture', {
-                        fromCellIndex: cellIndex,
-                        toCellIndex: neighborCell.index,
-                        newOwner
-                    });
-                }
-            }
+        if (state.screenApi?.handleEvent) {
+            await state.screenApi.handleEvent({
+                type: 'ownership_change',
+                changes: event.captures.map(capture => ({
+                    cellIndex: capture.toCellIndex,
+                    newOwner: event.newOwner
+                }))
+            });
         }
 
-        // Визуализируем новые захваты
-        if (newCaptures.length > 0) {
-            addSystemMessage(`Комбо! Захвачено карт: ${newCaptures.length}`);
-
-            if (state.screenApi?.handleEvent) {
-                await state.screenApi.handleEvent({
-                    type: 'ownership_change',
-                    changes: newCaptures.map(cellIndex => ({
-                        cellIndex,
-                        newOwner
-                    }))
-                });
-            }
-
-            syncFieldState();
-
-            // Рекурсивно продолжаем комбо
-            // В сложном режиме комбо не распространяется на карты, захваченные не в битве (удары в спину)
-            if (state.gameMode !== 'hard') {
-                await processComboChain(newCaptures, newOwner, processedCells);
-            }
-        }
+        syncFieldState();
     }
 
     // === Этап 4: Проверка окончания игры ===
@@ -950,7 +1189,7 @@ const partyGameOrchestrator = (() => {
         state.fieldState?.cells?.forEach(cell => {
             if (cell.card) {
                 cardsOnField++;
-                if (getCardOwner(cell.card) === 'player') {
+                if (GameRules.getCardOwner(cell.card) === 'player') {
                     playerCards++;
                 } else {
                     opponentCards++;
@@ -1023,21 +1262,41 @@ const partyGameOrchestrator = (() => {
         if (playerScore > opponentScore) {
             winner = 'player';
             outcome = 'win';
-            addSystemMessage(`Победа! Счёт: ${playerScore}:${opponentScore}`);
         } else if (opponentScore > playerScore) {
             winner = 'opponent';
             outcome = 'loss';
-            addSystemMessage(`Поражение! Счёт: ${playerScore}:${opponentScore}`);
         } else {
             winner = null;
             outcome = 'draw';
+        }
+
+        if (state.isSpectator) {
+            const winnerName = winner === 'player' ? 'ИИ игрока' : state.opponentData?.name || 'Соперник';
+            addSystemMessage(winner
+                ? `Демо-партия завершена. Победа: ${winnerName}! Счёт: ${playerScore}:${opponentScore}`
+                : `Демо-партия завершена. Ничья! Счёт: ${playerScore}:${opponentScore}`);
+        } else if (state.hotseat && winner) {
+            addSystemMessage(`Победа: ${getSideName(winner === 'player' ? 'player' : 'rival')}! Счёт: ${playerScore}:${opponentScore}`);
+        } else if (outcome === 'win') {
+            addSystemMessage(`Победа! Счёт: ${playerScore}:${opponentScore}`);
+        } else if (outcome === 'loss') {
+            addSystemMessage(`Поражение! Счёт: ${playerScore}:${opponentScore}`);
+        } else {
             addSystemMessage(`Ничья! Счёт: ${playerScore}:${opponentScore}`);
         }
 
         logGameEvent('game_end', { winner, playerScore, opponentScore });
 
-        // Этап 6: Расчет прогрессии
-        const leveledUpCards = await processLevelUp();
+        if (state.replay && window.MatchReplay) {
+            window.MatchReplay.finishReplay(state.replay, { winner, playerScore, opponentScore });
+        }
+
+        // Этап 6: Расчет прогрессии (в игре вдвоём карты не прокачиваются)
+        const leveledUpCards = state.hotseat || state.isSpectator ? [] : await processLevelUp();
+
+        // Итог попадает в контрольную точку: после перезагрузки партия продолжится с выбора награды
+        state.result = { winner, outcome, playerScore, opponentScore, leveledUpCardIds: leveledUpCards.map(c => c.id) };
+        saveCheckpoint();
 
         // Показываем повышение уровней
         if (leveledUpCards.length > 0) {
@@ -1056,8 +1315,30 @@ const partyGameOrchestrator = (() => {
             });
         }
 
-        // Обработка награды
-        if (outcome === 'win') {
+        // Демо-партия ничего не сохраняет
+        if (state.isSpectator) {
+            return;
+        }
+
+        await settleOutcome(outcome, false);
+    }
+
+    /**
+     * Обработка награды по итогу партии
+     * @param {string} outcome - 'win' | 'loss' | 'draw'
+     * @param {boolean} forfeit - Игрок сдался: соперник забирает карту по обычному пути поражения
+     */
+    async function settleOutcome(outcome, forfeit) {
+        if (state.hotseat) {
+            await handleHotseatOutcome(outcome);
+        } else if (state.run) {
+            await handleRunOutcome(outcome);
+        } else if (forfeit) {
+            await handlePlayerDefeat();
+        } else if (outcome !== 'draw' && !GameRules.getModeRules(state.gameMode).stakes) {
+            addSystemMessage('Партия без ставки: карты не меняются.');
+            await saveGameProgress(outcome === 'win' ? 'player' : 'rival', null, null);
+        } else if (outcome === 'win') {
             await handlePlayerVictory();
         } else if (outcome === 'loss') {
             await handlePlayerDefeat();
@@ -1090,16 +1371,19 @@ const partyGameOrchestrator = (() => {
 
         // Только карты игрока, которые были использованы
         const usedPlayerCards = state.playerHand.filter(c => c.used);
+        const maxCardLevel = GameConfig.get('maxCardLevel', state.gameMode);
+        const levelUpChance = GameConfig.get('levelUpChance', state.gameMode)
+            + (window.Relics ? window.Relics.getLevelUpChanceBonus(state.relics) : 0);
 
         for (const card of usedPlayerCards) {
             const currentLevel = Number(card.cardLevel || 1);
 
-            if (currentLevel >= MAX_CARD_LEVEL) {
+            if (currentLevel >= maxCardLevel) {
                 continue; // Уже максимальный уровень
             }
 
-            const roll = Math.random();
-            if (roll < LEVEL_UP_CHANCE) {
+            const roll = SeededRandom.random();
+            if (roll < levelUpChance) {
                 const newLevel = currentLevel + 1;
 
                 // Генерируем новые параметры по тем же правилам, что и в userCards.processCardLevelUp
@@ -1171,21 +1455,17 @@ const partyGameOrchestrator = (() => {
     }
 
     /**
-     * Обработка победы игрока
+     * Карты соперника, выставленные им на поле и захваченные игроком
+     * @returns {Array<Object>} Карты с cellIndex
      */
-    async function handlePlayerVictory() {
-        await recordPartyResultIfNeeded('player');
-        addSystemMessage('Выберите карту соперника для взятия!');
-
-        // Получаем ID карт оппонента, которые он выставил на поле
+    function getCapturedOpponentCards() {
         const usedOpponentCardIds = new Set(
             state.opponentHand.filter(c => c.used).map(c => c.id)
         );
 
-        // Находим эти карты на поле, которые игрок успел захватить
         const candidateCards = [];
         state.fieldState?.cells?.forEach(cell => {
-            if (cell.card && usedOpponentCardIds.has(cell.card.id) && getCardOwner(cell.card) === 'player') {
+            if (cell.card && usedOpponentCardIds.has(cell.card.id) && GameRules.getCardOwner(cell.card) === 'player') {
                 candidateCards.push({
                     ...cell.card,
                     cellIndex: cell.index
@@ -1193,8 +1473,19 @@ const partyGameOrchestrator = (() => {
             }
         });
 
-        console.log('PartyGameOrchestrator: Карты для выбора награды:', candidateCards.length,
-            'usedOpponentCardIds:', [...usedOpponentCardIds]);
+        return candidateCards;
+    }
+
+    /**
+     * Обработка победы игрока
+     */
+    async function handlePlayerVictory() {
+        await recordPartyResultIfNeeded('player');
+        addSystemMessage('Выберите карту соперника для взятия!');
+
+        const candidateCards = getCapturedOpponentCards();
+
+        console.log('PartyGameOrchestrator: Карты для выбора награды:', candidateCards.length);
 
         if (candidateCards.length === 0) {
             addSystemMessage('Нет доступных карт для взятия.');
@@ -1239,7 +1530,7 @@ const partyGameOrchestrator = (() => {
         // Находим карты игрока, захваченные соперником на поле
         const candidateCards = [];
         state.fieldState?.cells?.forEach(cell => {
-            if (cell.card && usedPlayerCardIds.has(cell.card.id) && getCardOwner(cell.card) === 'opponent') {
+            if (cell.card && usedPlayerCardIds.has(cell.card.id) && GameRules.getCardOwner(cell.card) === 'opponent') {
                 candidateCards.push({
                     ...cell.card,
                     cellIndex: cell.index
@@ -1253,14 +1544,14 @@ const partyGameOrchestrator = (() => {
             return;
         }
 
-        // AI выбирает карту
+        // AI выбирает карту по предпочтениям своего характера
         let selectedCardId;
 
         if (window.aiRewardSelector?.selectAiRewardCard) {
-            selectedCardId = window.aiRewardSelector.selectAiRewardCard(candidateCards);
+            selectedCardId = window.aiRewardSelector.selectAiRewardCard(candidateCards, getAiPersonality('opponent'));
         } else {
             // Резервный выбор: случайная карта
-            selectedCardId = candidateCards[Math.floor(Math.random() * candidateCards.length)]?.id;
+            selectedCardId = candidateCards[Math.floor(SeededRandom.random() * candidateCards.length)]?.id;
         }
 
         const selectedCard = candidateCards.find(c => c.id === selectedCardId);
@@ -1277,6 +1568,65 @@ const partyGameOrchestrator = (() => {
         await saveGameProgress('rival', null, selectedCardId);
     }
 
+    /**
+     * Итог игры вдвоём.
+     * Без ставки карты коллекции не меняются. На кону только карты коллекции первого
+     * игрока: второй игрок при победе забирает одну из них, а сгенерированные карты
+     * второго игрока в коллекцию не попадают — иначе их можно было бы выигрывать у себя.
+     * @param {string} outcome - 'win' | 'loss' | 'draw' (с точки зрения первого игрока)
+     */
+    async function handleHotseatOutcome(outcome) {
+        if (!state.hotseat.stakes) {
+            addSystemMessage('Дружеская партия: карты коллекции не меняются.');
+            window.partyOrchestrator?.clearCheckpoint?.();
+            return;
+        }
+
+        if (outcome === 'win') {
+            addSystemMessage('Ставка удержана: карты второго игрока созданы для партии и в коллекцию не попадают.');
+            await saveGameProgress('player', null, null);
+        } else if (outcome === 'loss') {
+            await handleHotseatRivalVictory();
+        } else {
+            await handleDraw();
+        }
+    }
+
+    /**
+     * Победа второго игрока в игре на карты: он выбирает карту первого игрока на поле
+     */
+    async function handleHotseatRivalVictory() {
+        const usedPlayerCardIds = new Set(
+            state.playerHand.filter(c => c.used).map(c => c.id)
+        );
+
+        const selectableCells = [];
+        state.fieldState?.cells?.forEach(cell => {
+            if (cell.card && usedPlayerCardIds.has(cell.card.id) && GameRules.getCardOwner(cell.card) === 'opponent') {
+                selectableCells.push(cell.index);
+            }
+        });
+
+        if (selectableCells.length === 0 || !state.screenApi?.enableWinnerSelection) {
+            addSystemMessage(`${getSideName('rival')} не смог забрать карту.`);
+            await saveGameProgress('rival', null, null);
+            return;
+        }
+
+        addSystemMessage(`${getSideName('rival')}: выберите карту соперника для взятия!`);
+
+        await new Promise((resolve) => {
+            state.screenApi.enableWinnerSelection(selectableCells, async (selectedCellIndex) => {
+                const selectedCard = getCellByIndex(selectedCellIndex)?.card || null;
+                if (selectedCard) {
+                    addSystemMessage(`${getSideName('rival')} забрал карту: ${selectedCard.cardTypeId}`);
+                }
+                await saveGameProgress('rival', null, selectedCard?.id ?? null);
+                resolve();
+            });
+        });
+    }
+
     /**
      * Обработка ничьей
      */
@@ -1285,6 +1635,66 @@ const partyGameOrchestrator = (() => {
         await saveGameProgress('draw', null, null);
     }
 
+    /**
+     * Итог партии забега.
+     * Коллекция не меняется: при победе игрок выбирает захваченную карту соперника
+     * в колоду забега, поражение завершает забег. Сохраняет runOrchestrator.
+     * @param {string} outcome - 'win' | 'loss' | 'draw'
+     */
+    async function handleRunOutcome(outcome) {
+        let rewardCard = null;
+
+        if (outcome === 'win') {
+            const candidateCards = getCapturedOpponentCards();
+
+            if (candidateCards.length > 0 && state.screenApi?.enableWinnerSelection) {
+                addSystemMessage('Выберите карту соперника в колоду забега!');
+                rewardCard = await new Promise((resolve) => {
+                    state.screenApi.enableWinnerSelection(candidateCards.map(c => c.cellIndex), (selectedCellIndex) => {
+                        resolve(candidateCards.find(c => c.cellIndex === selectedCellIndex) || null);
+                    });
+                });
+            } else {
+                rewardCard = candidateCards[0] || null;
+            }
+        }
+
+        let saveSucceeded = false;
+        state.isSavingProgress = true;
+
+        try {
+            const run = await window.runOrchestrator.completeBattle({
+                runId: state.run.runId,
+                nodeId: state.run.nodeId,
+                outcome,
+                rewardCard,
+                playerHand: state.playerHand
+            });
+
+            if (rewardCard) {
+                addSystemMessage(`Карта ${rewardCard.cardTypeId} добавлена в колоду забега.`);
+            }
+            addSystemMessage(run.phase === 'reward'
+                ? 'Забег завершён. Вернитесь на карту, чтобы забрать награду.'
+                : 'Узел пройден. Вернитесь на карту забега.');
+
+            saveSucceeded = true;
+            window.partyOrchestrator?.clearCheckpoint?.();
+        } catch (error) {
+            console.error('PartyGameOrchestrator: Ошибка сохранения забега:', error);
+            addSystemMessage('Не удалось сохранить забег. Проверьте соединение и попробуйте ещё раз.');
+        } finally {
+            state.isSavingProgress = false;
+
+            if (state.screenApi?.handleEvent) {
+                await state.screenApi.handleEvent({
+                    type: 'progress_saved',
+                    success: saveSucceeded
+                });
+            }
+        }
+    }
+
     /**
      * Сохранение прогресса игры
      */
@@ -1406,6 +1816,9 @@ const partyGameOrchestrator = (() => {
             await window.userCards.saveUserData(userData);
             saveSucceeded = true;
 
+            // Партия завершена — продолжать больше нечего
+            window.partyOrchestrator?.clearCheckpoint?.();
+
             console.log('PartyGameOrchestrator: Прогресс игры сохранён');
 
         } catch (error) {
@@ -1423,7 +1836,8 @@ const partyGameOrchestrator = (() => {
     }
 
     async function recordPartyResultIfNeeded(winner) {
-        if (state.isPartyResultRecorded) {
+        // Игра вдвоём и партии забега не влияют на прогресс против соперников
+        if (state.isPartyResultRecorded || state.hotseat || state.run) {
             return true;
         }
 
@@ -1439,11 +1853,15 @@ const partyGameOrchestrator = (() => {
                 state.opponentId,
                 winner === 'player',
                 state.opponentData?.sequence || 1,
-                state.gameMode
+                state.gameMode,
+                state.replay
             );
 
             if (partySaved !== false) {
                 state.isPartyResultRecorded = true;
+                // Перезагрузка во время выбора награды не записывает партию повторно
+                state.result = state.result && { ...state.result, resultRecorded: true };
+                saveCheckpoint();
                 break;
             }
 
@@ -1543,7 +1961,16 @@ const partyGameOrchestrator = (() => {
             playerHand: state.playerHand,
             opponentHand: state.opponentHand,
             fieldState: state.fieldState,
-            gameHistory: state.gameHistory
+            gameHistory: state.gameHistory,
+            gameMode: state.gameMode,
+            arena: state.arena,
+            hotseat: state.hotseat,
+            run: state.run,
+            relics: state.relics,
+            rules: getMatchRules(),
+            isSpectator: state.isSpectator,
+            playbackSpeed: state.playbackSpeed,
+            seed: state.seed
         };
     }
 
@@ -1551,13 +1978,27 @@ const partyGameOrchestrator = (() => {
         return state.isSavingProgress;
     }
 
+    /**
+     * Скорость демо-партии: паузы AI и анимации экрана
+     * @param {number} speed - Множитель (1 — обычная скорость)
+     */
+    function setPlaybackSpeed(speed) {
+        state.playbackSpeed = speed > 0 ? speed : 1;
+
+        if (state.screenApi?.setAnimationSpeed) {
+            state.screenApi.setAnimationSpeed(state.playbackSpeed);
+        }
+    }
+
     // === Публичный API ===
     return {
         start,
         onPlayerMove,
+        onRivalMove,
         onFieldStateUpdate,
         getState,
         isSavingProgress,
+        setPlaybackSpeed,
         addSystemMessage
     };
 })();
@@ -1,8 +1,8 @@
 const PARTY_PENDING_KEY = 'technomaster.party.pending';
 const PARTY_PAYLOAD_KEY = 'technomaster.party.payload';
+const PARTY_CHECKPOINT_KEY = 'technomaster.party.checkpoint';
 const DECK_RULES_DB_PATH = 'public/data/cards.db';
 const PLAYER_CARDHOLDER_ID = 1;
-const PARTY_HAND_SIZE = 5;
 
 let deckRulesDb = null;
 
@@ -16,10 +16,20 @@ async function getDeckRulesDb() {
     const response = await fetch(DECK_RULES_DB_PATH);
     const buffer = await response.arrayBuffer();
     deckRulesDb = new SQL.Database(new Uint8Array(buffer));
+    GameConfig.loadFromDatabase(deckRulesDb);
 
     return deckRulesDb;
 }
 
+/**
+ * Размер руки на партию из баланса (таблица balance_config загружается вместе с БД)
+ * @returns {Promise<number>}
+ */
+async function getPartyHandSize() {
+    await getDeckRulesDb();
+    return GameConfig.get('handSize');
+}
+
 async function getLatestDeckRule(opponentId) {
     const db = await getDeckRulesDb();
     const opponentValue = Number(opponentId);
@@ -53,6 +63,46 @@ async function getLatestDeckRule(opponentId) {
     };
 }
 
+/**
+ * Арена соперника из таблицы arenas (null — поле по умолчанию)
+ * @param {number|string} opponentId
+ */
+async function getOpponentArena(opponentId) {
+    const db = await getDeckRulesDb();
+    const opponentValue = Number(opponentId);
+
+    if (!Number.isFinite(opponentValue)) {
+        return null;
+    }
+
+    let result;
+    try {
+        result = db.exec(
+            `SELECT a.id, a.name, a.grid_rows, a.grid_cols, a.layout_type, a.blocked_cells,
+                    a.blocked_min, a.blocked_max, a.cell_weights, a.terrain_cells
+             FROM opponents o
+             JOIN arenas a ON a.id = o.arena_id
+             WHERE o.id = ${opponentValue}`
+        );
+    } catch (error) {
+        console.warn('PartyOrchestrator: Таблица арен недоступна, используется поле по умолчанию', error);
+        return null;
+    }
+
+    if (!result.length || !result[0].values.length) {
+        return null;
+    }
+
+    const columns = result[0].columns;
+    const row = result[0].values[0];
+    const arena = {};
+    columns.forEach((column, index) => {
+        arena[column] = row[index];
+    });
+
+    return arena;
+}
+
 function getStorageType() {
     if (window.userCards?.getStorageType) {
         return window.userCards.getStorageType();
@@ -181,7 +231,15 @@ async function addOpponentCardsToReachHand(userData, opponentId, cardholder, nee
     await appendGeneratedCards(userData, cardholder.id, generatedDeck, 'rival');
 }
 
-async function prepareOpponentHand(userData, opponentId) {
+/**
+ * Рука соперника на партию.
+ * Если у соперника больше карт, чем помещается в руку, её собирает autoHandCollector;
+ * в режимах с counterPickHand — против руки игрока.
+ * @param {Object} userData
+ * @param {number|string} opponentId
+ * @param {Object} options - { playerHand, gameMode }
+ */
+async function prepareOpponentHand(userData, opponentId, options = {}) {
     const normalizedOpponentId = normalizeOpponentId(opponentId);
     const opponentCardholders = userData.cardholders.filter(
         cardholder => String(cardholder.opponent_id) === normalizedOpponentId
@@ -206,13 +264,14 @@ async function prepareOpponentHand(userData, opponentId) {
         opponentCards = getCardsByCardholder(userData, opponentCardholder.id);
     }
 
-    if (opponentCards.length === PARTY_HAND_SIZE) {
+    const handSize = await getPartyHandSize();
+    if (opponentCards.length === handSize) {
         setCardsInHand(userData, opponentCardholder.id, null, true);
         return opponentCardholder;
     }
 
-    if (opponentCards.length < PARTY_HAND_SIZE) {
-        const neededCards = PARTY_HAND_SIZE - opponentCards.length;
+    if (opponentCards.length < handSize) {
+        const neededCards = handSize - opponentCards.length;
         await addOpponentCardsToReachHand(userData, opponentId, opponentCardholder, neededCards);
         setCardsInHand(userData, opponentCardholder.id, null, true);
         return opponentCardholder;
@@ -221,7 +280,10 @@ async function prepareOpponentHand(userData, opponentId) {
     setCardsInHand(userData, opponentCardholder.id, null, false);
 
     const allOpponentCards = getCardsByCardholder(userData, opponentCardholder.id);
-    const selected = window.autoHandCollector.collectHand(allOpponentCards);
+    const rules = window.GameRules ? window.GameRules.getModeRules(options.gameMode) : null;
+    const selected = window.autoHandCollector.collectHand(allOpponentCards, rules?.counterPickHand
+        ? { against: options.playerHand, rules }
+        : {});
     const selectedIds = selected.map(card => card.id);
     setCardsInHand(userData, opponentCardholder.id, selectedIds, true);
 
@@ -230,14 +292,15 @@ async function prepareOpponentHand(userData, opponentId) {
 
 async function preparePlayerHand(userData) {
     const playerCards = getCardsByCardholder(userData, PLAYER_CARDHOLDER_ID);
+    const handSize = await getPartyHandSize();
 
-    if (playerCards.length < PARTY_HAND_SIZE) {
+    if (playerCards.length < handSize) {
         throw new Error(
             'Недостаточно карт для игры. Перейдите в раздел “Моя колода”, чтобы получить новые карты.'
         );
     }
 
-    if (playerCards.length === PARTY_HAND_SIZE) {
+    if (playerCards.length === handSize) {
         setCardsInHand(userData, PLAYER_CARDHOLDER_ID, null, true);
     }
 
@@ -265,14 +328,37 @@ function clearPendingOpponent() {
     sessionStorage.removeItem(PARTY_PENDING_KEY);
 }
 
-function launchPartyScreen(opponentId, playerHand, opponentHand, gameMode) {
+function launchPartyScreen(opponentId, playerHand, opponentHand, gameMode, arena = null, hotseat = null, spectator = null, run = null, matchSeed = null) {
+    // Зерно генератора: по нему и списку ходов партию можно воспроизвести
+    const seed = matchSeed ?? (window.SeededRandom ? window.SeededRandom.generateSeed() : Date.now());
+
+    // Раскладка арены выбирается по зерну партии, поэтому она тоже воспроизводима
+    const board = arena && window.GameRules
+        ? window.GameRules.resolveArenaLayout(arena, window.SeededRandom.createGenerator(seed))
+        : null;
+
     const payload = {
         opponentId,
         playerHand,
         opponentHand,
-        gameMode
+        gameMode,
+        // Параметры поля { rows, cols, unavailableCells }; null — поле 4x4 со случайными закрытыми ячейками
+        board,
+        arena: arena ? { id: arena.id, name: arena.name } : null,
+        // Игра вдвоём на одном устройстве { deckSource, stakes }; null — партия против компьютера
+        hotseat,
+        // Демо-партия ИИ против ИИ { speed }; партия не сохраняется
+        spectator,
+        // Партия забега { runId, nodeId, nodeType, relics }; итог передаётся в runOrchestrator
+        run,
+        seed
     };
 
+    // Новая партия заменяет прерванную (демо-партия прерванную не трогает)
+    if (!spectator) {
+        clearPartyCheckpoint();
+    }
+
     sessionStorage.setItem(PARTY_PAYLOAD_KEY, JSON.stringify(payload));
     window.location.href = 'party.html';
 }
@@ -284,7 +370,7 @@ async function startParty(opponentId, gameMode = 'standard') {
     const userData = await ensureUserData();
     const playerCards = await preparePlayerHand(userData);
 
-    if (playerCards.length > PARTY_HAND_SIZE) {
+    if (playerCards.length > await getPartyHandSize()) {
         storePendingOpponent(opponentId, gameMode);
         window.location.href = `hand-setup.html?opponentId=${encodeURIComponent(opponentId)}&party=1`;
         return;
@@ -306,30 +392,289 @@ async function finishParty(opponentId, gameMode) {
     const userData = await ensureUserData();
 
     const playerHand = getCardsByCardholder(userData, PLAYER_CARDHOLDER_ID).filter(card => card.inHand);
-    if (playerHand.length < PARTY_HAND_SIZE) {
+    if (playerHand.length < await getPartyHandSize()) {
         throw new Error('Рука игрока не готова. Заполните руку перед стартом партии.');
     }
 
-    const opponentCardholder = await prepareOpponentHand(userData, resolvedOpponentId);
+    const opponentCardholder = await prepareOpponentHand(userData, resolvedOpponentId, {
+        playerHand,
+        gameMode: resolvedGameMode
+    });
 
     await window.userCards.saveUserData(userData);
     clearPendingOpponent();
 
     const opponentHand = getCardsByCardholder(userData, opponentCardholder.id).filter(card => card.inHand);
+    const arena = await getOpponentArena(resolvedOpponentId);
+
+    launchPartyScreen(resolvedOpponentId, playerHand, opponentHand, resolvedGameMode, arena);
+}
+
+/**
+ * Рука из сгенерированных карт, которая не сохраняется в данные пользователя
+ * @param {Object} deckRule - Правила генерации (строка deck_rules)
+ * @param {number} firstCardId - ID первой карты руки
+ * @param {string} ownership - 'player' | 'rival'
+ */
+async function generateUnsavedHand(deckRule, firstCardId, ownership) {
+    await window.cardRenderer.init();
+
+    const generatedDeck = window.cardRenderer.generateDeck({ ...deckRule, deck_size: await getPartyHandSize() });
+
+    return generatedDeck.map((card, index) => (
+        buildCardFromRenderParams(card.renderParams || {}, null, firstCardId + index, ownership)
+    ));
+}
+
+/**
+ * Рука из сгенерированных карт для игры вдвоём.
+ * ID идут после ID карт коллекции, чтобы не пересекаться с картами первого игрока.
+ * @param {number} firstCardId - ID первой карты руки
+ * @param {string} ownership - 'player' | 'rival'
+ */
+async function generateHotseatHand(firstCardId, ownership) {
+    await window.cardRenderer.init();
+
+    const rules = window.cardRenderer.getStarterDeckRules();
+    if (!rules) {
+        throw new Error('Правила генерации колоды не найдены.');
+    }
+
+    return generateUnsavedHand(rules, firstCardId, ownership);
+}
+
+/**
+ * Запуск партии вдвоём на одном устройстве.
+ * Первый игрок играет картами коллекции или случайной колодой, второй — всегда случайной.
+ * Ставка возможна только при игре картами коллекции: на кону карты коллекции первого
+ * игрока, а сгенерированные карты второго игрока в коллекцию не попадают.
+ *
+ * @param {Object} options
+ * @param {string} options.deckSource - 'collection' | 'generated'
+ * @param {boolean} options.stakes - Играть на карты
+ * @param {string} options.gameMode - Режим игры
+ */
+async function startHotseatParty({ deckSource = 'collection', stakes = false, gameMode = 'standard' } = {}) {
+    const userData = await ensureUserData();
+    let nextCardId = getMaxId(userData.cards) + 1;
+    let playerHand;
+
+    if (deckSource === 'collection') {
+        const playerCards = await preparePlayerHand(userData);
+
+        if (playerCards.length > await getPartyHandSize()) {
+            const selectedIds = new Set(window.autoHandCollector.collectHand(playerCards).map(card => card.id));
+            playerHand = playerCards.filter(card => selectedIds.has(card.id));
+        } else {
+            playerHand = playerCards;
+        }
+    } else {
+        playerHand = await generateHotseatHand(nextCardId, 'player');
+        nextCardId += playerHand.length;
+    }
+
+    const opponentHand = await generateHotseatHand(nextCardId, 'rival');
+    const hotseat = {
+        deckSource,
+        stakes: deckSource === 'collection' && Boolean(stakes)
+    };
+
+    console.log('PartyOrchestrator: Игра вдвоём', hotseat, 'Режим:', gameMode);
+
+    launchPartyScreen(null, playerHand, opponentHand, gameMode, null, hotseat);
+}
+
+/**
+ * Соперники по возрастанию силы
+ * @returns {Promise<Array<{id: number, name: string, sequence: number}>>}
+ */
+async function getOpponents() {
+    const db = await getDeckRulesDb();
+    const result = db.exec('SELECT id, name, sequence FROM opponents ORDER BY sequence');
 
-    launchPartyScreen(resolvedOpponentId, playerHand, opponentHand, resolvedGameMode);
+    if (!result.length) {
+        return [];
+    }
+
+    return result[0].values.map(([id, name, sequence]) => ({ id, name, sequence }));
+}
+
+/**
+ * Реликвии забега из таблицы relics
+ * @returns {Promise<Array<Object>>}
+ */
+async function getRelics() {
+    const db = await getDeckRulesDb();
+    return window.Relics ? window.Relics.readCatalog(db) : [];
+}
+
+/**
+ * Сюжетные события между партиями из таблицы narrative_events
+ * @returns {Promise<Array<Object>>}
+ */
+async function getNarrativeEvents() {
+    const db = await getDeckRulesDb();
+    return window.NarrativeEvents ? window.NarrativeEvents.readCatalog(db) : [];
+}
+
+/**
+ * Запуск демо-партии «ИИ против ИИ».
+ * Обе руки генерируются по правилам колоды соперника, партия не сохраняется.
+ *
+ * @param {Object} options
+ * @param {number|string|null} options.opponentId - Соперник (null — случайный)
+ * @param {string} options.gameMode - Режим игры
+ * @param {number|null} options.seed - Зерно партии (null — новое); случайный соперник выбирается по нему
+ */
+async function startSpectatorParty({ opponentId = null, gameMode = 'standard', seed = null } = {}) {
+    const matchSeed = seed ?? window.SeededRandom.generateSeed();
+    let resolvedOpponentId = opponentId;
+
+    if (!resolvedOpponentId) {
+        const opponentIds = (await getOpponents()).map(opponent => opponent.id);
+
+        if (opponentIds.length === 0) {
+            throw new Error('Список соперников пуст.');
+        }
+
+        const rng = window.SeededRandom.createGenerator(matchSeed);
+        resolvedOpponentId = opponentIds[Math.floor(rng() * opponentIds.length)];
+    }
+
+    const deckRule = await getLatestDeckRule(resolvedOpponentId);
+    const playerHand = await generateUnsavedHand(deckRule, 1, 'player');
+    const opponentHand = await generateUnsavedHand(deckRule, playerHand.length + 1, 'rival');
+    const arena = await getOpponentArena(resolvedOpponentId);
+
+    console.log('PartyOrchestrator: Демо-партия против соперника', resolvedOpponentId, 'Режим:', gameMode, 'Зерно:', matchSeed);
+
+    launchPartyScreen(resolvedOpponentId, playerHand, opponentHand, gameMode, arena, null, { speed: 1 }, null, matchSeed);
+}
+
+/**
+ * Запуск партии забега.
+ * Руку игрока из колоды забега собирает autoHandCollector, рука соперника
+ * генерируется по его правилам колоды и в данные пользователя не попадает.
+ *
+ * @param {Object} options
+ * @param {number|string} options.opponentId - Соперник узла
+ * @param {Array} options.deck - Колода забега
+ * @param {number} options.firstCardId - ID первой карты соперника (после ID карт забега)
+ * @param {string} options.gameMode - Режим игры
+ * @param {number} options.runId - ID забега
+ * @param {Object} options.node - Узел карты забега { id, type }
+ * @param {Array} options.relics - Реликвии игрока (действуют в партии)
+ */
+async function startRunBattle({ opponentId, deck, firstCardId, gameMode = 'standard', runId, node, relics = [] }) {
+    const handSize = await getPartyHandSize();
+
+    if (!Array.isArray(deck) || deck.length < handSize) {
+        throw new Error('В колоде забега недостаточно карт для партии.');
+    }
+
+    let playerHand = deck;
+    if (deck.length > handSize) {
+        const selectedIds = new Set(window.autoHandCollector.collectHand(deck).map(card => card.id));
+        playerHand = deck.filter(card => selectedIds.has(card.id));
+    }
+
+    const deckRule = await getLatestDeckRule(opponentId);
+    const opponentHand = await generateUnsavedHand(deckRule, firstCardId, 'rival');
+    const arena = await getOpponentArena(opponentId);
+
+    console.log('PartyOrchestrator: Партия забега, узел', node.id, 'Соперник:', opponentId, 'Режим:', gameMode);
+
+    launchPartyScreen(opponentId, playerHand, opponentHand, gameMode, arena, null, null, {
+        runId,
+        nodeId: node.id,
+        nodeType: node.type,
+        relics
+    });
 }
 
 function hasPendingParty() {
     return Boolean(readPendingOpponent());
 }
 
+// === Контрольная точка прерванной партии ===
+// Хранится в localStorage, чтобы пережить закрытие вкладки.
+// После последнего хода точка хранит итог (finished) и удаляется только после сохранения
+// результата, поэтому перезагрузка во время выбора награды возвращает к выбору награды.
+
+function savePartyCheckpoint(checkpoint) {
+    try {
+        localStorage.setItem(PARTY_CHECKPOINT_KEY, JSON.stringify(checkpoint));
+    } catch (error) {
+        console.warn('PartyOrchestrator: Не удалось сохранить контрольную точку партии', error);
+    }
+}
+
+function readPartyCheckpoint() {
+    const checkpoint = localStorage.getItem(PARTY_CHECKPOINT_KEY);
+    if (!checkpoint) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(checkpoint);
+    } catch (error) {
+        return null;
+    }
+}
+
+function clearPartyCheckpoint() {
+    localStorage.removeItem(PARTY_CHECKPOINT_KEY);
+}
+
+function hasPartyCheckpoint() {
+    return Boolean(readPartyCheckpoint());
+}
+
+/**
+ * Возврат к прерванной партии
+ * @param {string} action - 'continue' (продолжить) | 'forfeit' (сдаться)
+ */
+function resumeParty(action = 'continue') {
+    const checkpoint = readPartyCheckpoint();
+    if (!checkpoint) {
+        throw new Error('Прерванная партия не найдена.');
+    }
+
+    const payload = {
+        opponentId: checkpoint.opponentId,
+        playerHand: checkpoint.playerHand,
+        opponentHand: checkpoint.opponentHand,
+        gameMode: checkpoint.gameMode,
+        arena: checkpoint.arena || null,
+        hotseat: checkpoint.hotseat || null,
+        run: checkpoint.run || null,
+        seed: checkpoint.seed,
+        resume: action === 'forfeit' ? 'forfeit' : 'continue'
+    };
+
+    sessionStorage.setItem(PARTY_PAYLOAD_KEY, JSON.stringify(payload));
+    window.location.href = 'party.html';
+}
+
 window.partyOrchestrator = {
     start: startParty,
     finish: finishParty,
+    startHotseat: startHotseatParty,
+    startSpectator: startSpectatorParty,
+    startRunBattle,
+    getOpponents,
+    getRelics,
+    getNarrativeEvents,
+    getDeckRule: getLatestDeckRule,
     hasPendingParty,
+    resume: resumeParty,
+    saveCheckpoint: savePartyCheckpoint,
+    readCheckpoint: readPartyCheckpoint,
+    clearCheckpoint: clearPartyCheckpoint,
+    hasCheckpoint: hasPartyCheckpoint,
     keys: {
         pending: PARTY_PENDING_KEY,
-        payload: PARTY_PAYLOAD_KEY
+        payload: PARTY_PAYLOAD_KEY,
+        checkpoint: PARTY_CHECKPOINT_KEY
     }
 };
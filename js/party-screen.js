@@ -5,6 +5,9 @@
  */
 
 const PARTY_SCREEN_DB_PATH = 'public/data/cards.db';
+const SHOW_THREATS_KEY = 'technomaster.party.showThreats';
+// Бесплатные подсказки за партию; следующие — за просмотр видео
+const HINTS_PER_MATCH = 1;
 
 /**
  * Режимы экрана партии
@@ -31,7 +34,8 @@ const GameEventType = {
     MESSAGE: 'message',
     OPPONENT_MOVE: 'opponent_move',
     GAME_END: 'game_end',
-    PROGRESS_SAVED: 'progress_saved'
+    PROGRESS_SAVED: 'progress_saved',
+    PLAYER_MOVE: 'player_move'
 };
 
 /**
@@ -46,6 +50,8 @@ const partyScreenState = {
 
     // Игровое поле
     gameField: null,
+    fieldRows: 4,
+    fieldCols: 4,
     fieldCells: [],
     unavailableCells: [],
 
@@ -78,7 +84,31 @@ const partyScreenState = {
     orchestratorActive: false,
 
     // Сохранение прогресса
-    progressSaved: false
+    progressSaved: false,
+
+    // Режим просмотра повтора
+    isReplay: false,
+
+    // Игра вдвоём на одном устройстве { deckSource, stakes }; null — соперник под управлением AI
+    hotseat: null,
+
+    // Сторона, чья рука открыта и принимает ходы: 'player' | 'opponent'
+    activeSide: 'player',
+
+    // Демо-партия ИИ против ИИ (ничего не сохраняется)
+    isSpectator: false,
+
+    // Партия забега { runId, nodeId, nodeType }; после партии возврат на карту забега
+    run: null,
+
+    // Множитель скорости анимаций (используется в повторе)
+    animationSpeed: 1,
+
+    // Слой угроз при наведении: лучший ответ соперника на ход
+    showThreats: localStorage.getItem(SHOW_THREATS_KEY) === 'true',
+
+    // Оставшиеся бесплатные подсказки в партии по сторонам (в игре вдвоём у каждого игрока свои)
+    hintsLeft: { player: HINTS_PER_MATCH, opponent: HINTS_PER_MATCH }
 };
 
 /**
@@ -114,6 +144,13 @@ function showReturnButton() {
     }
 }
 
+function showReplayButton() {
+    const replayButton = document.getElementById('partyReplayButton');
+    if (replayButton) {
+        replayButton.classList.remove('hidden');
+    }
+}
+
 function hideReturnButton() {
     const returnButton = document.getElementById('partyReturnButton');
     if (returnButton) {
@@ -134,6 +171,7 @@ async function initPartyDatabase() {
     const response = await fetch(PARTY_SCREEN_DB_PATH);
     const buffer = await response.arrayBuffer();
     partyScreenState.db = new SQL.Database(new Uint8Array(buffer));
+    GameConfig.loadFromDatabase(partyScreenState.db);
 
     return partyScreenState.db;
 }
@@ -144,7 +182,7 @@ async function initPartyDatabase() {
 async function getOpponentDataFromDb(opponentId) {
     const db = await initPartyDatabase();
 
-    const result = db.exec(`SELECT id, name, sequence FROM opponents WHERE id = ${opponentId}`);
+    const result = db.exec(`SELECT id, name, sequence, ai_engine FROM opponents WHERE id = ${opponentId}`);
 
     if (!result.length || !result[0].values.length) {
         return null;
@@ -154,10 +192,42 @@ async function getOpponentDataFromDb(opponentId) {
     return {
         id: row[0],
         name: row[1],
-        sequence: row[2]
+        sequence: row[2],
+        // Движок ИИ соперника (null — по режиму игры)
+        aiEngine: row[3] || null,
+        personality: getOpponentPersonalityFromDb(db, opponentId)
     };
 }
 
+/**
+ * Характер соперника из таблицы ai_personalities (null — веса по умолчанию)
+ */
+function getOpponentPersonalityFromDb(db, opponentId) {
+    if (!window.AiPersonality) {
+        return null;
+    }
+
+    let result;
+    try {
+        result = db.exec(
+            `SELECT ${window.AiPersonality.COLUMNS.map(column => `p.${column}`).join(', ')}
+             FROM opponents o
+             JOIN ai_personalities p ON p.id = o.personality_id
+             WHERE o.id = ${opponentId}`
+        );
+    } catch (error) {
+        console.warn('PartyScreen: Таблица характеров недоступна, используются веса по умолчанию', error);
+        return null;
+    }
+
+    if (!result.length || !result[0].values.length) {
+        return null;
+    }
+
+    const { columns, values } = result[0];
+    return window.AiPersonality.fromDbRow(Object.fromEntries(columns.map((column, index) => [column, values[0][index]])));
+}
+
 /**
  * Установка режима экрана
  */
@@ -178,6 +248,7 @@ function setScreenMode(mode) {
     );
 
     partyScreenState.mode = mode;
+    updateHintButton();
 
     switch (mode) {
         case PartyScreenMode.LOADING:
@@ -259,15 +330,44 @@ function updateOpponentDisplay() {
     const nameEl = document.getElementById('opponentNameDisplay');
     const powerEl = document.getElementById('opponentPowerDisplay');
 
+    if (partyScreenState.hotseat) {
+        nameEl.textContent = partyScreenState.opponentData?.name || 'Игрок 2';
+        powerEl.textContent = partyScreenState.hotseat.stakes ? 'Игра на карты' : 'Дружеская партия';
+        return;
+    }
+
     if (partyScreenState.opponentData) {
         const opponentId = partyScreenState.opponentData.id;
         const avatarNumber = String(opponentId).padStart(2, '0');
         avatarEl.src = `public/img/opponents/opponent_${avatarNumber}.png`;
         nameEl.textContent = partyScreenState.opponentData.name;
         powerEl.textContent = `Сила: ${partyScreenState.opponentData.sequence}`;
+
+        const runNodeType = partyScreenState.run && window.RunMap?.getNodeType(partyScreenState.run.nodeType);
+        if (runNodeType) {
+            powerEl.textContent = `${runNodeType.icon} ${runNodeType.name} · ${powerEl.textContent}`;
+        }
     }
 }
 
+/**
+ * Рука стороны, которая сейчас ходит (в партии против AI — всегда рука игрока)
+ */
+function getActiveHand() {
+    return partyScreenState.activeSide === 'opponent'
+        ? partyScreenState.opponentHand
+        : partyScreenState.playerHand;
+}
+
+/**
+ * Рука стороны, которая ждёт своего хода
+ */
+function getInactiveHand() {
+    return partyScreenState.activeSide === 'opponent'
+        ? partyScreenState.playerHand
+        : partyScreenState.opponentHand;
+}
+
 /**
  * Отрисовка информации о картах оппонента (количество оставшихся)
  */
@@ -280,13 +380,16 @@ function renderOpponentHand() {
 }
 
 /**
- * Отрисовка карт игрока (открытые)
+ * Отрисовка карт игрока (открытые).
+ * В игре вдвоём отрисовывается рука стороны, которая сейчас ходит.
  */
 function renderPlayerHand() {
     const container = document.getElementById('playerHandContainer');
     container.innerHTML = '';
 
-    partyScreenState.playerHand.forEach((card, index) => {
+    const isOpponentSide = partyScreenState.activeSide === 'opponent';
+
+    getActiveHand().forEach((card, index) => {
         const cardWrapper = document.createElement('div');
         cardWrapper.className = 'player-hand-card';
         cardWrapper.dataset.cardIndex = index;
@@ -307,7 +410,7 @@ function renderPlayerHand() {
             arrowBottom: card.arrowBottom,
             arrowBottomLeft: card.arrowBottomLeft,
             arrowLeft: card.arrowLeft,
-            ownership: 'player',
+            ownership: isOpponentSide ? 'rival' : 'player',
             cardLevel: String(card.cardLevel || 1),
             attackLevel: String(card.attackLevel || 0),
             attackType: card.attackType || 'P',
@@ -373,13 +476,21 @@ function scalePlayerHandToFit() {
 
 /**
  * Инициализация и отрисовка игрового поля
+ * @param {Object} layout - Параметры поля партии { rows, cols, unavailableCells, unavailableCount, terrain }
+ *   (unavailableCells — фиксированный узор закрытых ячеек, иначе закрываются случайные;
+ *   terrain — особые ячейки { [index]: тип местности })
  */
-function initGameField() {
+function initGameField(layout = {}) {
     const container = document.getElementById('gameFieldContainer');
+    const fieldLayout = window.GameRules.normalizeLayout(layout);
 
     // Генерируем поле с ячейками 170×238 (соответствует scale 0.85 карты 200×280)
     const fieldData = gameFieldRenderer.renderField({
-        unavailableCount: null, // случайное количество 0-6
+        rows: fieldLayout.rows,
+        cols: fieldLayout.cols,
+        unavailableCount: fieldLayout.unavailableCount,
+        unavailableCells: fieldLayout.unavailableCells,
+        terrain: fieldLayout.terrain,
         cellWidth: 170,
         cellHeight: 238,
         cellGap: 6
@@ -387,6 +498,8 @@ function initGameField() {
 
     // Сохраняем данные поля
     partyScreenState.gameField = fieldData.element;
+    partyScreenState.fieldRows = fieldData.rows;
+    partyScreenState.fieldCols = fieldData.cols;
     partyScreenState.fieldCells = fieldData.cells;
     partyScreenState.unavailableCells = fieldData.unavailableIndices;
 
@@ -419,7 +532,7 @@ function initGameField() {
         window.PredictionHelper.initOverlay();
     }
 
-    console.log(`PartyScreen: Игровое поле создано. Заблокированных ячеек: ${fieldData.unavailableCount}`);
+    console.log(`PartyScreen: Игровое поле ${fieldData.rows}x${fieldData.cols} создано. Заблокированных ячеек: ${fieldData.unavailableCount}`);
 
     return fieldData;
 }
@@ -537,7 +650,7 @@ function handleCardDragStart(e) {
 
     partyScreenState.draggedCard = cardWrapper;
     const cardIndex = parseInt(cardWrapper.dataset.cardIndex, 10);
-    partyScreenState.draggedCardData = partyScreenState.playerHand[cardIndex];
+    partyScreenState.draggedCardData = getActiveHand()[cardIndex];
 
     cardWrapper.classList.add('dragging');
     e.dataTransfer.setData('text/plain', cardWrapper.dataset.cardId);
@@ -615,6 +728,167 @@ function disableDropTargets() {
     });
 }
 
+// === Подсказка хода ===
+
+/**
+ * Подсказки доступны в партии с живым игроком, если их разрешает режим (hintsAllowed)
+ */
+function isHintAllowed() {
+    const gameMode = window.partyGameOrchestrator?.getState().gameMode;
+    return !partyScreenState.isReplay && !partyScreenState.isSpectator && GameRules.getModeRules(gameMode).hintsAllowed;
+}
+
+/**
+ * Бесплатные подсказки стороны, которая сейчас ходит
+ */
+function getHintsLeft() {
+    return partyScreenState.hintsLeft[partyScreenState.activeSide] || 0;
+}
+
+/**
+ * Обновление кнопки подсказки: видимость, доступность и счётчик.
+ * Без бесплатных подсказок кнопка предлагает видео, а без SDK рекламы недоступна.
+ */
+function updateHintButton() {
+    const button = document.getElementById('partyHintButton');
+    if (!button) return;
+
+    const hintsLeft = getHintsLeft();
+    const canWatchVideo = Boolean(window.userCards?.getCachedYsdk?.());
+
+    button.classList.toggle('hidden', !isHintAllowed());
+    button.disabled = partyScreenState.mode !== PartyScreenMode.PLAYER_TURN || (hintsLeft === 0 && !canWatchVideo);
+
+    const counter = button.querySelector('.party-hint-count');
+    if (counter) {
+        counter.textContent = hintsLeft > 0 ? String(hintsLeft) : canWatchVideo ? '▶' : '0';
+    }
+}
+
+/**
+ * Нажатие на кнопку подсказки: бесплатная подсказка или видео за вознаграждение
+ */
+function handleHintClick() {
+    if (!isHintAllowed() || partyScreenState.mode !== PartyScreenMode.PLAYER_TURN) {
+        return;
+    }
+
+    if (getHintsLeft() > 0) {
+        partyScreenState.hintsLeft[partyScreenState.activeSide] -= 1;
+        updateHintButton();
+        showHint();
+        return;
+    }
+
+    const ysdk = window.userCards?.getCachedYsdk?.();
+    if (!ysdk) {
+        // Не на Яндекс Играх: видео за подсказку показать нельзя
+        console.log('PartyScreen: SDK недоступен, подсказка за видео недоступна.');
+        showMessage('Бесплатные подсказки закончились.', 2000);
+        return;
+    }
+
+    let isRewardEarned = false;
+
+    ysdk.adv.showRewardedVideo({
+        callbacks: {
+            onRewarded: function() {
+                isRewardEarned = true;
+            },
+            onClose: function() {
+                if (isRewardEarned && partyScreenState.mode === PartyScreenMode.PLAYER_TURN) {
+                    showHint();
+                }
+            },
+            onError: function(error) {
+                console.error('PartyScreen: Ошибка видео подсказки:', error);
+                showMessage('Не удалось загрузить видео. Попробуйте позже.', 2000);
+            }
+        }
+    });
+}
+
+/**
+ * Расчёт и подсветка лучшего хода для стороны, которая ходит
+ */
+function showHint() {
+    if (!window.aiMoveCalculator?.suggestMove) return;
+
+    clearHint();
+
+    const suggestion = window.aiMoveCalculator.suggestMove(
+        { cells: getFieldCellsSnapshot(), rows: partyScreenState.fieldRows, cols: partyScreenState.fieldCols },
+        getActiveHand(),
+        getInactiveHand(),
+        {
+            gameMode: window.partyGameOrchestrator?.getState().gameMode,
+            rules: window.partyGameOrchestrator?.getState().rules,
+            aiOwner: partyScreenState.activeSide
+        }
+    );
+
+    if (!suggestion) {
+        showMessage('Подсказка: нет доступных ходов', 2000);
+        return;
+    }
+
+    document.querySelector(`.player-hand-card[data-card-id="${suggestion.cardId}"]`)?.classList.add('hint-card');
+    partyScreenState.fieldCells.find(c => c.index === suggestion.cellIndex)?.element.classList.add('hint-cell');
+
+    showMessage(formatHintBreakdown(suggestion));
+}
+
+/**
+ * Краткая разбивка оценки хода: захваты, шансы боёв, безопасность, угол
+ */
+function formatHintBreakdown(suggestion) {
+    const { breakdown, battles } = suggestion;
+    const formatScore = value => `${value >= 0 ? '+' : ''}${Math.round(value)}`;
+    const parts = [];
+
+    if (breakdown.capture > 0) {
+        parts.push(`захват: ${Math.round(breakdown.capture / 100)}`);
+    }
+    if (battles.length > 0) {
+        parts.push(`бой: ${battles.map(battle => `${Math.round(battle.winChance * 100)}%`).join(' / ')}`);
+    }
+    if (breakdown.combo > 0) {
+        parts.push(`комбо ${formatScore(breakdown.combo)}`);
+    }
+    parts.push(`безопасность ${formatScore(breakdown.safety)}`);
+    if (breakdown.corner > 0) {
+        parts.push(`угол ${formatScore(breakdown.corner)}`);
+    }
+    if (breakdown.terrain > 0) {
+        parts.push(`местность ${formatScore(breakdown.terrain)}`);
+    }
+
+    return `Подсказка: ${parts.join(', ')}`;
+}
+
+/**
+ * Снятие подсветки подсказки
+ */
+function clearHint() {
+    document.querySelectorAll('.hint-card, .hint-cell').forEach(element => {
+        element.classList.remove('hint-card', 'hint-cell');
+    });
+}
+
+/**
+ * Ячейки поля с картами (для расчётов прогноза и подсказки)
+ */
+function getFieldCellsSnapshot() {
+    return partyScreenState.fieldCells.map(c => ({
+        index: c.index,
+        row: c.row,
+        col: c.col,
+        isAvailable: c.isAvailable,
+        terrain: c.terrain,
+        card: partyScreenState.fieldCards.get(c.index) || null
+    }));
+}
+
 /**
  * Обработчик dragover для ячейки
  */
@@ -632,14 +906,18 @@ function handleCellDragOver(e) {
 
     // Предиктивная визуализация
     if (window.PredictionHelper && partyScreenState.draggedCardData) {
-        const fieldCells = partyScreenState.fieldCells.map(c => ({
-            index: c.index,
-            row: c.row,
-            col: c.col,
-            isAvailable: c.isAvailable,
-            card: partyScreenState.fieldCards.get(c.index) || null
-        }));
-        window.PredictionHelper.onCellHover(partyScreenState.draggedCardData, cellIndex, fieldCells);
+        const fieldCells = getFieldCellsSnapshot();
+        const { gameMode, rules } = window.partyGameOrchestrator?.getState() || {};
+        window.PredictionHelper.onCellHover(partyScreenState.draggedCardData, cellIndex, fieldCells, {
+            gameMode,
+            rules,
+            rows: partyScreenState.fieldRows,
+            cols: partyScreenState.fieldCols,
+            owner: partyScreenState.activeSide,
+            showThreats: partyScreenState.showThreats,
+            ownHand: getActiveHand(),
+            rivalHand: getInactiveHand()
+        });
     }
 }
 
@@ -687,6 +965,8 @@ async function handleCellDrop(e) {
 
     if (partyScreenState.mode !== PartyScreenMode.PLAYER_TURN) return;
 
+    clearHint();
+
     const cell = e.currentTarget;
     cell.classList.remove('drag-over');
 
@@ -703,15 +983,17 @@ async function handleCellDrop(e) {
     }
 
     const cardData = partyScreenState.draggedCardData;
+    const owner = partyScreenState.activeSide;
 
     // Размещаем карту на поле
-    placeCardOnField(cellIndex, cardData, 'player');
+    placeCardOnField(cellIndex, cardData, owner);
 
     // Помечаем карту как использованную
-    markCardAsUsed(cardData.id, partyScreenState.playerHand);
+    markCardAsUsed(cardData.id, getActiveHand());
 
-    // Перерисовываем руку игрока
+    // Перерисовываем руки
     renderPlayerHand();
+    renderOpponentHand();
 
     // Обновляем счёт
     updateScore();
@@ -725,15 +1007,20 @@ async function handleCellDrop(e) {
     // Отправляем состояние поля оркестратору
     sendFieldStateToOrchestrator();
 
+    const moveData = {
+        type: 'place_card',
+        cellIndex: cellIndex,
+        cardId: cardData.id,
+        cardData: cardData
+    };
+
     // Передаем управление оркестратору
-    if (window.partyGameOrchestrator?.onPlayerMove) {
+    if (owner === 'opponent' && window.partyGameOrchestrator?.onRivalMove) {
         partyScreenState.orchestratorActive = true;
-        await window.partyGameOrchestrator.onPlayerMove({
-            type: 'place_card',
-            cellIndex: cellIndex,
-            cardId: cardData.id,
-            cardData: cardData
-        });
+        await window.partyGameOrchestrator.onRivalMove(moveData);
+    } else if (window.partyGameOrchestrator?.onPlayerMove) {
+        partyScreenState.orchestratorActive = true;
+        await window.partyGameOrchestrator.onPlayerMove(moveData);
     } else {
         // Резервный режим без оркестратора - простое поочередное размещение
         console.warn('PartyScreen: Оркестратор недоступен, используется резервный режим');
@@ -816,6 +1103,44 @@ function markCardAsUsed(cardId, handArray) {
     }
 }
 
+/**
+ * Индикатор «раздумий» AI, пока ход считается в потоке AI
+ * @param {boolean} active
+ * @param {string} owner - Сторона, за которую думает AI: 'player' (демо-партия) | 'opponent'
+ */
+function setAiThinking(active, owner = 'opponent') {
+    const indicator = document.getElementById('aiThinkingIndicator');
+    if (!indicator) {
+        return;
+    }
+
+    indicator.textContent = owner === 'player' ? 'Игрок думает…' : 'Соперник думает…';
+    indicator.classList.toggle('hidden', !active);
+}
+
+/**
+ * Реликвии игрока на партию (значок, название, оставшиеся заряды; описание — в подсказке)
+ * @param {Array<Object>} relics - Реликвии с зарядами (см. Relics.prepareForMatch)
+ */
+function updateRelics(relics = []) {
+    const container = document.getElementById('partyRelics');
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = '';
+    container.classList.toggle('hidden', relics.length === 0);
+
+    relics.forEach(relic => {
+        const item = document.createElement('span');
+        item.className = 'party-relic';
+        item.classList.toggle('spent', relic.charges === 0);
+        item.textContent = window.Relics ? window.Relics.getLabel(relic) : relic.name;
+        item.title = relic.description || '';
+        container.appendChild(item);
+    });
+}
+
 /**
  * Обновление счёта
  */
@@ -846,11 +1171,14 @@ function handleFallbackOpponentTurn() {
 
     // Подготавливаем состояние поля для расчёта хода
     const fieldState = {
+        rows: partyScreenState.fieldRows,
+        cols: partyScreenState.fieldCols,
         cells: partyScreenState.fieldCells.map(c => ({
             index: c.index,
             row: c.row,
             col: c.col,
             isAvailable: c.isAvailable,
+            terrain: c.terrain,
             card: partyScreenState.fieldCards.get(c.index) || null
         }))
     };
@@ -930,11 +1258,14 @@ function handleFallbackGameEnd() {
  */
 function sendFieldStateToOrchestrator() {
     const fieldState = {
+        rows: partyScreenState.fieldRows,
+        cols: partyScreenState.fieldCols,
         cells: partyScreenState.fieldCells.map(c => ({
             index: c.index,
             row: c.row,
             col: c.col,
             isAvailable: c.isAvailable,
+            terrain: c.terrain,
             card: partyScreenState.fieldCards.get(c.index) || null
         })),
         unavailableCells: partyScreenState.unavailableCells,
@@ -981,6 +1312,14 @@ async function handleGameEvent(event) {
 
         case GameEventType.PROGRESS_SAVED:
             partyScreenState.progressSaved = true;
+            // Партии вдвоём и партии забега не попадают в историю, поэтому их повтор недоступен
+            if (event.success && !partyScreenState.hotseat && !partyScreenState.run) {
+                showReplayButton();
+            }
+            break;
+
+        case GameEventType.PLAYER_MOVE:
+            await handlePlayerMove(event);
             break;
 
         default:
@@ -988,7 +1327,9 @@ async function handleGameEvent(event) {
     }
 
     // После обработки события отправляем актуальное состояние
-    sendFieldStateToOrchestrator();
+    if (!partyScreenState.isReplay) {
+        sendFieldStateToOrchestrator();
+    }
 }
 
 /**
@@ -1004,6 +1345,12 @@ async function handleTurnChange(event) {
     }
 }
 
+// Подписи к бою для стратегий, где числа на экране — не броски кубиков
+const BATTLE_STRATEGY_MESSAGES = {
+    deterministic: 'Бой по характеристикам: побеждает большее значение',
+    weighted: 'Шанс атаки в процентах против броска'
+};
+
 /**
  * Обработка боя между картами
  */
@@ -1015,6 +1362,7 @@ async function handleBattle(event) {
         attackType,
         defenseLevel,
         defenseType,
+        battleStrategy,
         winner
     } = event;
 
@@ -1091,11 +1439,31 @@ async function handleBattle(event) {
     attackValueEl.className = `attack-value type-${attackType}`;
     defenseValueEl.className = 'defense-value';
 
-    // Анимация счётчика атаки
-    await animateValue(attackValueEl, 0, attackLevel, 800);
+    // Броски по стратегии боя: один раунд или серия до двух побед
+    const rounds = event.rounds?.length
+        ? event.rounds
+        : [{ attackRoll: attackLevel, defenseRoll: defenseLevel, attackerWins: winner === 'attacker' }];
+
+    if (BATTLE_STRATEGY_MESSAGES[battleStrategy]) {
+        showMessage(BATTLE_STRATEGY_MESSAGES[battleStrategy]);
+    }
+
+    for (const [roundIndex, round] of rounds.entries()) {
+        if (rounds.length > 1) {
+            showMessage(`Раунд ${roundIndex + 1}`);
+        }
+
+        // Анимация счётчика атаки
+        await animateValue(attackValueEl, 0, round.attackRoll, 800);
+
+        // Анимация счётчика защиты
+        await animateValue(defenseValueEl, 0, round.defenseRoll, 800);
 
-    // Анимация счётчика защиты
-    await animateValue(defenseValueEl, 0, defenseLevel, 800);
+        if (rounds.length > 1) {
+            showMessage(`Раунд ${roundIndex + 1}: ${round.attackerWins ? 'атакующий' : 'защитник'}`, 1000);
+            await delay(1000);
+        }
+    }
 
     // Показываем результат
     showMessage(winner === 'attacker' ? 'Атакующая карта победила!' : 'Защищающаяся карта устояла!', 2000);
@@ -1113,12 +1481,14 @@ async function handleBattle(event) {
  * Анимация изменения числового значения
  */
 function animateValue(element, start, end, duration) {
+    const scaledDuration = duration / partyScreenState.animationSpeed;
+
     return new Promise(resolve => {
         const startTime = performance.now();
 
         function update(currentTime) {
             const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+            const progress = Math.min(elapsed / scaledDuration, 1);
 
             const currentValue = Math.floor(start + (end - start) * progress);
             element.textContent = currentValue;
@@ -1218,6 +1588,23 @@ async function handleOpponentMove(event) {
     showMessage(`Оппонент разместил карту в ячейке ${cellIndex}`);
 }
 
+/**
+ * Обработка хода игрока, пришедшего из повтора
+ */
+async function handlePlayerMove(event) {
+    const { cellIndex, cardData } = event;
+
+    await delay(500);
+
+    placeCardOnField(cellIndex, cardData, 'player');
+    markCardAsUsed(cardData.id, partyScreenState.playerHand);
+    renderPlayerHand();
+
+    updateScore();
+
+    showMessage(`Игрок разместил карту в ячейке ${cellIndex}`);
+}
+
 /**
  * Обработка завершения игры
  */
@@ -1227,19 +1614,76 @@ async function handleGameEnd(event) {
 
     setScreenMode(PartyScreenMode.GAME_END);
 
-    const resultText = winner === 'player'
-        ? `Победа! Счёт: ${playerScore}:${opponentScore}`
-        : winner === 'opponent'
-            ? `Поражение! Счёт: ${playerScore}:${opponentScore}`
-            : `Ничья! Счёт: ${playerScore}:${opponentScore}`;
+    let resultText;
+    if (partyScreenState.isSpectator) {
+        resultText = winner === 'player'
+            ? `Демо-партия: победил ИИ игрока. Счёт: ${playerScore}:${opponentScore}`
+            : winner === 'opponent'
+                ? `Демо-партия: победил ${partyScreenState.opponentData?.name || 'соперник'}. Счёт: ${playerScore}:${opponentScore}`
+                : `Демо-партия: ничья. Счёт: ${playerScore}:${opponentScore}`;
+    } else if (partyScreenState.hotseat) {
+        // Обе руки открываются после партии
+        partyScreenState.activeSide = 'player';
+        renderPlayerHand();
+
+        resultText = winner === 'player'
+            ? `Победа: Игрок 1! Счёт: ${playerScore}:${opponentScore}`
+            : winner === 'opponent'
+                ? `Победа: Игрок 2! Счёт: ${playerScore}:${opponentScore}`
+                : `Ничья! Счёт: ${playerScore}:${opponentScore}`;
+    } else {
+        resultText = winner === 'player'
+            ? `Победа! Счёт: ${playerScore}:${opponentScore}`
+            : winner === 'opponent'
+                ? `Поражение! Счёт: ${playerScore}:${opponentScore}`
+                : `Ничья! Счёт: ${playerScore}:${opponentScore}`;
+    }
 
     showMessage(resultText);
 
-    if (winner !== 'player') {
+    // Первому игроку после игры вдвоём и в демо-партии выбирать карту не нужно
+    if (winner !== 'player' || partyScreenState.isSpectator || partyScreenState.hotseat) {
         clearPartyPayload();
     }
 }
 
+/**
+ * Передача устройства в игре вдвоём.
+ * Рука закрывается, пока следующий игрок не подтвердит, что взял устройство.
+ * @param {string} side - 'player' | 'opponent'
+ * @param {string} sideName - Имя стороны для подсказки
+ * @returns {Promise<void>}
+ */
+function showHandover(side, sideName) {
+    const overlay = document.getElementById('handoverOverlay');
+    const title = document.getElementById('handoverTitle');
+    const readyButton = document.getElementById('handoverReadyButton');
+    const handContainer = document.getElementById('playerHandContainer');
+
+    setScreenMode(PartyScreenMode.EVENTS);
+
+    if (!overlay || !readyButton) {
+        partyScreenState.activeSide = side;
+        renderPlayerHand();
+        return Promise.resolve();
+    }
+
+    handContainer.innerHTML = '';
+    if (title) {
+        title.textContent = `Передайте устройство: ${sideName}`;
+    }
+    overlay.classList.remove('hidden');
+
+    return new Promise(resolve => {
+        readyButton.addEventListener('click', () => {
+            overlay.classList.add('hidden');
+            partyScreenState.activeSide = side;
+            renderPlayerHand();
+            resolve();
+        }, { once: true });
+    });
+}
+
 /**
  * Включение режима выбора карты для атаки
  */
@@ -1304,10 +1748,132 @@ function highlightRewardCard(cellIndex, duration = 2000) {
 }
 
 /**
- * Вспомогательная функция задержки
+ * Вспомогательная функция задержки (с учётом скорости анимаций)
  */
 function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise(resolve => setTimeout(resolve, ms / partyScreenState.animationSpeed));
+}
+
+/**
+ * Установка скорости анимаций (1 - обычная)
+ */
+function setAnimationSpeed(speed) {
+    partyScreenState.animationSpeed = speed > 0 ? speed : 1;
+}
+
+/**
+ * Перерисовка поля по состоянию без анимаций (перемотка повтора)
+ * @param {Object} board - Состояние поля GameRules
+ */
+function resetFieldFromBoard(board) {
+    partyScreenState.fieldCards.clear();
+
+    partyScreenState.fieldCells.forEach(cellData => {
+        if (!cellData.isAvailable) return;
+
+        const cellInner = cellData.element.querySelector('.cell-inner');
+        if (cellInner) {
+            cellInner.innerHTML = '';
+        }
+        cellData.element.classList.remove(
+            'occupied',
+            'player-owned',
+            'opponent-owned',
+            'attacker-highlight',
+            'defender-highlight',
+            'ownership-changing'
+        );
+    });
+
+    const placedIds = new Set();
+    board.cells.forEach(cell => {
+        if (!cell.card) return;
+        placedIds.add(cell.card.id);
+        placeCardOnField(cell.index, cell.card, cell.card.owner);
+    });
+
+    partyScreenState.playerHand.forEach(card => {
+        card.used = placedIds.has(card.id);
+    });
+    partyScreenState.opponentHand.forEach(card => {
+        card.used = placedIds.has(card.id);
+    });
+
+    document.getElementById('battleOverlay').classList.add('hidden');
+
+    renderPlayerHand();
+    renderOpponentHand();
+    updateScore();
+}
+
+/**
+ * Подготовка экрана к просмотру повтора
+ * @param {Object} replay - Повтор партии (см. MatchReplay)
+ */
+async function initReplayScreen(replay) {
+    partyScreenState.isReplay = true;
+    partyScreenState.opponentId = replay.opponentId;
+    partyScreenState.playerHand = replay.playerHand.map(card => ({ ...card }));
+    partyScreenState.opponentHand = replay.opponentHand.map(card => ({ ...card }));
+
+    await window.cardRenderer.init();
+
+    partyScreenState.opponentData = await getOpponentDataFromDb(replay.opponentId);
+    updateOpponentDisplay();
+
+    initGameField({
+        rows: replay.field?.rows,
+        cols: replay.field?.cols,
+        unavailableCells: replay.field?.unavailableCells || [],
+        terrain: replay.field?.terrain
+    });
+
+    renderOpponentHand();
+    renderPlayerHand();
+    updateScore();
+
+    const replayControls = document.getElementById('replayControls');
+    if (replayControls) {
+        replayControls.classList.remove('hidden');
+    }
+
+    partyScreenState.isReady = true;
+    setScreenMode(PartyScreenMode.EVENTS);
+
+    console.log('PartyScreen: Экран подготовлен к просмотру повтора');
+}
+
+/**
+ * Панель демо-партии: скорость, новая партия и выход
+ * @param {Object} payload - Данные партии
+ */
+function initSpectatorControls(payload) {
+    const controls = document.getElementById('spectatorControls');
+    if (!controls) return;
+
+    const speedSelect = document.getElementById('spectatorSpeed');
+    if (speedSelect) {
+        speedSelect.value = String(payload.spectator?.speed || 1);
+        speedSelect.addEventListener('change', event => {
+            window.partyGameOrchestrator?.setPlaybackSpeed?.(Number(event.target.value));
+        });
+    }
+
+    document.getElementById('spectatorRestart')?.addEventListener('click', () => {
+        if (!window.partyOrchestrator?.startSpectator) return;
+
+        window.partyOrchestrator.startSpectator({ gameMode: payload.gameMode }).catch(error => {
+            console.error('PartyScreen: Ошибка запуска демо-партии:', error);
+            showMessage(`Ошибка запуска демо-партии: ${error.message}`);
+        });
+    });
+
+    document.getElementById('spectatorExit')?.addEventListener('click', () => {
+        clearPartyPayload();
+        window.location.href = 'index.html';
+    });
+
+    controls.classList.remove('hidden');
 }
 
 /**
@@ -1316,12 +1882,15 @@ function delay(ms) {
 function getPartyScreenState() {
     return {
         mode: partyScreenState.mode,
+        fieldRows: partyScreenState.fieldRows,
+        fieldCols: partyScreenState.fieldCols,
         fieldCards: Object.fromEntries(partyScreenState.fieldCards),
         fieldCells: partyScreenState.fieldCells.map(c => ({
             index: c.index,
             row: c.row,
             col: c.col,
             isAvailable: c.isAvailable,
+            terrain: c.terrain,
             card: partyScreenState.fieldCards.get(c.index) || null
         })),
         unavailableCells: partyScreenState.unavailableCells,
@@ -1356,7 +1925,7 @@ async function initPartyScreen() {
                     window.userCards.stopGameplay();
                 }
                 clearPartyPayload();
-                window.location.href = 'index.html';
+                window.location.href = partyScreenState.run ? 'run.html' : 'index.html';
             }
 
             const ysdk = window.userCards?.getCachedYsdk?.();
@@ -1409,6 +1978,52 @@ async function initPartyScreen() {
         });
     }
 
+    const hintButton = document.getElementById('partyHintButton');
+    if (hintButton) {
+        hintButton.addEventListener('click', handleHintClick);
+    }
+
+    const threatsButton = document.getElementById('partyThreatsButton');
+    if (threatsButton) {
+        const updateThreatsButton = () => {
+            threatsButton.classList.toggle('active', partyScreenState.showThreats);
+            threatsButton.setAttribute('aria-pressed', String(partyScreenState.showThreats));
+        };
+
+        updateThreatsButton();
+        threatsButton.addEventListener('click', () => {
+            partyScreenState.showThreats = !partyScreenState.showThreats;
+            localStorage.setItem(SHOW_THREATS_KEY, String(partyScreenState.showThreats));
+            updateThreatsButton();
+            showMessage(partyScreenState.showThreats
+                ? 'Угрозы включены: при наведении видно лучший ответ соперника'
+                : 'Угрозы выключены', 2000);
+        });
+    }
+
+    const replayButton = document.getElementById('partyReplayButton');
+    if (replayButton) {
+        replayButton.addEventListener('click', () => {
+            if (window.userCards?.stopGameplay) {
+                window.userCards.stopGameplay();
+            }
+            clearPartyPayload();
+            window.location.href = 'party.html?replay=latest';
+        });
+    }
+
+    // Режим просмотра повтора: партией управляет replayPlayer, а не оркестратор
+    const replayId = new URLSearchParams(window.location.search).get('replay');
+    if (replayId && window.replayPlayer) {
+        try {
+            await window.replayPlayer.start(replayId);
+        } catch (error) {
+            console.error('PartyScreen: Ошибка загрузки повтора:', error);
+            showMessage(`Ошибка загрузки повтора: ${error.message}`);
+        }
+        return;
+    }
+
     try {
         // Получаем данные партии
         const payload = getPartyPayload();
@@ -1427,28 +2042,65 @@ async function initPartyScreen() {
         partyScreenState.playerHand = payload.playerHand || [];
         partyScreenState.opponentHand = payload.opponentHand || [];
 
+        // Устанавливаем зерно до первых случайных решений (закрытые ячейки поля)
+        if (window.SeededRandom) {
+            window.SeededRandom.setSeed(payload.seed ?? window.SeededRandom.generateSeed());
+        }
+
         // Инициализируем рендерер карт
         await window.cardRenderer.init();
 
-        // Загружаем данные оппонента
-        partyScreenState.opponentData = await getOpponentDataFromDb(payload.opponentId);
+        // Загружаем данные оппонента (в игре вдвоём соперник — второй игрок)
+        partyScreenState.hotseat = payload.hotseat || null;
+        partyScreenState.run = payload.run || null;
+        partyScreenState.isSpectator = Boolean(payload.spectator);
+        partyScreenState.opponentData = partyScreenState.hotseat
+            ? { id: null, name: 'Игрок 2', sequence: 0 }
+            : await getOpponentDataFromDb(payload.opponentId);
 
         // Обновляем отображение
         updateOpponentDisplay();
 
-        // Инициализируем игровое поле
-        const fieldData = initGameField();
+        // Продолжение прерванной партии: поле и руки восстанавливаются из контрольной точки
+        const checkpoint = payload.resume ? window.partyOrchestrator?.readCheckpoint?.() : null;
+        if (payload.resume && !checkpoint) {
+            showMessage('Прерванная партия не найдена');
+            console.error('PartyScreen: Контрольная точка партии не найдена');
+            setScreenMode(PartyScreenMode.GAME_END);
+            showReturnButton();
+            return;
+        }
+
+        // Инициализируем игровое поле: размер и узор задаются параметрами партии
+        const fieldLayout = checkpoint
+            ? {
+                rows: checkpoint.field?.rows,
+                cols: checkpoint.field?.cols,
+                unavailableCells: checkpoint.unavailableCells || [],
+                terrain: checkpoint.field?.terrain
+            }
+            : (payload.board || {});
+        const fieldData = initGameField(fieldLayout);
 
-        // Отрисовываем руки
-        renderOpponentHand();
-        renderPlayerHand();
+        if (checkpoint) {
+            // Выставляет карты, помечает использованные и перерисовывает руки и счёт
+            resetFieldFromBoard(checkpoint.field);
+        } else {
+            // Отрисовываем руки
+            renderOpponentHand();
+            renderPlayerHand();
 
-        // Обновляем счёт
-        updateScore();
+            // Обновляем счёт
+            updateScore();
+        }
 
         // Помечаем готовность
         partyScreenState.isReady = true;
 
+        if (partyScreenState.isSpectator) {
+            initSpectatorControls(payload);
+        }
+
         // Запускаем GameplayAPI сессию (если еще не запущена на экране настройки руки)
         if (window.userCards?.startGameplay) {
             window.userCards.startGameplay();
@@ -1462,6 +2114,8 @@ async function initPartyScreen() {
 
             // Передаем состояние экрана оркестратору (без DOM-элементов)
             const screenState = {
+                fieldRows: partyScreenState.fieldRows,
+                fieldCols: partyScreenState.fieldCols,
                 playerHand: partyScreenState.playerHand,
                 opponentHand: partyScreenState.opponentHand,
                 fieldCells: partyScreenState.fieldCells.map(c => ({
@@ -1469,10 +2123,12 @@ async function initPartyScreen() {
                     row: c.row,
                     col: c.col,
                     isAvailable: c.isAvailable,
+                    terrain: c.terrain,
                     card: partyScreenState.fieldCards.get(c.index) || null
                 })),
                 unavailableCells: partyScreenState.unavailableCells,
-                opponentData: partyScreenState.opponentData
+                opponentData: partyScreenState.opponentData,
+                checkpoint
             };
 
             await window.partyGameOrchestrator.start(screenState);
@@ -1605,9 +2261,15 @@ window.partyScreen = {
     enableWinnerSelection: enableWinnerSelection,
     showLevelUp: showLevelUp,
     showRewardSelection: showRewardSelection,
+    showHandover: showHandover,
     highlightRewardCard: highlightRewardCard,
     updateScore: updateScore,
+    updateRelics: updateRelics,
+    setAiThinking: setAiThinking,
     sendFieldState: sendFieldStateToOrchestrator,
+    setAnimationSpeed: setAnimationSpeed,
+    resetField: resetFieldFromBoard,
+    initReplay: initReplayScreen,
     modes: PartyScreenMode,
     eventTypes: GameEventType
 };
@@ -3,21 +3,10 @@
  * Модуль предиктивной визуализации хода.
  * Рассчитывает гипотетический результат хода и генерирует стрелки
  * для отображения захватов, битв и комбо-цепочек.
+ * Правила берутся из GameRules, поэтому прогноз совпадает с реальным ходом.
  */
 
 const PredictionHelper = (() => {
-    // === Направления (копия из оркестратора) ===
-    const directions = [
-        { name: 'topLeft', rowDelta: -1, colDelta: -1, activeArrow: 'arrowTopLeft', reactiveArrow: 'arrowBottomRight' },
-        { name: 'top', rowDelta: -1, colDelta: 0, activeArrow: 'arrowTop', reactiveArrow: 'arrowBottom' },
-        { name: 'topRight', rowDelta: -1, colDelta: 1, activeArrow: 'arrowTopRight', reactiveArrow: 'arrowBottomLeft' },
-        { name: 'right', rowDelta: 0, colDelta: 1, activeArrow: 'arrowRight', reactiveArrow: 'arrowLeft' },
-        { name: 'bottomRight', rowDelta: 1, colDelta: 1, activeArrow: 'arrowBottomRight', reactiveArrow: 'arrowTopLeft' },
-        { name: 'bottom', rowDelta: 1, colDelta: 0, activeArrow: 'arrowBottom', reactiveArrow: 'arrowTop' },
-        { name: 'bottomLeft', rowDelta: 1, colDelta: -1, activeArrow: 'arrowBottomLeft', reactiveArrow: 'arrowTopRight' },
-        { name: 'left', rowDelta: 0, colDelta: -1, activeArrow: 'arrowLeft', reactiveArrow: 'arrowRight' }
-    ];
-
     // Цвета для альтернативных целей битвы
     const BATTLE_CHOICE_COLORS = ['#FFA500', '#D000FF', '#00FFFF'];
     const SAFE_COLOR = '#00FF00';
@@ -25,88 +14,87 @@ const PredictionHelper = (() => {
 
     // === Вспомогательные функции ===
 
-    function getCellByIndex(cells, index) {
-        return cells.find(c => c.index === index) || null;
+    /**
+     * Симуляция комбо-цепочки от захваченных карт на копии поля.
+     * Возвращает массив стрелок.
+     */
+    function simulateComboChain(board, capturedIndices, newOwner, color, rules) {
+        const waves = GameRules.runComboChain(board, capturedIndices, newOwner, rules);
+
+        return waves.flat().map(capture => ({
+            fromIndex: capture.fromCellIndex,
+            toIndex: capture.toCellIndex,
+            type: color === SAFE_COLOR ? 'safe' : 'combo_from_battle',
+            color: color
+        }));
     }
 
-    function getNeighborCell(cells, cell, direction) {
-        const row = cell.row + direction.rowDelta;
-        const col = cell.col + direction.colDelta;
-        if (row < 0 || row > 3 || col < 0 || col > 3) return null;
-        return getCellByIndex(cells, row * 4 + col);
-    }
+    /**
+     * Стрелки для цели битвы с оптимистичной симуляцией комбо (представляем, что победили)
+     */
+    function buildBattleArrows(board, cellIndex, battle, color, type, rules, owner) {
+        const arrows = [{
+            fromIndex: cellIndex,
+            toIndex: battle.defenderCellIndex,
+            type,
+            color,
+            winChance: battle.winChance
+        }];
+
+        const comboBoard = GameRules.cloneBoard(board);
+        const defCell = GameRules.getCell(comboBoard, battle.defenderCellIndex);
+        if (defCell && defCell.card) {
+            GameRules.setCardOwner(defCell.card, owner);
+        }
 
-    function getCardOwner(card) {
-        if (!card) return null;
-        if (card.owner) return card.owner;
-        if (card.ownership === 'rival') return 'opponent';
-        if (card.ownership === 'player') return 'player';
-        return null;
+        arrows.push(...simulateComboChain(comboBoard, [battle.defenderCellIndex], owner, color, rules));
+        return arrows;
     }
 
-    function isEnemyCard(card, currentOwner) {
-        const cardOwner = getCardOwner(card);
-        if (!cardOwner) return false;
-        return cardOwner !== currentOwner;
+    /**
+     * Шанс победы в битве по правилам режима
+     */
+    function calculateBattleChance(board, cellIndex, battle, rules) {
+        const attackerCell = GameRules.getCell(board, cellIndex);
+        const defenderCell = GameRules.getCell(board, battle.defenderCellIndex);
+        return GameRules.calculateWinProbability(attackerCell.card, battle.defenderCard, attackerCell, defenderCell, rules);
     }
 
     /**
-     * Глубокое клонирование состояния поля
+     * Число карт стороны на поле после хода с заданным исходом битвы
      */
-    function cloneFieldCells(cells) {
-        return cells.map(c => ({
-            index: c.index,
-            row: c.row !== undefined ? c.row : Math.floor(c.index / 4),
-            col: c.col !== undefined ? c.col : c.index % 4,
-            isAvailable: c.isAvailable,
-            card: c.card ? { ...c.card } : null
-        }));
+    function countOwnedAfterMove(board, cellIndex, owner, rules, targetCellIndex = null, battleOutcome = null) {
+        const result = GameRules.resolvePlacement(board, cellIndex, owner, { rules, targetCellIndex, battleOutcome });
+        return GameRules.countOwnership(result.board)[owner];
     }
 
     /**
-     * Рекурсивный поиск комбо-цепочек от захваченных карт.
-     * Возвращает массив стрелок.
+     * Изменение числа карт после хода: лучший, худший и ожидаемый исход.
+     * При нескольких битвах считается, что цель выбирается по наибольшему ожиданию;
+     * комбо от битвы учитываются только в исходе с победой.
+     *
+     * @returns {{current: number, best: number, worst: number, expected: number}}
      */
-    function simulateComboChain(cells, capturedIndices, newOwner, color, processedCells) {
-        const arrows = [];
-
-        for (const cellIndex of capturedIndices) {
-            if (processedCells.has(cellIndex)) continue;
-            processedCells.add(cellIndex);
-
-            const cell = getCellByIndex(cells, cellIndex);
-            if (!cell || !cell.card) continue;
-
-            const card = cell.card;
-
-            for (const direction of directions) {
-                if (!card[direction.activeArrow]) continue;
-
-                const neighborCell = getNeighborCell(cells, cell, direction);
-                if (!neighborCell || !neighborCell.card) continue;
+    function calculateSwing(fieldBoard, board, cellIndex, owner, rules, battles) {
+        const current = GameRules.countOwnership(fieldBoard)[owner];
 
-                if (isEnemyCard(neighborCell.card, newOwner)) {
-                    // Виртуально захватываем
-                    neighborCell.card.owner = newOwner;
-                    neighborCell.card.ownership = newOwner === 'player' ? 'player' : 'rival';
-
-                    arrows.push({
-                        fromIndex: cellIndex,
-                        toIndex: neighborCell.index,
-                        type: color === SAFE_COLOR ? 'safe' : 'combo_from_battle',
-                        color: color
-                    });
-
-                    // Рекурсия
-                    const comboArrows = simulateComboChain(
-                        cells, [neighborCell.index], newOwner, color, processedCells
-                    );
-                    arrows.push(...comboArrows);
-                }
-            }
+        if (battles.length === 0) {
+            const owned = countOwnedAfterMove(board, cellIndex, owner, rules);
+            return { current, best: owned, worst: owned, expected: owned };
         }
 
-        return arrows;
+        const scenarios = battles.map(battle => {
+            const win = countOwnedAfterMove(board, cellIndex, owner, rules, battle.defenderCellIndex, 'attacker');
+            const loss = countOwnedAfterMove(board, cellIndex, owner, rules, battle.defenderCellIndex, 'defender');
+            return { win, loss, expected: battle.winChance * win + (1 - battle.winChance) * loss };
+        });
+
+        return {
+            current,
+            best: Math.max(...scenarios.map(scenario => scenario.win)),
+            worst: Math.min(...scenarios.map(scenario => scenario.loss)),
+            expected: Math.max(...scenarios.map(scenario => scenario.expected))
+        };
     }
 
     // === Основная функция расчёта ===
@@ -117,59 +105,41 @@ const PredictionHelper = (() => {
      * @param {Object} card - Перетаскиваемая карта
      * @param {number} cellIndex - Индекс ячейки, куда тащим
      * @param {Array} fieldCells - Текущее состояние поля (массив ячеек)
-     * @returns {Object} PredictionResult - { outcomeType, arrows }
+     * @param {Object} options - { gameMode, rules, rows, cols, owner } для учёта правил режима
+     *                            (rules — правила партии с реликвиями), размера поля
+     *                            и стороны, которая ходит (по умолчанию 'player')
+     * @returns {Object} PredictionResult - { outcomeType, arrows, swing }
      */
-    function calculateOutcome(card, cellIndex, fieldCells) {
+    function calculateOutcome(card, cellIndex, fieldCells, options = {}) {
         if (!card || cellIndex == null || !fieldCells || fieldCells.length === 0) {
-            return { outcomeType: 'none', arrows: [] };
+            return { outcomeType: 'none', arrows: [], swing: null };
         }
 
+        const rules = options.rules || GameRules.getModeRules(options.gameMode);
+        const owner = options.owner || 'player';
+
         // 1. Виртуальное размещение: клонируем поле и размещаем карту
-        const cells = cloneFieldCells(fieldCells);
-        const targetCell = getCellByIndex(cells, cellIndex);
+        const fieldBoard = GameRules.createBoard(fieldCells, { rows: options.rows, cols: options.cols });
+        const targetCell = GameRules.getCell(fieldBoard, cellIndex);
 
         if (!targetCell || !targetCell.isAvailable || targetCell.card) {
-            return { outcomeType: 'none', arrows: [] };
+            return { outcomeType: 'none', arrows: [], swing: null };
         }
 
-        // Размещаем карту виртуально
-        const placedCard = { ...card, owner: 'player' };
-        targetCell.card = placedCard;
+        const board = GameRules.placeCard(fieldBoard, cellIndex, card, owner);
 
         // 2. Анализ соседей
-        const captures = [];  // Группа A: захват без боя
-        const battles = [];   // Группа B: битва
-
-        for (const direction of directions) {
-            const hasActiveArrow = placedCard[direction.activeArrow] === true;
-            if (!hasActiveArrow) continue;
-
-            const neighborCell = getNeighborCell(cells, targetCell, direction);
-            if (!neighborCell || !neighborCell.card) continue;
-            if (!isEnemyCard(neighborCell.card, 'player')) continue;
-
-            const hasReactiveArrow = neighborCell.card[direction.reactiveArrow] === true;
-
-            if (!hasReactiveArrow) {
-                captures.push({
-                    direction,
-                    defenderCellIndex: neighborCell.index,
-                    defenderCard: neighborCell.card
-                });
-            } else {
-                battles.push({
-                    direction,
-                    defenderCellIndex: neighborCell.index,
-                    defenderCard: neighborCell.card
-                });
-            }
-        }
+        const conflicts = GameRules.analyzeNeighbors(board, cellIndex, owner);
+        const captures = conflicts.filter(c => c.type === 'capture'); // Группа A: захват без боя
+        const battles = conflicts.filter(c => c.type === 'battle')    // Группа B: битва
+            .map(battle => ({ ...battle, winChance: calculateBattleChance(board, cellIndex, battle, rules) }));
 
         // 3. Генерация стрелок
         const arrows = [];
 
         // Сценарий 1: Захваты без боя (зелёные стрелки)
         if (captures.length > 0) {
+            const captureBoard = GameRules.cloneBoard(board);
             const capturedIndices = [];
 
             for (const capture of captures) {
@@ -181,74 +151,31 @@ const PredictionHelper = (() => {
                 });
 
                 // Виртуально захватываем
-                const defCell = getCellByIndex(cells, capture.defenderCellIndex);
+                const defCell = GameRules.getCell(captureBoard, capture.defenderCellIndex);
                 if (defCell && defCell.card) {
-                    defCell.card.owner = 'player';
-                    defCell.card.ownership = 'player';
+                    GameRules.setCardOwner(defCell.card, owner);
                 }
 
                 capturedIndices.push(capture.defenderCellIndex);
             }
 
-            // Симуляция комбо от захваченных карт
-            const processedCells = new Set([cellIndex]);
-            const comboArrows = simulateComboChain(
-                cells, capturedIndices, 'player', SAFE_COLOR, processedCells
-            );
-            arrows.push(...comboArrows);
+            // Симуляция комбо от захваченных карт (в сложном режиме удары в спину комбо не вызывают,
+            // если у стороны нет реликвии комбо)
+            if (GameRules.canBackstabTriggerCombo(rules, owner)) {
+                arrows.push(...simulateComboChain(captureBoard, capturedIndices, owner, SAFE_COLOR, rules));
+            }
         }
 
         // Сценарий 2: Одиночная битва (красная стрелка)
         if (battles.length === 1) {
-            const battle = battles[0];
-            arrows.push({
-                fromIndex: cellIndex,
-                toIndex: battle.defenderCellIndex,
-                type: 'battle',
-                color: BATTLE_COLOR
-            });
-
-            // Оптимистичная симуляция комбо (представляем, что победили)
-            const comboClone = cloneFieldCells(cells);
-            const defCell = getCellByIndex(comboClone, battle.defenderCellIndex);
-            if (defCell && defCell.card) {
-                defCell.card.owner = 'player';
-                defCell.card.ownership = 'player';
-            }
-
-            const processedCells = new Set([cellIndex]);
-            const comboArrows = simulateComboChain(
-                comboClone, [battle.defenderCellIndex], 'player', BATTLE_COLOR, processedCells
-            );
-            arrows.push(...comboArrows);
+            arrows.push(...buildBattleArrows(board, cellIndex, battles[0], BATTLE_COLOR, 'battle', rules, owner));
         }
 
         // Сценарий 3: Множественные битвы (разноцветные стрелки)
         if (battles.length > 1) {
             battles.forEach((battle, index) => {
                 const color = BATTLE_CHOICE_COLORS[index % BATTLE_CHOICE_COLORS.length];
-                const typeLabel = `battle_choice_${index + 1}`;
-
-                arrows.push({
-                    fromIndex: cellIndex,
-                    toIndex: battle.defenderCellIndex,
-                    type: typeLabel,
-                    color: color
-                });
-
-                // Оптимистичная симуляция комбо для каждой цели
-                const comboClone = cloneFieldCells(cells);
-                const defCell = getCellByIndex(comboClone, battle.defenderCellIndex);
-                if (defCell && defCell.card) {
-                    defCell.card.owner = 'player';
-                    defCell.card.ownership = 'player';
-                }
-
-                const processedCells = new Set([cellIndex]);
-                const comboArrows = simulateComboChain(
-                    comboClone, [battle.defenderCellIndex], 'player', color, processedCells
-                );
-                arrows.push(...comboArrows);
+                arrows.push(...buildBattleArrows(board, cellIndex, battle, color, `battle_choice_${index + 1}`, rules, owner));
             });
         }
 
@@ -262,12 +189,99 @@ const PredictionHelper = (() => {
             outcomeType = 'battle';
         }
 
-        return { outcomeType, arrows };
+        const swing = outcomeType === 'none'
+            ? null
+            : calculateSwing(fieldBoard, board, cellIndex, owner, rules, battles);
+
+        return { outcomeType, arrows, swing };
+    }
+
+    // === Карта угроз ===
+
+    /**
+     * Угрозы после хода: лучший ответ соперника по calculateAiMove
+     * и карты стороны, которые он атакует (захват без боя или битва).
+     * Битва хода считается по наиболее вероятному исходу.
+     *
+     * @param {Object} card - Перетаскиваемая карта
+     * @param {number} cellIndex - Индекс ячейки, куда тащим
+     * @param {Array} fieldCells - Текущее состояние поля
+     * @param {Array} rivalHand - Оставшиеся карты соперника
+     * @param {Array} ownHand - Оставшиеся карты стороны (без перетаскиваемой)
+     * @param {Object} options - { gameMode, rules, rows, cols, owner }
+     * @returns {{replyCellIndex: number, replyCardId: *, threats: Array<{cellIndex: number, type: string}>}|null}
+     */
+    function calculateThreats(card, cellIndex, fieldCells, rivalHand, ownHand, options = {}) {
+        if (!card || cellIndex == null || !Array.isArray(rivalHand) || !window.aiMoveCalculator) {
+            return null;
+        }
+
+        const rules = options.rules || GameRules.getModeRules(options.gameMode);
+        const owner = options.owner || 'player';
+        const rivalOwner = GameRules.getOpposingOwner(owner);
+
+        const fieldBoard = GameRules.createBoard(fieldCells, { rows: options.rows, cols: options.cols });
+        const targetCell = GameRules.getCell(fieldBoard, cellIndex);
+        if (!targetCell || !targetCell.isAvailable || targetCell.card) {
+            return null;
+        }
+
+        // Позиция после хода
+        const board = GameRules.placeCard(fieldBoard, cellIndex, card, owner);
+        const battles = GameRules.analyzeNeighbors(board, cellIndex, owner)
+            .filter(conflict => conflict.type === 'battle')
+            .map(battle => ({ ...battle, winChance: calculateBattleChance(board, cellIndex, battle, rules) }));
+        const likelyBattle = battles.reduce((best, battle) => (!best || battle.winChance > best.winChance ? battle : best), null);
+
+        const afterMove = GameRules.resolvePlacement(board, cellIndex, owner, {
+            rules,
+            targetCellIndex: likelyBattle ? likelyBattle.defenderCellIndex : null,
+            battleOutcome: likelyBattle ? (likelyBattle.winChance >= 0.5 ? 'attacker' : 'defender') : null
+        }).board;
+
+        const availableRivalCards = rivalHand.filter(c => !c.used);
+        if (availableRivalCards.length === 0 || GameRules.getEmptyCells(afterMove).length === 0) {
+            return null;
+        }
+
+        // Ответ соперника
+        const reply = window.aiMoveCalculator.calculateAiMove(
+            afterMove,
+            availableRivalCards,
+            (ownHand || []).filter(c => !c.used && c.id !== card.id),
+            { gameMode: options.gameMode, rules, aiOwner: rivalOwner }
+        );
+        if (!reply || reply.cardId === null || reply.cellIndex === null) {
+            return null;
+        }
+
+        const replyCard = availableRivalCards.find(c => c.id === reply.cardId);
+        const replyBoard = GameRules.placeCard(afterMove, reply.cellIndex, replyCard, rivalOwner);
+        const threats = [];
+
+        GameRules.analyzeNeighbors(replyBoard, reply.cellIndex, rivalOwner).forEach(conflict => {
+            threats.push({ cellIndex: conflict.defenderCellIndex, type: conflict.type });
+        });
+
+        // Карты, которые соперник заберёт комбо, если выиграет битву
+        const worstCase = GameRules.resolvePlacement(replyBoard, reply.cellIndex, rivalOwner, { rules, battleOutcome: 'attacker' });
+        worstCase.board.cells.forEach(cell => {
+            const before = GameRules.getCell(afterMove, cell.index);
+            const lost = cell.card && before?.card
+                && GameRules.getCardOwner(before.card) === owner
+                && GameRules.getCardOwner(cell.card) === rivalOwner;
+            if (lost && !threats.some(threat => threat.cellIndex === cell.index)) {
+                threats.push({ cellIndex: cell.index, type: 'combo' });
+            }
+        });
+
+        return { replyCellIndex: reply.cellIndex, replyCardId: reply.cardId, threats };
     }
 
     // === SVG Overlay для рисования стрелок ===
 
     let svgOverlay = null;
+    let summaryPanel = null;
     let currentHoverIndex = null;
 
     /**
@@ -301,7 +315,13 @@ const PredictionHelper = (() => {
         fieldWrapper.style.position = 'relative';
         fieldWrapper.appendChild(svg);
 
+        // Панель итога хода (изменение числа карт)
+        const panel = document.createElement('div');
+        panel.className = 'prediction-summary hidden';
+        fieldWrapper.appendChild(panel);
+
         svgOverlay = svg;
+        summaryPanel = panel;
     }
 
     /**
@@ -312,6 +332,10 @@ const PredictionHelper = (() => {
             svgOverlay.remove();
             svgOverlay = null;
         }
+        if (summaryPanel) {
+            summaryPanel.remove();
+            summaryPanel = null;
+        }
     }
 
     /**
@@ -466,10 +490,120 @@ const PredictionHelper = (() => {
 
             group.appendChild(icon);
 
+            // Бейдж с шансом победы на стрелке битвы
+            if (typeof arrow.winChance === 'number') {
+                group.appendChild(createOddsBadge(midX, midY + 16, arrow.winChance, arrow.color));
+            }
+
             svgOverlay.appendChild(group);
         }
     }
 
+    /**
+     * Бейдж процента победы в битве
+     */
+    function createOddsBadge(x, y, winChance, color) {
+        const badge = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        badge.setAttribute('class', 'prediction-odds');
+
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', x - 20);
+        rect.setAttribute('y', y - 9);
+        rect.setAttribute('width', '40');
+        rect.setAttribute('height', '18');
+        rect.setAttribute('rx', '9');
+        rect.setAttribute('fill', 'rgba(0,0,0,0.75)');
+        rect.setAttribute('stroke', color);
+        rect.setAttribute('stroke-width', '1.5');
+        badge.appendChild(rect);
+
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', x);
+        text.setAttribute('y', y);
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('dominant-baseline', 'central');
+        text.setAttribute('font-size', '11');
+        text.setAttribute('fill', 'white');
+        text.textContent = `${Math.round(winChance * 100)}%`;
+        badge.appendChild(text);
+
+        return badge;
+    }
+
+    /**
+     * Отрисовка панели итога хода
+     *
+     * @param {Object|null} swing - { current, best, worst, expected }
+     */
+    function renderSummary(swing) {
+        if (!summaryPanel) return;
+
+        if (!swing) {
+            summaryPanel.classList.add('hidden');
+            return;
+        }
+
+        const formatDelta = value => {
+            const delta = value - swing.current;
+            return `${value} (${delta >= 0 ? '+' : ''}${Number.isInteger(delta) ? delta : delta.toFixed(1)})`;
+        };
+        const expected = Math.round(swing.expected * 10) / 10;
+
+        summaryPanel.textContent = '';
+        [
+            ['Карт сейчас', String(swing.current)],
+            ['Лучший исход', formatDelta(swing.best)],
+            ['Худший исход', formatDelta(swing.worst)],
+            ['Ожидаемо', formatDelta(expected)]
+        ].forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'prediction-summary__row';
+
+            const labelEl = document.createElement('span');
+            labelEl.textContent = label;
+            const valueEl = document.createElement('strong');
+            valueEl.textContent = value;
+
+            row.append(labelEl, valueEl);
+            summaryPanel.appendChild(row);
+        });
+
+        summaryPanel.classList.remove('hidden');
+    }
+
+    /**
+     * Подсветка ячеек карты угроз
+     *
+     * @param {Object|null} threatMap - Результат calculateThreats
+     */
+    function renderThreats(threatMap) {
+        clearThreats();
+
+        const field = document.querySelector('#gameFieldContainer .game-field');
+        if (!field || !threatMap) return;
+
+        const reply = field.querySelector(`.game-field-cell[data-index="${threatMap.replyCellIndex}"]`);
+        if (reply) {
+            reply.classList.add('threat-reply');
+        }
+
+        threatMap.threats.forEach(threat => {
+            const cell = field.querySelector(`.game-field-cell[data-index="${threat.cellIndex}"]`);
+            if (cell) {
+                cell.classList.add(`threat-${threat.type}`);
+            }
+        });
+    }
+
+    /**
+     * Снятие подсветки угроз
+     */
+    function clearThreats() {
+        document.querySelectorAll('.threat-reply, .threat-capture, .threat-battle, .threat-combo').forEach(cell => {
+            cell.classList.remove('threat-reply', 'threat-capture', 'threat-battle', 'threat-combo');
+        });
+    }
+
     /**
      * Очистка всех стрелок
      */
@@ -477,6 +611,8 @@ const PredictionHelper = (() => {
         if (!svgOverlay) return;
         const arrows = svgOverlay.querySelectorAll('.prediction-arrow');
         arrows.forEach(a => a.remove());
+        renderSummary(null);
+        clearThreats();
         currentHoverIndex = null;
     }
 
@@ -487,18 +623,27 @@ const PredictionHelper = (() => {
      * @param {Object} card - Перетаскиваемая карта
      * @param {number} cellIndex - Индекс ячейки
      * @param {Array} fieldCells - Текущее состояние поля
+     * @param {Object} options - { gameMode, rows, cols, owner }; при showThreats — ещё rivalHand и ownHand
      */
-    function onCellHover(card, cellIndex, fieldCells) {
+    function onCellHover(card, cellIndex, fieldCells, options = {}) {
         if (cellIndex === currentHoverIndex) return; // Кэш
-        currentHoverIndex = cellIndex;
 
-        const result = calculateOutcome(card, cellIndex, fieldCells);
+        const result = calculateOutcome(card, cellIndex, fieldCells, options);
 
         if (result.arrows.length > 0) {
             renderArrows(result.arrows);
         } else {
             clearArrows();
         }
+
+        renderSummary(result.swing);
+
+        if (options.showThreats) {
+            renderThreats(calculateThreats(card, cellIndex, fieldCells, options.rivalHand, options.ownHand, options));
+        }
+
+        // Отрисовка стрелок сбрасывает кэш, поэтому ячейка запоминается после неё
+        currentHoverIndex = cellIndex;
     }
 
     /**
@@ -511,10 +656,13 @@ const PredictionHelper = (() => {
     // === Публичный API ===
     return {
         calculateOutcome,
+        calculateThreats,
         initOverlay,
         removeOverlay,
         renderArrows,
         clearArrows,
+        renderThreats,
+        clearThreats,
         onCellHover,
         onCellLeave
     };
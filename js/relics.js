@@ -0,0 +1,148 @@
+/**
+ * Relics Module for Technomaster
+ * Реликвии — пассивные модификаторы забега (таблица relics в cards.db).
+ * Игрок получает их в забеге (за элиту и в магазине), они хранятся в run.relics
+ * и действуют во всех партиях забега.
+ *
+ * Эффект реликвии — JSON в колонке effect: { type, ... }.
+ *   Боевые эффекты (GameRules.RELIC_EFFECTS) применяются правилами партии:
+ *     attackBonus  { bonus, attackTypes } — бонус атаки (resolveAttackValue)
+ *     defenseBonus { bonus, defenseType } — бонус защиты (resolveDefenseValue)
+ *     backstabCombo { charges }           — удар в спину запускает комбо (resolvePlacement)
+ *     battleReroll { charges }            — переброс проигранного боя (resolveBattle)
+ *   Эффекты прогрессии применяет оркестратор партии:
+ *     levelUpChance { bonus }             — прибавка к шансу повышения уровня (processLevelUp)
+ * charges — сколько раз за партию срабатывает реликвия (без поля — действует всегда).
+ */
+
+const Relics = (() => {
+    const GameRules = (typeof window !== 'undefined' && window.GameRules) || require('./game-rules.js');
+
+    const PROGRESSION_EFFECTS = {
+        levelUpChance: { name: 'Шанс прокачки' }
+    };
+
+    const COLUMNS = ['id', 'code', 'name', 'icon', 'effect', 'description'];
+
+    function isKnownEffect(type) {
+        return type in GameRules.RELIC_EFFECTS || type in PROGRESSION_EFFECTS;
+    }
+
+    /**
+     * Реликвия из строки таблицы relics
+     * @param {Object} row - { column: value }
+     * @returns {Object|null} null — эффект не разобран или неизвестен
+     */
+    function fromDbRow(row) {
+        if (!row) {
+            return null;
+        }
+
+        let effect;
+        try {
+            effect = JSON.parse(row.effect);
+        } catch (error) {
+            console.warn(`Relics: Некорректный эффект реликвии «${row.code}»`, error);
+            return null;
+        }
+
+        if (!effect || !isKnownEffect(effect.type)) {
+            console.warn(`Relics: Неизвестный эффект реликвии «${row.code}»`);
+            return null;
+        }
+
+        return {
+            id: row.id,
+            code: row.code,
+            name: row.name,
+            icon: row.icon || '',
+            description: row.description || '',
+            effect
+        };
+    }
+
+    /**
+     * Все реликвии из таблицы relics (пустой список, если таблицы нет)
+     * @param {Object} db - База sql.js
+     * @returns {Array<Object>}
+     */
+    function readCatalog(db) {
+        let result;
+        try {
+            result = db.exec(`SELECT ${COLUMNS.join(', ')} FROM relics ORDER BY id`);
+        } catch (error) {
+            console.warn('Relics: Таблица relics недоступна', error);
+            return [];
+        }
+
+        const { columns = [], values = [] } = result[0] || {};
+        return values
+            .map(row => fromDbRow(Object.fromEntries(columns.map((column, index) => [column, row[index]]))))
+            .filter(Boolean);
+    }
+
+    /**
+     * Реликвии на партию: заряды восстанавливаются до значения из эффекта
+     * @param {Array<Object>} relics - Реликвии игрока
+     * @returns {Array<Object>} Реликвии с полем charges (null — без ограничения)
+     */
+    function prepareForMatch(relics = []) {
+        return relics.map(relic => ({
+            ...relic,
+            charges: Number.isInteger(relic.effect?.charges) ? relic.effect.charges : null
+        }));
+    }
+
+    /**
+     * Списание зарядов сработавших реликвий
+     * @param {Array<Object>} relics - Реликвии стороны на партию
+     * @param {Array<*>} relicIds - ID сработавших реликвий
+     * @returns {Array<Object>} Реликвии с новыми зарядами
+     */
+    function spendCharges(relics, relicIds) {
+        return relics.map(relic => {
+            const spent = relicIds.filter(id => id === relic.id).length;
+            if (spent === 0 || relic.charges === null || relic.charges === undefined) {
+                return relic;
+            }
+            return { ...relic, charges: Math.max(0, relic.charges - spent) };
+        });
+    }
+
+    /**
+     * Прибавка реликвий к шансу повышения уровня карты после партии
+     * @param {Array<Object>} relics
+     * @returns {number}
+     */
+    function getLevelUpChanceBonus(relics = []) {
+        return relics
+            .filter(relic => relic.effect?.type === 'levelUpChance')
+            .reduce((sum, relic) => sum + (Number(relic.effect.bonus) || 0), 0);
+    }
+
+    /**
+     * Подпись реликвии для экрана: значок, название и оставшиеся заряды
+     */
+    function getLabel(relic) {
+        const charges = relic.charges === null || relic.charges === undefined ? '' : ` (${relic.charges})`;
+        return `${relic.icon ? `${relic.icon} ` : ''}${relic.name}${charges}`;
+    }
+
+    return {
+        PROGRESSION_EFFECTS,
+        fromDbRow,
+        readCatalog,
+        prepareForMatch,
+        spendCharges,
+        getLevelUpChanceBonus,
+        getLabel
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.Relics = Relics;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Relics;
+}
@@ -0,0 +1,311 @@
+/**
+ * Replay Player Module for Technomaster
+ * Просмотр сохранённого повтора партии на экране партии.
+ * Пересчитывает ходы через MatchReplay и проигрывает анимации party-screen.js
+ * с паузой, шагами вперёд/назад и выбором скорости.
+ */
+
+const replayPlayer = (() => {
+    // === Константы ===
+    const STEP_PAUSE_MS = 800;
+    const SPEED_OPTIONS = [0.5, 1, 2, 4];
+
+    // === Состояние просмотра ===
+    const state = {
+        partyId: null,
+        replay: null,
+        timeline: null,
+        currentStep: 0,
+        isPlaying: false,
+        isAnimating: false,
+        speed: 1
+    };
+
+    // === Вспомогательные функции ===
+
+    function getScreen() {
+        return window.partyScreen;
+    }
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms / state.speed));
+    }
+
+    function getTotalSteps() {
+        return state.timeline ? state.timeline.steps.length : 0;
+    }
+
+    /**
+     * Поиск партии с повтором в данных пользователя
+     * @param {string} replayId - ID партии или 'latest'
+     */
+    async function loadParty(replayId) {
+        if (!window.userCards?.getUserData) {
+            console.warn('ReplayPlayer: userCards API недоступен');
+            return null;
+        }
+
+        const userData = await window.userCards.getUserData();
+        const parties = (userData?.parties || []).filter(party => party.replay);
+
+        if (replayId === 'latest') {
+            return parties[parties.length - 1] || null;
+        }
+
+        return parties.find(party => String(party.id) === String(replayId)) || null;
+    }
+
+    // === Проигрывание шага ===
+
+    /**
+     * Проигрывание одного хода: выставление карты и события GameRules
+     */
+    async function playStep(step) {
+        const screen = getScreen();
+        const { move, card, events } = step;
+
+        await screen.handleEvent({
+            type: move.owner === 'player' ? 'player_move' : 'opponent_move',
+            cellIndex: move.cellIndex,
+            cardData: { ...card, owner: move.owner }
+        });
+
+        for (const event of events) {
+            switch (event.type) {
+                case 'battle':
+                    await screen.handleEvent({
+                        type: 'battle',
+                        attackerCellIndex: event.attackerCellIndex,
+                        defenderCellIndex: event.defenderCellIndex,
+                        attackLevel: event.attackRoll,
+                        attackType: event.attackType,
+                        defenseLevel: event.defenseRoll,
+                        defenseType: event.defenseType,
+                        battleStrategy: event.battleStrategy,
+                        rounds: event.rounds,
+                        winner: event.winner
+                    });
+                    await screen.handleEvent({
+                        type: 'ownership_change',
+                        changes: [{ cellIndex: event.changedCellIndex, newOwner: event.newOwner }]
+                    });
+                    break;
+
+                case 'capture':
+                    screen.showMessage(`Захвачено карт: ${event.captures.length}`);
+                    await screen.handleEvent({
+                        type: 'ownership_change',
+                        changes: event.captures.map(capture => ({
+                            cellIndex: capture.cellIndex,
+                            newOwner: event.newOwner
+                        }))
+                    });
+                    break;
+
+                case 'combo':
+                    screen.showMessage(`Комбо! Захвачено карт: ${event.captures.length}`);
+                    await screen.handleEvent({
+                        type: 'ownership_change',
+                        changes: event.captures.map(capture => ({
+                            cellIndex: capture.toCellIndex,
+                            newOwner: event.newOwner
+                        }))
+                    });
+                    break;
+
+                default:
+                    break;
+            }
+        }
+
+        screen.setMode(screen.modes.EVENTS);
+    }
+
+    /**
+     * Сообщение с итогом партии
+     */
+    function showResult() {
+        const result = state.replay?.result;
+        if (!result) {
+            getScreen().showMessage('Повтор завершён');
+            return;
+        }
+
+        const score = `${result.playerScore}:${result.opponentScore}`;
+        const text = result.winner === 'player'
+            ? `Повтор завершён. Победа! Счёт: ${score}`
+            : result.winner === 'opponent'
+                ? `Повтор завершён. Поражение! Счёт: ${score}`
+                : `Повтор завершён. Ничья! Счёт: ${score}`;
+
+        getScreen().showMessage(text);
+    }
+
+    // === Управление ===
+
+    async function stepForward() {
+        if (state.isAnimating || state.currentStep >= getTotalSteps()) {
+            return;
+        }
+
+        state.isAnimating = true;
+        updateControls();
+
+        try {
+            await playStep(state.timeline.steps[state.currentStep]);
+            state.currentStep += 1;
+
+            if (state.currentStep >= getTotalSteps()) {
+                showResult();
+            }
+        } finally {
+            state.isAnimating = false;
+            updateControls();
+        }
+    }
+
+    function stepBack() {
+        if (state.isAnimating || state.currentStep === 0) {
+            return;
+        }
+
+        pause();
+        state.currentStep -= 1;
+
+        const board = state.currentStep === 0
+            ? state.timeline.initialBoard
+            : state.timeline.steps[state.currentStep - 1].board;
+
+        getScreen().resetField(board);
+        getScreen().showMessage(`Ход ${state.currentStep} из ${getTotalSteps()}`);
+        updateControls();
+    }
+
+    async function play() {
+        if (state.isPlaying) {
+            return;
+        }
+
+        state.isPlaying = true;
+        updateControls();
+
+        while (state.isPlaying && state.currentStep < getTotalSteps()) {
+            await stepForward();
+
+            if (state.isPlaying && state.currentStep < getTotalSteps()) {
+                await delay(STEP_PAUSE_MS);
+            }
+        }
+
+        state.isPlaying = false;
+        updateControls();
+    }
+
+    function pause() {
+        state.isPlaying = false;
+        updateControls();
+    }
+
+    function setSpeed(speed) {
+        state.speed = SPEED_OPTIONS.includes(speed) ? speed : 1;
+        getScreen().setAnimationSpeed(state.speed);
+    }
+
+    /**
+     * Обновление состояния кнопок панели повтора
+     */
+    function updateControls() {
+        const backButton = document.getElementById('replayStepBack');
+        const playButton = document.getElementById('replayPlayPause');
+        const forwardButton = document.getElementById('replayStepForward');
+        const progress = document.getElementById('replayProgress');
+
+        const total = getTotalSteps();
+        const atEnd = state.currentStep >= total;
+
+        if (backButton) {
+            backButton.disabled = state.isAnimating || state.currentStep === 0;
+        }
+        if (forwardButton) {
+            forwardButton.disabled = state.isAnimating || atEnd;
+        }
+        if (playButton) {
+            playButton.textContent = state.isPlaying ? '⏸' : '▶';
+            playButton.setAttribute('aria-label', state.isPlaying ? 'Пауза' : 'Воспроизвести');
+            playButton.disabled = !state.isPlaying && atEnd;
+        }
+        if (progress) {
+            progress.textContent = `${state.currentStep} / ${total}`;
+        }
+    }
+
+    function bindControls() {
+        document.getElementById('replayStepBack')?.addEventListener('click', stepBack);
+        document.getElementById('replayStepForward')?.addEventListener('click', () => {
+            pause();
+            stepForward();
+        });
+        document.getElementById('replayPlayPause')?.addEventListener('click', () => {
+            if (state.isPlaying) {
+                pause();
+            } else {
+                play();
+            }
+        });
+        document.getElementById('replaySpeed')?.addEventListener('change', event => {
+            setSpeed(Number(event.target.value));
+        });
+        document.getElementById('replayExit')?.addEventListener('click', () => {
+            pause();
+            window.location.href = 'index.html';
+        });
+    }
+
+    // === Запуск ===
+
+    /**
+     * Запуск просмотра повтора
+     * @param {string} replayId - ID партии или 'latest'
+     * @returns {Promise<boolean>}
+     */
+    async function start(replayId) {
+        const screen = getScreen();
+        const party = await loadParty(replayId);
+
+        if (!party) {
+            screen.showMessage('Повтор партии не найден');
+            screen.setMode(screen.modes.GAME_END);
+            return false;
+        }
+
+        state.partyId = party.id;
+        state.replay = party.replay;
+        state.timeline = window.MatchReplay.buildTimeline(party.replay);
+        state.currentStep = 0;
+
+        await screen.initReplay(state.replay);
+        setSpeed(1);
+        bindControls();
+        updateControls();
+
+        screen.showMessage(`Повтор партии #${party.id}. Ходов: ${getTotalSteps()}`);
+        console.log('ReplayPlayer: Повтор загружен', { partyId: party.id, seed: party.replay.seed });
+
+        return true;
+    }
+
+    // === Публичный API ===
+    return {
+        start,
+        play,
+        pause,
+        stepForward,
+        stepBack,
+        setSpeed,
+        getState: () => ({ ...state })
+    };
+})();
+
+window.replayPlayer = replayPlayer;
+
+console.log('ReplayPlayer: Модуль загружен.');
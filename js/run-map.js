@@ -0,0 +1,227 @@
+/**
+ * RunMap Module for Technomaster
+ * Карта забега: этажи узлов (бой, элита, магазин, событие, отдых) со связями
+ * на следующий этаж и босс на последнем этаже.
+ * Модуль не зависит от DOM: карта строится из переданного генератора,
+ * поэтому по зерну забега её можно построить заново.
+ *
+ * Формат карты:
+ *   { floors, bossId, nodes: [{ id, floor, index, type, opponentId, next: [id] }] }
+ */
+
+const RunMap = (() => {
+    const NODE_TYPES = {
+        battle: { id: 'battle', name: 'Бой', icon: '⚔️' },
+        elite: { id: 'elite', name: 'Элита', icon: '💀' },
+        shop: { id: 'shop', name: 'Магазин', icon: '🛒' },
+        event: { id: 'event', name: 'Событие', icon: '❓' },
+        rest: { id: 'rest', name: 'Мастерская', icon: '🔧' },
+        boss: { id: 'boss', name: 'Босс', icon: '👑' }
+    };
+
+    // Узлы с партией против соперника
+    const BATTLE_NODE_TYPES = ['battle', 'elite', 'boss'];
+
+    // Веса типов узлов на средних этажах
+    const NODE_TYPE_WEIGHTS = [
+        { type: 'battle', weight: 45 },
+        { type: 'elite', weight: 15 },
+        { type: 'shop', weight: 12 },
+        { type: 'event', weight: 15 },
+        { type: 'rest', weight: 13 }
+    ];
+
+    // Шанс второй связи узла со следующим этажом
+    const EXTRA_EDGE_CHANCE = 0.4;
+
+    // Элита — на несколько ступеней сильнее соперника этажа
+    const ELITE_OPPONENT_STEP = 3;
+
+    function pickNodeType(rng) {
+        const totalWeight = NODE_TYPE_WEIGHTS.reduce((sum, item) => sum + item.weight, 0);
+        let roll = rng() * totalWeight;
+
+        for (const item of NODE_TYPE_WEIGHTS) {
+            roll -= item.weight;
+            if (roll < 0) {
+                return item.type;
+            }
+        }
+
+        return NODE_TYPE_WEIGHTS[0].type;
+    }
+
+    /**
+     * Тип узла по этажу: первый этаж — только бои, последний перед боссом — отдых,
+     * элита не встречается на первых двух этажах
+     */
+    function getFloorNodeType(floor, floors, rng) {
+        if (floor === 0) {
+            return 'battle';
+        }
+        if (floor === floors - 1) {
+            return 'rest';
+        }
+
+        const type = pickNodeType(rng);
+        return type === 'elite' && floor < 2 ? 'battle' : type;
+    }
+
+    /**
+     * Соперник узла: сила растёт с этажом, элита сильнее, босс — сильнейший
+     * @param {Array<number|string>} opponentIds - Соперники по возрастанию силы
+     */
+    function getNodeOpponent(type, floor, floors, opponentIds, rng) {
+        if (!BATTLE_NODE_TYPES.includes(type) || opponentIds.length === 0) {
+            return null;
+        }
+
+        const lastIndex = opponentIds.length - 1;
+        if (type === 'boss') {
+            return opponentIds[lastIndex];
+        }
+
+        // Боссом занят последний соперник, остальные распределяются по этажам
+        const ladderSize = Math.max(1, lastIndex);
+        const baseIndex = Math.floor((floor / floors) * ladderSize) + Math.floor(rng() * 2);
+        const index = type === 'elite' ? baseIndex + ELITE_OPPONENT_STEP : baseIndex;
+
+        return opponentIds[Math.min(index, ladderSize - 1)];
+    }
+
+    /**
+     * Позиция узла одного этажа на соседнем этаже (для связей без пересечений)
+     */
+    function projectIndex(index, fromWidth, toWidth) {
+        if (fromWidth <= 1) {
+            return Math.floor((toWidth - 1) / 2);
+        }
+        return Math.round((index * (toWidth - 1)) / (fromWidth - 1));
+    }
+
+    function linkFloors(fromNodes, toNodes, rng) {
+        fromNodes.forEach(node => {
+            const target = projectIndex(node.index, fromNodes.length, toNodes.length);
+            node.next.push(toNodes[target].id);
+
+            const extra = target + (rng() < 0.5 ? -1 : 1);
+            if (toNodes[extra] && rng() < EXTRA_EDGE_CHANCE) {
+                node.next.push(toNodes[extra].id);
+            }
+        });
+
+        // Каждый узел следующего этажа должен быть достижим
+        toNodes.forEach(target => {
+            const hasIncoming = fromNodes.some(node => node.next.includes(target.id));
+            if (!hasIncoming) {
+                const source = fromNodes[projectIndex(target.index, toNodes.length, fromNodes.length)];
+                source.next.push(target.id);
+            }
+        });
+
+        fromNodes.forEach(node => {
+            node.next.sort((left, right) => getIndexFromId(left) - getIndexFromId(right));
+        });
+    }
+
+    function getIndexFromId(nodeId) {
+        return Number(String(nodeId).split('-')[1]);
+    }
+
+    /**
+     * Генерация карты забега
+     *
+     * @param {Function} rng - Генератор [0, 1)
+     * @param {Object} options - { floors, minWidth, maxWidth, opponentIds }
+     *                           floors — этажей до босса, opponentIds — соперники по возрастанию силы
+     * @returns {{floors: number, bossId: string, nodes: Array}}
+     */
+    function generateMap(rng, options = {}) {
+        const floors = Math.max(2, options.floors ?? 6);
+        const minWidth = options.minWidth ?? 2;
+        const maxWidth = Math.max(minWidth, options.maxWidth ?? 4);
+        const opponentIds = options.opponentIds || [];
+
+        const nodes = [];
+        let previousFloor = null;
+
+        for (let floor = 0; floor <= floors; floor += 1) {
+            const isBossFloor = floor === floors;
+            const width = isBossFloor ? 1 : minWidth + Math.floor(rng() * (maxWidth - minWidth + 1));
+            const floorNodes = [];
+
+            for (let index = 0; index < width; index += 1) {
+                const type = isBossFloor ? 'boss' : getFloorNodeType(floor, floors, rng);
+                floorNodes.push({
+                    id: `${floor}-${index}`,
+                    floor,
+                    index,
+                    type,
+                    opponentId: getNodeOpponent(type, floor, floors, opponentIds, rng),
+                    next: []
+                });
+            }
+
+            if (previousFloor) {
+                linkFloors(previousFloor, floorNodes, rng);
+            }
+
+            nodes.push(...floorNodes);
+            previousFloor = floorNodes;
+        }
+
+        return {
+            floors: floors + 1,
+            bossId: `${floors}-0`,
+            nodes
+        };
+    }
+
+    function getNode(map, nodeId) {
+        return map?.nodes.find(node => node.id === nodeId) || null;
+    }
+
+    /**
+     * Узлы, в которые можно пойти: с первого этажа в начале забега,
+     * иначе — связи текущего узла
+     * @param {Object} map
+     * @param {string|null} currentNodeId
+     */
+    function getAvailableNodes(map, currentNodeId) {
+        if (!map) {
+            return [];
+        }
+
+        if (!currentNodeId) {
+            return map.nodes.filter(node => node.floor === 0);
+        }
+
+        const current = getNode(map, currentNodeId);
+        return current ? current.next.map(nodeId => getNode(map, nodeId)).filter(Boolean) : [];
+    }
+
+    function isBattleNode(node) {
+        return Boolean(node) && BATTLE_NODE_TYPES.includes(node.type);
+    }
+
+    function getNodeType(type) {
+        return NODE_TYPES[type] || null;
+    }
+
+    return {
+        NODE_TYPES,
+        generateMap,
+        getNode,
+        getAvailableNodes,
+        isBattleNode,
+        getNodeType
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.RunMap = RunMap;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunMap;
+}
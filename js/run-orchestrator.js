@@ -0,0 +1,666 @@
+/**
+ * Run Orchestrator for Technomaster
+ * Забег (roguelike): драфт временной колоды, проход по карте узлов (RunMap)
+ * и награда в коллекцию по итогам.
+ *
+ * Состояние забега хранится в userData.run отдельно от коллекции (userData.cards):
+ * карты забега живут только в run.deck, в коллекцию попадают лишь выбранные
+ * в конце карты. Итоги завершённых забегов — в userData.runs.
+ * Все случайные решения забега берутся из SeededRandom с зерном забега,
+ * состояние генератора сохраняется вместе с забегом.
+ * Реликвии (таблица relics, см. Relics) игрок получает за победу над элитой
+ * и покупает в магазине; они хранятся в run.relics и действуют во всех партиях забега.
+ *
+ * Фазы забега (run.phase):
+ *   'draft'  — выбор карт в колоду (run.offers)
+ *   'map'    — выбор следующего узла
+ *   'battle' — идёт партия узла (итог передаёт partyGameOrchestrator через completeBattle)
+ *   'shop'   — покупка карт (run.offers) и реликвии (run.relicOffer) за золото
+ *   'event'  — выбор варианта события (run.event)
+ *   'rest'   — повышение уровня одной карты
+ *   'reward' — забег окончен, выбор карт в коллекцию
+ */
+
+const runOrchestrator = (() => {
+    // Версия формата userData.run
+    const RUN_VERSION = 1;
+
+    const PLAYER_CARDHOLDER_ID = 1;
+
+    // Сколько итогов забегов хранится в userData.runs
+    const RUN_HISTORY_LIMIT = 20;
+
+    // События узлов «Событие»: варианты с золотом, новой картой или улучшением случайной карты
+    const RUN_EVENTS = [
+        {
+            id: 'scrapyard',
+            title: 'Свалка электроники',
+            text: 'Среди старых корпусов что-то поблёскивает.',
+            choices: [
+                { label: 'Покопаться в завалах', outcome: { card: true } },
+                { label: 'Сдать металлолом', outcome: { gold: 20 } }
+            ]
+        },
+        {
+            id: 'radio-amateur',
+            title: 'Сосед-радиолюбитель',
+            text: 'Сосед предлагает перепаять одно из ваших устройств.',
+            choices: [
+                { label: 'Доверить случайную карту', outcome: { upgrade: true } },
+                { label: 'Вежливо отказаться', outcome: {} }
+            ]
+        },
+        {
+            id: 'clearance-sale',
+            title: 'Распродажа',
+            text: 'Магазин закрывается и отдаёт остатки почти даром.',
+            choices: [
+                { label: 'Забрать коробку с остатками', outcome: { card: true, gold: -10 } },
+                { label: 'Пройти мимо', outcome: {} }
+            ]
+        }
+    ];
+
+    // === Хранилище ===
+
+    async function getUserData() {
+        if (window.userCards?.whenReady) {
+            await window.userCards.whenReady();
+        }
+
+        const userData = await window.userCards.getUserData();
+        if (!userData) {
+            throw new Error('Данные пользователя недоступны.');
+        }
+
+        return userData;
+    }
+
+    async function saveUserData(userData) {
+        const saved = await window.userCards.saveUserData(userData);
+        if (saved === false) {
+            throw new Error('Не удалось сохранить забег.');
+        }
+    }
+
+    /**
+     * Изменение активного забега с сохранением.
+     * Генератор восстанавливается из состояния забега и сохраняется после изменения.
+     * @param {Function} mutate - (run, userData) => void
+     * @returns {Promise<Object>} Забег после изменения
+     */
+    async function updateRun(mutate) {
+        const userData = await getUserData();
+        const run = userData.run;
+
+        if (!run) {
+            throw new Error('Активный забег не найден.');
+        }
+
+        SeededRandom.setSeed(run.seed);
+        SeededRandom.setState(run.rngState);
+
+        await mutate(run, userData);
+
+        run.rngState = SeededRandom.getState();
+        await saveUserData(userData);
+
+        return run;
+    }
+
+    // === Карты забега ===
+
+    function createRunCard(renderParams, cardId) {
+        return {
+            id: cardId,
+            cardholder_id: null,
+            cardTypeId: renderParams.cardTypeId,
+            arrowTopLeft: renderParams.arrowTopLeft,
+            arrowTop: renderParams.arrowTop,
+            arrowTopRight: renderParams.arrowTopRight,
+            arrowRight: renderParams.arrowRight,
+            arrowBottomRight: renderParams.arrowBottomRight,
+            arrowBottom: renderParams.arrowBottom,
+            arrowBottomLeft: renderParams.arrowBottomLeft,
+            arrowLeft: renderParams.arrowLeft,
+            ownership: 'player',
+            cardLevel: renderParams.cardLevel,
+            attackLevel: renderParams.attackLevel,
+            attackType: renderParams.attackType,
+            mechanicalDefense: renderParams.mechanicalDefense,
+            electricalDefense: renderParams.electricalDefense,
+            inHand: false
+        };
+    }
+
+    /**
+     * Перенос статов и стрелок (повышение уровня, изменения после партии)
+     */
+    function applyCardStats(card, stats) {
+        [
+            'cardLevel', 'attackLevel', 'attackType', 'mechanicalDefense', 'electricalDefense',
+            'arrowTopLeft', 'arrowTop', 'arrowTopRight', 'arrowRight',
+            'arrowBottomRight', 'arrowBottom', 'arrowBottomLeft', 'arrowLeft'
+        ].forEach(key => {
+            card[key] = stats[key];
+        });
+    }
+
+    /**
+     * Правила генерации карт для этажа: правила колоды соперника того же уровня силы,
+     * что и соперники этажа
+     */
+    async function getFloorDeckRule(run, floor) {
+        const ladder = run.opponentIds;
+        const index = Math.min(ladder.length - 2, Math.floor(((floor + 1) / run.map.floors) * (ladder.length - 1)));
+        return window.partyOrchestrator.getDeckRule(ladder[Math.max(0, index)]);
+    }
+
+    /**
+     * Новые карты забега по правилам этажа; ID берутся из run.nextCardId
+     */
+    async function generateRunCards(run, floor, count) {
+        const deckRule = await getFloorDeckRule(run, floor);
+        await window.cardRenderer.init();
+
+        return window.cardRenderer.generateDeck({ ...deckRule, deck_size: count }).map(card => {
+            const runCard = createRunCard(card.renderParams || {}, run.nextCardId);
+            run.nextCardId += 1;
+            return runCard;
+        });
+    }
+
+    /**
+     * Повышение уровня карты забега
+     * @returns {boolean} false — карта уже максимального уровня
+     */
+    async function upgradeRunCard(run, card) {
+        const currentLevel = Number(card.cardLevel || 0);
+        if (currentLevel >= GameConfig.get('maxCardLevel', run.gameMode)) {
+            return false;
+        }
+
+        await window.cardRenderer.init();
+        applyCardStats(card, window.cardRenderer.generateCardParams(card.cardTypeId, currentLevel + 1));
+        return true;
+    }
+
+    function getCurrentFloor(run) {
+        return RunMap.getNode(run.map, run.currentNodeId)?.floor ?? 0;
+    }
+
+    // === Реликвии ===
+
+    /**
+     * Случайная реликвия, которой у игрока ещё нет (null — все реликвии собраны)
+     */
+    async function pickNewRelic(run) {
+        const ownedIds = new Set((run.relics || []).map(relic => relic.id));
+        const candidates = (await window.partyOrchestrator.getRelics()).filter(relic => !ownedIds.has(relic.id));
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        return candidates[Math.floor(SeededRandom.random() * candidates.length)];
+    }
+
+    function addRelic(run, relic) {
+        run.relics = [...(run.relics || []), relic];
+    }
+
+    // === Ход забега ===
+
+    /**
+     * Число карт забега, которые игрок заберёт в коллекцию
+     */
+    function getRewardCount(run) {
+        const bossBonus = run.result === 'victory' ? GameConfig.get('runBossRewardCards') : 0;
+        const perWins = Math.floor(run.stats.battlesWon / GameConfig.get('runWinsPerRewardCard'));
+        return Math.min(run.deck.length, perWins + bossBonus);
+    }
+
+    function finishRun(run, result) {
+        run.phase = 'reward';
+        run.result = result;
+        run.offers = [];
+        run.relicOffer = null;
+        run.event = null;
+        run.rewardCount = getRewardCount(run);
+    }
+
+    /**
+     * Активный забег (null — забега нет)
+     */
+    async function getRun() {
+        const userData = await getUserData();
+        return userData.run || null;
+    }
+
+    /**
+     * Итоги завершённых забегов
+     */
+    async function getRunHistory() {
+        const userData = await getUserData();
+        return userData.runs || [];
+    }
+
+    /**
+     * Начало забега. Активный забег заменяется новым.
+     * @param {string} gameMode - Режим партий забега
+     */
+    async function startRun(gameMode = 'standard') {
+        const userData = await getUserData();
+        const opponents = await window.partyOrchestrator.getOpponents();
+
+        if (opponents.length < 2) {
+            throw new Error('Недостаточно соперников для забега.');
+        }
+
+        const seed = SeededRandom.generateSeed();
+        SeededRandom.setSeed(seed);
+
+        const run = {
+            version: RUN_VERSION,
+            id: Date.now(),
+            seed,
+            rngState: seed,
+            gameMode,
+            startedAt: new Date().toISOString(),
+            phase: 'draft',
+            opponentIds: opponents.map(opponent => opponent.id),
+            map: null,
+            currentNodeId: null,
+            visitedNodeIds: [],
+            deck: [],
+            nextCardId: 1,
+            gold: 0,
+            relics: [],
+            offers: [],
+            relicOffer: null,
+            event: null,
+            lastEventResult: null,
+            stats: { battlesWon: 0, elitesWon: 0, draws: 0 },
+            result: null,
+            rewardCount: 0
+        };
+
+        run.map = RunMap.generateMap(SeededRandom.random, {
+            floors: GameConfig.get('runFloors'),
+            opponentIds: run.opponentIds
+        });
+        run.offers = await generateRunCards(run, 0, GameConfig.get('runDraftChoices'));
+        run.rngState = SeededRandom.getState();
+
+        userData.run = run;
+        await saveUserData(userData);
+
+        console.log('RunOrchestrator: Забег начат, зерно', seed, 'режим', gameMode);
+        return run;
+    }
+
+    /**
+     * Выбор карты драфта. Когда колода собрана, открывается карта забега.
+     * @param {number} cardId - ID карты из run.offers
+     */
+    function pickDraftCard(cardId) {
+        return updateRun(async run => {
+            const card = run.phase === 'draft' ? run.offers.find(offer => offer.id === cardId) : null;
+            if (!card) {
+                throw new Error('Карта драфта не найдена.');
+            }
+
+            run.deck.push(card);
+
+            if (run.deck.length >= GameConfig.get('runDeckSize')) {
+                run.offers = [];
+                run.phase = 'map';
+            } else {
+                run.offers = await generateRunCards(run, 0, GameConfig.get('runDraftChoices'));
+            }
+        });
+    }
+
+    /**
+     * Переход в узел карты.
+     * Для узлов с партией забег сохраняется в фазе 'battle' и открывается экран партии.
+     * @param {string} nodeId
+     */
+    async function enterNode(nodeId) {
+        const run = await updateRun(async current => {
+            const node = current.phase === 'map'
+                ? RunMap.getAvailableNodes(current.map, current.currentNodeId).find(item => item.id === nodeId)
+                : null;
+
+            if (!node) {
+                throw new Error('Этот узел сейчас недоступен.');
+            }
+
+            current.currentNodeId = node.id;
+            current.visitedNodeIds.push(node.id);
+            current.lastEventResult = null;
+
+            if (RunMap.isBattleNode(node)) {
+                current.phase = 'battle';
+            } else if (node.type === 'shop') {
+                current.phase = 'shop';
+                current.offers = await generateRunCards(current, node.floor, GameConfig.get('runDraftChoices'));
+                current.relicOffer = await pickNewRelic(current);
+            } else if (node.type === 'event') {
+                current.phase = 'event';
+                current.event = { ...RUN_EVENTS[Math.floor(SeededRandom.random() * RUN_EVENTS.length)] };
+            } else {
+                current.phase = 'rest';
+            }
+        });
+
+        if (run.phase === 'battle') {
+            await startNodeBattle(run);
+        }
+
+        return run;
+    }
+
+    /**
+     * Прерванная партия текущего узла (контрольная точка partyOrchestrator)
+     */
+    function getNodeCheckpoint(run) {
+        const checkpoint = window.partyOrchestrator.readCheckpoint();
+        return checkpoint?.run?.runId === run.id && checkpoint.run.nodeId === run.currentNodeId
+            ? checkpoint
+            : null;
+    }
+
+    /**
+     * Запуск партии текущего узла, если она ещё не начиналась
+     */
+    async function startNodeBattle(run) {
+        const node = RunMap.getNode(run.map, run.currentNodeId);
+
+        await window.partyOrchestrator.startRunBattle({
+            opponentId: node.opponentId,
+            deck: run.deck,
+            firstCardId: run.nextCardId,
+            gameMode: run.gameMode,
+            runId: run.id,
+            node,
+            relics: run.relics || []
+        });
+    }
+
+    /**
+     * Итог партии узла (вызывает partyGameOrchestrator).
+     * Победа приносит золото и выбранную карту соперника (над элитой — ещё и реликвию),
+     * поражение завершает забег. Ничья засчитывается как пройденный узел без награды, но босса нужно победить.
+     *
+     * @param {Object} result
+     * @param {number} result.runId - Забег партии
+     * @param {string} result.nodeId - Узел партии
+     * @param {string} result.outcome - 'win' | 'loss' | 'draw'
+     * @param {Object|null} result.rewardCard - Выбранная карта соперника
+     * @param {Array} result.playerHand - Рука игрока после партии (с повышенными уровнями)
+     */
+    function completeBattle({ runId, nodeId, outcome, rewardCard = null, playerHand = [] }) {
+        return updateRun(async run => {
+            if (run.id !== runId || run.phase !== 'battle' || run.currentNodeId !== nodeId) {
+                throw new Error('Партия не относится к текущему узлу забега.');
+            }
+
+            const node = RunMap.getNode(run.map, nodeId);
+
+            playerHand.forEach(playedCard => {
+                const deckCard = run.deck.find(card => card.id === playedCard.id);
+                if (deckCard) {
+                    applyCardStats(deckCard, playedCard);
+                }
+            });
+
+            if (outcome === 'loss' || (outcome !== 'win' && node.type === 'boss')) {
+                finishRun(run, 'defeat');
+                return;
+            }
+
+            if (outcome === 'draw') {
+                run.stats.draws += 1;
+                run.phase = 'map';
+                return;
+            }
+
+            run.stats.battlesWon += 1;
+
+            if (rewardCard) {
+                const card = createRunCard(rewardCard, run.nextCardId);
+                run.nextCardId += 1;
+                run.deck.push(card);
+            }
+
+            if (node.type === 'boss') {
+                finishRun(run, 'victory');
+                return;
+            }
+
+            if (node.type === 'elite') {
+                run.stats.elitesWon += 1;
+                run.gold += GameConfig.get('runEliteGold');
+
+                const relic = await pickNewRelic(run);
+                if (relic) {
+                    addRelic(run, relic);
+                    run.lastEventResult = `Новая реликвия: ${relic.icon} ${relic.name}`;
+                }
+            } else {
+                run.gold += GameConfig.get('runBattleGold');
+            }
+
+            run.phase = 'map';
+        });
+    }
+
+    /**
+     * Покупка карты в магазине
+     * @param {number} cardId - ID карты из run.offers
+     */
+    function buyCard(cardId) {
+        return updateRun(run => {
+            const price = GameConfig.get('runCardPrice');
+            const index = run.phase === 'shop' ? run.offers.findIndex(offer => offer.id === cardId) : -1;
+
+            if (index === -1) {
+                throw new Error('Товар не найден.');
+            }
+            if (run.gold < price) {
+                throw new Error('Недостаточно золота.');
+            }
+
+            run.gold -= price;
+            run.deck.push(...run.offers.splice(index, 1));
+        });
+    }
+
+    /**
+     * Покупка реликвии в магазине
+     */
+    function buyRelic() {
+        return updateRun(run => {
+            const price = GameConfig.get('runRelicPrice');
+            const relic = run.phase === 'shop' ? run.relicOffer : null;
+
+            if (!relic) {
+                throw new Error('Товар не найден.');
+            }
+            if (run.gold < price) {
+                throw new Error('Недостаточно золота.');
+            }
+
+            run.gold -= price;
+            addRelic(run, relic);
+            run.relicOffer = null;
+        });
+    }
+
+    /**
+     * Повышение уровня карты в мастерской
+     * @param {number} cardId - ID карты колоды забега
+     */
+    function restUpgrade(cardId) {
+        return updateRun(async run => {
+            const card = run.phase === 'rest' ? run.deck.find(item => item.id === cardId) : null;
+            if (!card) {
+                throw new Error('Карта не найдена в колоде забега.');
+            }
+
+            if (!await upgradeRunCard(run, card)) {
+                throw new Error('Карта уже максимального уровня.');
+            }
+
+            run.phase = 'map';
+        });
+    }
+
+    /**
+     * Выбор варианта события
+     * @param {number} choiceIndex
+     * @returns {Promise<Object>} Забег; в run.lastEventResult — описание исхода для экрана
+     */
+    function chooseEventOption(choiceIndex) {
+        return updateRun(async run => {
+            const choice = run.phase === 'event' ? run.event?.choices[choiceIndex] : null;
+            if (!choice) {
+                throw new Error('Вариант события не найден.');
+            }
+
+            const { outcome } = choice;
+            const results = [];
+
+            if (outcome.gold < 0 && run.gold < -outcome.gold) {
+                throw new Error('Недостаточно золота.');
+            }
+
+            if (outcome.gold) {
+                run.gold += outcome.gold;
+                results.push(outcome.gold > 0 ? `+${outcome.gold} золота` : `${outcome.gold} золота`);
+            }
+
+            if (outcome.card) {
+                const [card] = await generateRunCards(run, getCurrentFloor(run), 1);
+                run.deck.push(card);
+                results.push('Новая карта в колоде');
+            }
+
+            if (outcome.upgrade) {
+                const candidates = run.deck.filter(card => (
+                    Number(card.cardLevel || 0) < GameConfig.get('maxCardLevel', run.gameMode)
+                ));
+                const card = candidates[Math.floor(SeededRandom.random() * candidates.length)];
+                if (card && await upgradeRunCard(run, card)) {
+                    results.push(`Карта ${card.cardTypeId} улучшена`);
+                }
+            }
+
+            run.lastEventResult = results.length > 0 ? results.join(', ') : 'Ничего не произошло';
+            run.event = null;
+            run.phase = 'map';
+        });
+    }
+
+    /**
+     * Уход из магазина или мастерской без покупки
+     */
+    function leaveNode() {
+        return updateRun(run => {
+            if (run.phase !== 'shop' && run.phase !== 'rest') {
+                throw new Error('Покинуть можно только магазин или мастерскую.');
+            }
+
+            run.offers = [];
+            run.relicOffer = null;
+            run.phase = 'map';
+        });
+    }
+
+    /**
+     * Досрочное завершение забега (награда считается по уже одержанным победам)
+     */
+    function abandonRun() {
+        return updateRun(run => {
+            if (run.phase === 'reward') {
+                return;
+            }
+            finishRun(run, 'abandoned');
+        });
+    }
+
+    /**
+     * Награда: выбранные карты забега переходят в коллекцию, итог — в userData.runs,
+     * активный забег удаляется
+     * @param {Array<number>} cardIds - ID карт колоды забега (не больше run.rewardCount)
+     * @returns {Promise<Object>} Итог забега
+     */
+    async function claimRewards(cardIds = []) {
+        const userData = await getUserData();
+        const run = userData.run;
+
+        if (!run || run.phase !== 'reward') {
+            throw new Error('Забег ещё не завершён.');
+        }
+
+        const selectedCards = run.deck.filter(card => cardIds.includes(card.id)).slice(0, run.rewardCount);
+
+        let playerCardholder = userData.cardholders.find(cardholder => cardholder.player === true);
+        if (!playerCardholder) {
+            playerCardholder = { id: PLAYER_CARDHOLDER_ID, player: true, opponent_id: null };
+            userData.cardholders.push(playerCardholder);
+        }
+
+        let maxCardId = userData.cards.reduce((max, card) => Math.max(max, Number(card.id) || 0), 0);
+        selectedCards.forEach(card => {
+            maxCardId += 1;
+            userData.cards.push({ ...card, id: maxCardId, cardholder_id: playerCardholder.id, inHand: false });
+        });
+
+        const summary = {
+            id: run.id,
+            gameMode: run.gameMode,
+            seed: run.seed,
+            result: run.result,
+            floorReached: getCurrentFloor(run),
+            battlesWon: run.stats.battlesWon,
+            elitesWon: run.stats.elitesWon,
+            relics: (run.relics || []).length,
+            rewardCards: selectedCards.length,
+            startedAt: run.startedAt,
+            finishedAt: new Date().toISOString()
+        };
+
+        userData.runs = [...(userData.runs || []), summary].slice(-RUN_HISTORY_LIMIT);
+        userData.run = null;
+        await saveUserData(userData);
+
+        console.log('RunOrchestrator: Забег завершён', summary);
+        return summary;
+    }
+
+    return {
+        RUN_VERSION,
+        getRun,
+        getRunHistory,
+        getRewardCount,
+        startRun,
+        pickDraftCard,
+        enterNode,
+        startNodeBattle,
+        getNodeCheckpoint,
+        completeBattle,
+        buyCard,
+        buyRelic,
+        restUpgrade,
+        chooseEventOption,
+        leaveNode,
+        abandonRun,
+        claimRewards
+    };
+})();
+
+window.runOrchestrator = runOrchestrator;
+
+console.log('RunOrchestrator: Модуль загружен. Используйте runOrchestrator.startRun(gameMode).');
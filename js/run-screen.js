@@ -0,0 +1,437 @@
+/**
+ * Run Screen Controller for Technomaster
+ * Экран забега: драфт, карта узлов, магазин, события, мастерская и награда.
+ * Логику и сохранение забега ведёт runOrchestrator, экран только отображает фазу.
+ */
+
+const RUN_RESULT_TITLES = {
+    victory: 'Босс повержен!',
+    defeat: 'Забег окончен поражением',
+    abandoned: 'Забег завершён досрочно'
+};
+
+/**
+ * Состояние экрана
+ */
+const runScreenState = {
+    run: null,
+    history: [],
+    opponentsById: new Map(),
+    // Карты, отмеченные для переноса в коллекцию
+    selectedRewardIds: new Set(),
+    isBusy: false
+};
+
+function showRunMessage(text) {
+    const messageEl = document.getElementById('runMessage');
+    if (messageEl) {
+        messageEl.textContent = text || '';
+    }
+}
+
+/**
+ * Действие забега: блокирует повторные нажатия, перерисовывает экран, показывает ошибку
+ * @param {Function} action - async () => run
+ */
+async function performRunAction(action) {
+    if (runScreenState.isBusy) {
+        return;
+    }
+
+    runScreenState.isBusy = true;
+    try {
+        const run = await action();
+        if (run) {
+            runScreenState.run = run;
+            showRunMessage(run.lastEventResult || '');
+        } else if (run === null) {
+            runScreenState.run = null;
+        }
+    } catch (error) {
+        console.error('RunScreen: Ошибка действия забега:', error);
+        showRunMessage(error?.message || 'Не удалось выполнить действие.');
+    } finally {
+        runScreenState.isBusy = false;
+        renderRunScreen();
+    }
+}
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+        element.className = className;
+    }
+    if (text !== undefined) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+function createButton(text, onClick, className = 'run-button') {
+    const button = createElement('button', className, text);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Карта забега в слоте (клик — действие фазы)
+ */
+function createRunCardSlot(card, onClick = null, caption = '') {
+    const slot = createElement('div', 'run-card-slot');
+
+    const cardElement = window.cardRenderer.renderCard({
+        cardTypeId: card.cardTypeId,
+        arrowTopLeft: card.arrowTopLeft,
+        arrowTop: card.arrowTop,
+        arrowTopRight: card.arrowTopRight,
+        arrowRight: card.arrowRight,
+        arrowBottomRight: card.arrowBottomRight,
+        arrowBottom: card.arrowBottom,
+        arrowBottomLeft: card.arrowBottomLeft,
+        arrowLeft: card.arrowLeft,
+        ownership: 'player',
+        cardLevel: String(card.cardLevel || 0),
+        attackLevel: String(card.attackLevel || 0),
+        attackType: card.attackType || 'P',
+        mechanicalDefense: String(card.mechanicalDefense || 0),
+        electricalDefense: String(card.electricalDefense || 0)
+    });
+    cardElement.dataset.cardId = card.id;
+    slot.appendChild(cardElement);
+
+    if (caption) {
+        slot.appendChild(createElement('div', 'run-card-caption', caption));
+    }
+
+    if (onClick) {
+        slot.classList.add('run-card-slot--selectable');
+        slot.addEventListener('click', () => onClick(card));
+    }
+
+    return slot;
+}
+
+function createCardRow(cards, onClick = null, getCaption = null) {
+    const row = createElement('div', 'run-card-row');
+    cards.forEach(card => {
+        row.appendChild(createRunCardSlot(card, onClick, getCaption ? getCaption(card) : ''));
+    });
+    return row;
+}
+
+/**
+ * Реликвии забега: значок и название, описание — в подсказке
+ */
+function createRelicList(relics) {
+    const list = createElement('div', 'run-relics');
+    relics.forEach(relic => {
+        const item = createElement('span', 'run-relic', window.Relics.getLabel(relic));
+        item.title = relic.description;
+        list.appendChild(item);
+    });
+    return list;
+}
+
+// === Отрисовка фаз ===
+
+function renderRunStatus(run) {
+    const statusEl = document.getElementById('runStatus');
+    if (!statusEl) return;
+
+    if (!run) {
+        statusEl.textContent = '';
+        return;
+    }
+
+    const floor = window.RunMap.getNode(run.map, run.currentNodeId)?.floor;
+    const modeName = window.GameRules.getModeRules(run.gameMode).name;
+    statusEl.textContent = [
+        `Режим: ${modeName}`,
+        `Золото: ${run.gold}`,
+        `Колода: ${run.deck.length}`,
+        `Реликвии: ${(run.relics || []).length}`,
+        `Этаж: ${floor === undefined ? '—' : `${floor + 1}/${run.map.floors}`}`
+    ].join(' · ');
+}
+
+/**
+ * Забега нет: запуск и итоги прошлых забегов
+ */
+function renderRunStart(body) {
+    const gameMode = new URLSearchParams(window.location.search).get('mode') || GameRules.DEFAULT_GAME_MODE;
+    const modeName = GameRules.getModeRules(gameMode).name;
+
+    body.appendChild(createElement('p', 'run-intro',
+        `Соберите временную колоду из ${GameConfig.get('runDeckSize')} карт и пройдите ${GameConfig.get('runFloors')} этажей до босса. `
+        + 'Поражение завершает забег, а лучшие карты забега можно забрать в коллекцию.'));
+    body.appendChild(createButton(`Начать забег (${modeName})`, () => {
+        performRunAction(() => window.runOrchestrator.startRun(gameMode));
+    }, 'run-button run-button--primary'));
+
+    if (runScreenState.history.length > 0) {
+        body.appendChild(createElement('h2', 'run-section-title', 'Прошлые забеги'));
+        const list = createElement('ul', 'run-history');
+        runScreenState.history.slice().reverse().forEach(summary => {
+            list.appendChild(createElement('li', '',
+                `${RUN_RESULT_TITLES[summary.result] || summary.result}: этаж ${summary.floorReached + 1}, `
+                + `побед ${summary.battlesWon}, карт в коллекцию ${summary.rewardCards}`));
+        });
+        body.appendChild(list);
+    }
+}
+
+function renderRunDraft(body, run) {
+    body.appendChild(createElement('h2', 'run-section-title',
+        `Драфт: выберите карту (${run.deck.length + 1}/${GameConfig.get('runDeckSize')})`));
+    body.appendChild(createCardRow(run.offers, card => {
+        performRunAction(() => window.runOrchestrator.pickDraftCard(card.id));
+    }));
+
+    if (run.deck.length > 0) {
+        body.appendChild(createElement('h2', 'run-section-title', 'Колода забега'));
+        body.appendChild(createCardRow(run.deck));
+    }
+}
+
+/**
+ * Карта забега: этажи снизу вверх, доступные узлы кликабельны
+ */
+function renderRunMap(body, run) {
+    const available = new Set(window.RunMap.getAvailableNodes(run.map, run.currentNodeId).map(node => node.id));
+    const visited = new Set(run.visitedNodeIds);
+    const mapEl = createElement('div', 'run-map');
+
+    for (let floor = run.map.floors - 1; floor >= 0; floor -= 1) {
+        const floorEl = createElement('div', 'run-map-floor');
+
+        run.map.nodes.filter(node => node.floor === floor).forEach(node => {
+            const nodeType = window.RunMap.getNodeType(node.type);
+            const opponent = runScreenState.opponentsById.get(node.opponentId);
+            const nodeEl = createButton(nodeType.icon, () => {
+                performRunAction(() => window.runOrchestrator.enterNode(node.id));
+            }, 'run-map-node');
+
+            nodeEl.title = opponent ? `${nodeType.name}: ${opponent.name}` : nodeType.name;
+            nodeEl.disabled = !available.has(node.id);
+            nodeEl.classList.toggle('run-map-node--available', available.has(node.id));
+            nodeEl.classList.toggle('run-map-node--visited', visited.has(node.id));
+            nodeEl.classList.toggle('run-map-node--current', node.id === run.currentNodeId);
+            floorEl.appendChild(nodeEl);
+        });
+
+        mapEl.appendChild(floorEl);
+    }
+
+    body.appendChild(mapEl);
+    if (run.relics?.length > 0) {
+        body.appendChild(createElement('h2', 'run-section-title', 'Реликвии'));
+        body.appendChild(createRelicList(run.relics));
+    }
+    body.appendChild(createElement('h2', 'run-section-title', 'Колода забега'));
+    body.appendChild(createCardRow(run.deck));
+    body.appendChild(createButton('Завершить забег', () => {
+        if (confirm('Завершить забег? Награда будет рассчитана по уже одержанным победам.')) {
+            performRunAction(() => window.runOrchestrator.abandonRun());
+        }
+    }, 'run-button run-button--secondary'));
+}
+
+function renderRunBattle(body, run) {
+    const node = window.RunMap.getNode(run.map, run.currentNodeId);
+    const opponent = runScreenState.opponentsById.get(node?.opponentId);
+
+    body.appendChild(createElement('p', 'run-intro',
+        `Партия узла не завершена${opponent ? `: ${opponent.name}` : ''}.`));
+
+    // Начатую партию можно только продолжить или сдать, чтобы её нельзя было переиграть
+    if (window.runOrchestrator.getNodeCheckpoint(run)) {
+        const actions = createElement('div', 'run-actions');
+        actions.appendChild(createButton('Продолжить партию', () => {
+            window.partyOrchestrator.resume('continue');
+        }, 'run-button run-button--primary'));
+        actions.appendChild(createButton('Сдаться', () => {
+            window.partyOrchestrator.resume('forfeit');
+        }, 'run-button run-button--secondary'));
+        body.appendChild(actions);
+        return;
+    }
+
+    body.appendChild(createButton('В бой', () => {
+        performRunAction(async () => {
+            await window.runOrchestrator.startNodeBattle(run);
+        });
+    }, 'run-button run-button--primary'));
+}
+
+function renderRunShop(body, run) {
+    const price = GameConfig.get('runCardPrice');
+
+    body.appendChild(createElement('h2', 'run-section-title', `Магазин: карта за ${price} золота`));
+    body.appendChild(createCardRow(run.offers, card => {
+        performRunAction(() => window.runOrchestrator.buyCard(card.id));
+    }, () => `${price} 💰`));
+
+    if (run.relicOffer) {
+        const relicPrice = GameConfig.get('runRelicPrice');
+        body.appendChild(createElement('h2', 'run-section-title', `Реликвия за ${relicPrice} золота`));
+        body.appendChild(createRelicList([run.relicOffer]));
+        body.appendChild(createButton(`Купить за ${relicPrice} 💰`, () => {
+            performRunAction(() => window.runOrchestrator.buyRelic());
+        }));
+    }
+
+    body.appendChild(createButton('Уйти', () => {
+        performRunAction(() => window.runOrchestrator.leaveNode());
+    }, 'run-button run-button--secondary'));
+}
+
+function renderRunEvent(body, run) {
+    body.appendChild(createElement('h2', 'run-section-title', run.event.title));
+    body.appendChild(createElement('p', 'run-intro', run.event.text));
+
+    const choices = createElement('div', 'run-actions');
+    run.event.choices.forEach((choice, index) => {
+        choices.appendChild(createButton(choice.label, () => {
+            performRunAction(() => window.runOrchestrator.chooseEventOption(index));
+        }));
+    });
+    body.appendChild(choices);
+}
+
+function renderRunRest(body, run) {
+    const maxCardLevel = GameConfig.get('maxCardLevel', run.gameMode);
+
+    body.appendChild(createElement('h2', 'run-section-title', 'Мастерская: выберите карту для улучшения'));
+    body.appendChild(createCardRow(
+        run.deck.filter(card => Number(card.cardLevel || 0) < maxCardLevel),
+        card => performRunAction(() => window.runOrchestrator.restUpgrade(card.id))
+    ));
+    body.appendChild(createButton('Уйти', () => {
+        performRunAction(() => window.runOrchestrator.leaveNode());
+    }, 'run-button run-button--secondary'));
+}
+
+/**
+ * Итог забега: выбор карт в коллекцию
+ */
+function renderRunReward(body, run) {
+    const selected = runScreenState.selectedRewardIds;
+
+    body.appendChild(createElement('h2', 'run-section-title', RUN_RESULT_TITLES[run.result] || 'Забег окончен'));
+    body.appendChild(createElement('p', 'run-intro', run.rewardCount > 0
+        ? `Побед: ${run.stats.battlesWon}. Выберите карты в коллекцию: ${selected.size}/${run.rewardCount}.`
+        : `Побед: ${run.stats.battlesWon}. На этот раз карты в коллекцию не переходят.`));
+
+    const row = createCardRow(run.deck, run.rewardCount > 0 ? card => {
+        if (selected.has(card.id)) {
+            selected.delete(card.id);
+        } else if (selected.size < run.rewardCount) {
+            selected.add(card.id);
+        }
+        renderRunScreen();
+    } : null);
+    row.querySelectorAll('.run-card-slot').forEach(slot => {
+        const cardId = Number(slot.querySelector('.game-card')?.dataset.cardId);
+        slot.classList.toggle('run-card-slot--chosen', selected.has(cardId));
+    });
+    body.appendChild(row);
+
+    body.appendChild(createButton('Забрать награду', () => {
+        performRunAction(async () => {
+            const summary = await window.runOrchestrator.claimRewards([...selected]);
+            selected.clear();
+            runScreenState.history = await window.runOrchestrator.getRunHistory();
+            showRunMessage(`Карт добавлено в коллекцию: ${summary.rewardCards}`);
+            return null;
+        });
+    }, 'run-button run-button--primary'));
+}
+
+const RUN_PHASE_RENDERERS = {
+    draft: renderRunDraft,
+    map: renderRunMap,
+    battle: renderRunBattle,
+    shop: renderRunShop,
+    event: renderRunEvent,
+    rest: renderRunRest,
+    reward: renderRunReward
+};
+
+function renderRunScreen() {
+    const body = document.getElementById('runBody');
+    if (!body) return;
+
+    const run = runScreenState.run;
+    body.innerHTML = '';
+    renderRunStatus(run);
+
+    if (!run) {
+        renderRunStart(body);
+        return;
+    }
+
+    const renderPhase = RUN_PHASE_RENDERERS[run.phase];
+    if (renderPhase) {
+        renderPhase(body, run);
+    } else {
+        console.warn('RunScreen: Неизвестная фаза забега:', run.phase);
+    }
+}
+
+/**
+ * Инициализация экрана
+ */
+async function initRunScreen() {
+    const loadingScreen = document.getElementById('loadingScreen');
+    const loadingError = document.getElementById('loadingError');
+    const loadingText = document.getElementById('loadingText');
+
+    const backBtn = document.getElementById('runBackBtn');
+    if (backBtn) {
+        backBtn.addEventListener('click', () => {
+            window.location.href = 'index.html';
+        });
+    }
+
+    try {
+        console.log('RunScreen: Начинаю инициализацию...');
+
+        // Список соперников загружает БД и баланс (GameConfig)
+        const opponents = await window.partyOrchestrator.getOpponents();
+        runScreenState.opponentsById = new Map(opponents.map(opponent => [opponent.id, opponent]));
+
+        await window.cardRenderer.init();
+
+        runScreenState.run = await window.runOrchestrator.getRun();
+        runScreenState.history = await window.runOrchestrator.getRunHistory();
+
+        renderRunScreen();
+        // Итог последней партии (например, полученная реликвия)
+        showRunMessage(runScreenState.run?.lastEventResult || '');
+
+        console.log('RunScreen: Инициализация завершена.');
+
+        if (loadingScreen) {
+            // Ждем два кадра, чтобы браузер успел отрисовать изменения в DOM
+            requestAnimationFrame(() => {
+                requestAnimationFrame(() => {
+                    loadingScreen.classList.add('hidden');
+                });
+            });
+        }
+    } catch (error) {
+        console.error('RunScreen: Ошибка инициализации:', error);
+
+        if (loadingError) {
+            loadingError.textContent = 'Ошибка загрузки: ' + (error?.message || 'Неизвестная ошибка');
+            loadingError.classList.add('visible');
+        }
+        if (loadingText) loadingText.style.display = 'none';
+
+        const spinner = loadingScreen?.querySelector('.loading-spinner');
+        if (spinner) spinner.style.display = 'none';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initRunScreen);
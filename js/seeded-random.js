@@ -0,0 +1,159 @@
+/**
+ * Seeded Random Module for Technomaster
+ * Единый генератор псевдослучайных чисел с зерном (mulberry32).
+ * Все случайные решения партии (кубики, жребий, закрытые ячейки,
+ * генерация карт, повышение уровня) берутся из него, поэтому партию
+ * можно воспроизвести по зерну и списку ходов.
+ */
+
+const SeededRandom = (() => {
+    // === Состояние генератора ===
+    let currentSeed = 0;
+    let generatorState = 0;
+
+    /**
+     * Нормализация зерна в беззнаковое 32-битное целое
+     * @param {number|string} seed - Зерно
+     * @returns {number}
+     */
+    function normalizeSeed(seed) {
+        if (typeof seed === 'string') {
+            const parsed = Number(seed);
+            if (Number.isFinite(parsed)) {
+                return parsed >>> 0;
+            }
+
+            // Строковое зерно: хеш FNV-1a
+            let hash = 2166136261;
+            for (let index = 0; index < seed.length; index += 1) {
+                hash ^= seed.charCodeAt(index);
+                hash = Math.imul(hash, 16777619);
+            }
+            return hash >>> 0;
+        }
+
+        return Number.isFinite(seed) ? (seed >>> 0) : 0;
+    }
+
+    /**
+     * Один шаг mulberry32
+     * @param {number} stateValue - Текущее состояние
+     * @returns {{value: number, state: number}} value в диапазоне [0, 1)
+     */
+    function step(stateValue) {
+        const nextState = (stateValue + 0x6D2B79F5) >>> 0;
+        let t = nextState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        return { value, state: nextState };
+    }
+
+    /**
+     * Генерация нового случайного зерна (не из потока генератора)
+     * @returns {number}
+     */
+    function generateSeed() {
+        const cryptoApi = typeof globalThis !== 'undefined' ? globalThis.crypto : null;
+        if (cryptoApi?.getRandomValues) {
+            return cryptoApi.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Установка зерна глобального генератора
+     * @param {number|string} seed - Зерно
+     * @returns {number} Нормализованное зерно
+     */
+    function setSeed(seed) {
+        currentSeed = normalizeSeed(seed);
+        generatorState = currentSeed;
+        console.log('SeededRandom: Установлено зерно', currentSeed);
+        return currentSeed;
+    }
+
+    /**
+     * Текущее зерно глобального генератора
+     * @returns {number}
+     */
+    function getSeed() {
+        return currentSeed;
+    }
+
+    /**
+     * Текущее внутреннее состояние глобального генератора.
+     * createGenerator(state) продолжает поток с этого места.
+     * @returns {number}
+     */
+    function getState() {
+        return generatorState;
+    }
+
+    /**
+     * Восстановление внутреннего состояния глобального генератора
+     * (продолжение прерванной партии). Зерно партии не меняется.
+     * @param {number} stateValue - Состояние из getState()
+     */
+    function setState(stateValue) {
+        generatorState = normalizeSeed(stateValue);
+    }
+
+    /**
+     * Случайное число в диапазоне [0, 1) из глобального генератора
+     * @returns {number}
+     */
+    function random() {
+        const result = step(generatorState);
+        generatorState = result.state;
+        return result.value;
+    }
+
+    /**
+     * Случайное целое от min до max включительно
+     * @param {number} min - Минимальное значение
+     * @param {number} max - Максимальное значение
+     * @returns {number}
+     */
+    function randomInt(min, max) {
+        return Math.floor(random() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Создание независимого генератора (для симуляций и ИИ).
+     * Не влияет на поток глобального генератора.
+     *
+     * @param {number|string} seed - Зерно
+     * @returns {Function} Функция, возвращающая число в диапазоне [0, 1)
+     */
+    function createGenerator(seed) {
+        let localState = normalizeSeed(seed);
+        return () => {
+            const result = step(localState);
+            localState = result.state;
+            return result.value;
+        };
+    }
+
+    setSeed(generateSeed());
+
+    // === Публичный API ===
+    return {
+        generateSeed,
+        setSeed,
+        getSeed,
+        getState,
+        setState,
+        random,
+        randomInt,
+        createGenerator
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -2,11 +2,28 @@ const OPPONENTS_DB_PATH = 'public/data/cards.db';
 const OPPONENTS_AVATAR_PATH = 'public/img/opponents';
 const MIN_DECK_PULSE_THRESHOLD = 5;
 
-let currentMode = 'standard';
+let currentMode = GameRules.DEFAULT_GAME_MODE;
 let opponentsList = [];
-let modeProgress = { standard: 0, hard: 0, hardcore: 0 };
+let modeProgress = createEmptyModeProgress();
 let userCardCount = 0;
 
+/**
+ * Прогресс без побед: 0 для каждого режима из GameRules
+ * @returns {Object<string, number>}
+ */
+function createEmptyModeProgress() {
+    return Object.fromEntries(GameRules.getGameModes().map(mode => [mode.id, 0]));
+}
+
+/**
+ * Открыт ли режим: нет условия или побеждены все соперники режима unlockedBy
+ * @param {Object} mode - Определение режима (GameRules.getGameModes)
+ * @returns {boolean}
+ */
+function isModeUnlocked(mode) {
+    return !mode.unlockedBy || (modeProgress[mode.unlockedBy] || 0) >= opponentsList.length;
+}
+
 /**
  * Создает DOM-элемент бейджа соперника.
  * @param {Object} opponent
@@ -99,40 +116,12 @@ function renderOpponents() {
     const hasLowCardCount = userCardCount < MIN_DECK_PULSE_THRESHOLD;
     const totalOpponents = opponentsList.length;
 
-    // Определяем максимальный доступный уровень для текущего режима
-    let maxUnlockedSequence = 1;
-
-    // Находим "максимальный по сложности режим, в котором победил игрок"
-    let highestModeWithWins = 'none';
-    if (modeProgress.hardcore > 0) highestModeWithWins = 'hardcore';
-    else if (modeProgress.hard > 0) highestModeWithWins = 'hard';
-    else if (modeProgress.standard > 0) highestModeWithWins = 'standard';
-
-    if (currentMode === 'standard') {
-        if (highestModeWithWins === 'none') {
-            maxUnlockedSequence = modeProgress.standard + 1;
-        } else if (highestModeWithWins === 'standard') {
-            maxUnlockedSequence = modeProgress.standard + 1;
-        } else {
-            // Если есть победы в более высоких режимах, значит стандартный пройден полностью
-            maxUnlockedSequence = totalOpponents + 1;
-        }
-    } else if (currentMode === 'hard') {
-        if (highestModeWithWins === 'standard') {
-            maxUnlockedSequence = 1; // Только начали Hard
-        } else if (highestModeWithWins === 'hard') {
-            maxUnlockedSequence = modeProgress.hard + 1;
-        } else {
-            // Пройден Hardcore, значит Hard пройден полностью
-            maxUnlockedSequence = totalOpponents + 1;
-        }
-    } else if (currentMode === 'hardcore') {
-        if (highestModeWithWins === 'hard') {
-            maxUnlockedSequence = 1; // Только начали Hardcore
-        } else if (highestModeWithWins === 'hardcore') {
-            maxUnlockedSequence = modeProgress.hardcore + 1;
-        }
-    }
+    // Определяем максимальный доступный уровень для текущего режима.
+    // Если есть победы в режимах, которые открываются после текущего, текущий пройден полностью
+    const isModeCompleted = GameRules.getModesUnlockedAfter(currentMode).some(mode => modeProgress[mode] > 0);
+    const maxUnlockedSequence = isModeCompleted
+        ? totalOpponents + 1
+        : (modeProgress[currentMode] || 0) + 1;
 
     opponentsList.forEach(opponent => {
         const isLocked = hasLowCardCount || opponent.sequence > maxUnlockedSequence;
@@ -143,27 +132,45 @@ function renderOpponents() {
     updateTabStates();
 }
 
+/**
+ * Создаёт табы режимов по определениям GameRules.getGameModes().
+ */
+function renderModeTabs() {
+    const modeTabs = document.getElementById('modeTabs');
+    if (!modeTabs) return;
+
+    modeTabs.innerHTML = '';
+
+    GameRules.getGameModes().forEach(mode => {
+        const tab = document.createElement('button');
+        tab.className = 'mode-tab';
+        tab.type = 'button';
+        tab.dataset.mode = mode.id;
+
+        const name = document.createElement('span');
+        name.className = 'mode-tab__name';
+        name.textContent = mode.name;
+
+        const description = document.createElement('span');
+        description.className = 'mode-tab__desc';
+        description.textContent = mode.description;
+
+        tab.append(name, description);
+        modeTabs.append(tab);
+    });
+}
+
 /**
  * Обновляет состояние табов (активный/доступный).
  */
 function updateTabStates() {
-    const totalOpponents = opponentsList.length;
+    const modesById = new Map(GameRules.getGameModes().map(mode => [mode.id, mode]));
     const tabs = document.querySelectorAll('.mode-tab');
 
     tabs.forEach(tab => {
         const mode = tab.dataset.mode;
         tab.classList.toggle('active', mode === currentMode);
-
-        let isAvailable = false;
-        if (mode === 'standard') {
-            isAvailable = true;
-        } else if (mode === 'hard') {
-            isAvailable = modeProgress.standard >= totalOpponents;
-        } else if (mode === 'hardcore') {
-            isAvailable = modeProgress.hard >= totalOpponents;
-        }
-
-        tab.disabled = !isAvailable;
+        tab.disabled = !modesById.has(mode) || !isModeUnlocked(modesById.get(mode));
     });
 }
 
@@ -375,6 +382,198 @@ async function checkPendingPurchasesAtStartup() {
     }
 }
 
+/**
+ * Предлагает продолжить прерванную партию или сдаться.
+ * Сдача засчитывается как поражение на экране партии; завершённую партию можно только продолжить.
+ * @param {Object} checkpoint - Контрольная точка партии
+ */
+function showResumePrompt(checkpoint) {
+    const resumeModal = document.getElementById('resumeModal');
+    const resumeDetails = document.getElementById('resumeModalDetails');
+    const continueButton = document.getElementById('resumeContinueButton');
+    const forfeitButton = document.getElementById('resumeForfeitButton');
+
+    if (!resumeModal || !continueButton || !forfeitButton) {
+        return;
+    }
+
+    const opponent = opponentsList.find(item => String(item.id) === String(checkpoint.opponentId));
+    const opponentName = checkpoint.hotseat
+        ? 'игра вдвоём'
+        : opponent?.name || checkpoint.opponentData?.name || 'Соперник';
+    const modeLabel = GameRules.getModeRules(checkpoint.gameMode).name;
+
+    // Завершённую партию осталось только подвести: выбрать награду и сохранить итог
+    const progressLabel = checkpoint.finished ? 'Партия завершена, итог не сохранён.' : `Ход: ${checkpoint.turnNumber || 1}.`;
+    forfeitButton.classList.toggle('hidden', Boolean(checkpoint.finished));
+
+    if (resumeDetails) {
+        resumeDetails.textContent = `Соперник: ${opponentName}. Режим: ${modeLabel}. ${progressLabel}`;
+    }
+
+    const resume = action => {
+        continueButton.disabled = true;
+        forfeitButton.disabled = true;
+
+        try {
+            window.partyOrchestrator.resume(action);
+        } catch (error) {
+            console.error('PartyOrchestrator: ошибка возврата к партии', error);
+            window.partyOrchestrator.clearCheckpoint();
+            resumeModal.classList.add('hidden');
+            document.body.style.overflow = '';
+        }
+    };
+
+    continueButton.addEventListener('click', () => resume('continue'));
+    forfeitButton.addEventListener('click', () => resume('forfeit'));
+
+    resumeModal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Показывает сюжетное событие между партиями.
+ * Игрок выбирает вариант, исход применяется к коллекции и показывается в том же окне.
+ * @param {Object} event - Событие от narrativeEventOrchestrator.getPendingEvent()
+ */
+function showNarrativeEvent(event) {
+    const eventModal = document.getElementById('narrativeEventModal');
+    const titleElement = document.getElementById('narrativeEventTitle');
+    const textElement = document.getElementById('narrativeEventText');
+    const choicesElement = document.getElementById('narrativeEventChoices');
+    const resultElement = document.getElementById('narrativeEventResult');
+    const closeButton = document.getElementById('narrativeEventClose');
+
+    if (!eventModal || !choicesElement || !resultElement || !closeButton) {
+        return;
+    }
+
+    titleElement.textContent = event.title;
+    textElement.textContent = event.text;
+    choicesElement.innerHTML = '';
+
+    const showResult = (text, results = []) => {
+        choicesElement.classList.add('hidden');
+        resultElement.innerHTML = '';
+
+        const textNode = document.createElement('p');
+        textNode.textContent = text;
+        resultElement.appendChild(textNode);
+
+        if (results.length > 0) {
+            const list = document.createElement('ul');
+            results.forEach(result => {
+                const item = document.createElement('li');
+                item.textContent = result;
+                list.appendChild(item);
+            });
+            resultElement.appendChild(list);
+        }
+
+        resultElement.classList.remove('hidden');
+        closeButton.classList.remove('hidden');
+    };
+
+    event.choices.forEach((label, choiceIndex) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'resume-modal__button resume-modal__button--continue';
+        button.textContent = label;
+        button.addEventListener('click', async () => {
+            choicesElement.querySelectorAll('button').forEach(item => {
+                item.disabled = true;
+            });
+
+            try {
+                const outcome = await window.narrativeEventOrchestrator.chooseOption(choiceIndex);
+                showResult(outcome.text, outcome.results);
+            } catch (error) {
+                console.error('NarrativeEventOrchestrator: ошибка выбора варианта события', error);
+                showResult(error?.message || 'Не удалось разыграть событие.');
+            }
+        });
+        choicesElement.appendChild(button);
+    });
+
+    closeButton.addEventListener('click', () => {
+        eventModal.classList.add('hidden');
+        document.body.style.overflow = '';
+    });
+
+    eventModal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Настраивает окно запуска игры вдвоём на одном устройстве.
+ * Ставка доступна только при игре картами коллекции.
+ */
+function initHotseatModal() {
+    const hotseatButton = document.getElementById('hotseatButton');
+    const hotseatModal = document.getElementById('hotseatModal');
+    const closeButton = document.getElementById('hotseatModalClose');
+    const startButton = document.getElementById('hotseatStartButton');
+    const stakesInput = document.getElementById('hotseatStakes');
+
+    if (!hotseatButton || !hotseatModal || !startButton || !stakesInput) {
+        return;
+    }
+
+    const getDeckSource = () => (
+        hotseatModal.querySelector('input[name="hotseatDeckSource"]:checked')?.value || 'collection'
+    );
+
+    const updateStakesAvailability = () => {
+        const isCollection = getDeckSource() === 'collection';
+        stakesInput.disabled = !isCollection;
+        if (!isCollection) {
+            stakesInput.checked = false;
+        }
+    };
+
+    const openModal = () => {
+        updateStakesAvailability();
+        hotseatModal.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+    };
+
+    const closeModal = () => {
+        hotseatModal.classList.add('hidden');
+        document.body.style.overflow = '';
+    };
+
+    hotseatButton.addEventListener('click', openModal);
+    closeButton?.addEventListener('click', closeModal);
+    hotseatModal.addEventListener('click', event => {
+        if (event.target === hotseatModal) {
+            closeModal();
+        }
+    });
+    hotseatModal.querySelectorAll('input[name="hotseatDeckSource"]').forEach(input => {
+        input.addEventListener('change', updateStakesAvailability);
+    });
+
+    startButton.addEventListener('click', () => {
+        if (!window.partyOrchestrator?.startHotseat) {
+            console.error('PartyOrchestrator: модуль не загружен.');
+            return;
+        }
+
+        startButton.disabled = true;
+
+        window.partyOrchestrator.startHotseat({
+            deckSource: getDeckSource(),
+            stakes: stakesInput.checked,
+            gameMode: currentMode
+        }).catch(error => {
+            console.error('PartyOrchestrator: ошибка запуска игры вдвоём', error);
+            alert(error?.message || 'Не удалось подготовить партию.');
+            startButton.disabled = false;
+        });
+    });
+}
+
 /**
  * Инициализирует стартовый экран.
  */
@@ -423,7 +622,34 @@ async function initStartScreen() {
         }
     });
 
+    initHotseatModal();
+
+    const runButton = document.getElementById('runButton');
+    if (runButton) {
+        // Забег играется в режиме выбранной вкладки
+        runButton.addEventListener('click', () => {
+            window.location.href = `run.html?mode=${encodeURIComponent(currentMode)}`;
+        });
+    }
+
+    const demoButton = document.getElementById('demoButton');
+    if (demoButton) {
+        // Демо-партия: ИИ играет за обе стороны против случайного соперника
+        demoButton.addEventListener('click', () => {
+            if (!window.partyOrchestrator?.startSpectator) {
+                console.error('PartyOrchestrator: модуль не загружен.');
+                return;
+            }
+
+            window.partyOrchestrator.startSpectator({ gameMode: currentMode }).catch(error => {
+                console.error('PartyOrchestrator: ошибка запуска демо-партии', error);
+                alert(error?.message || 'Не удалось подготовить партию.');
+            });
+        });
+    }
+
     if (modeTabs) {
+        renderModeTabs();
         modeTabs.addEventListener('click', (event) => {
             const tab = event.target.closest('.mode-tab');
             if (tab && !tab.disabled) {
@@ -446,11 +672,13 @@ async function initStartScreen() {
 
         let [cardCount, maxCoolness] = await Promise.all([
             window.userCards?.getUserCardCount?.() ?? Promise.resolve(0),
-            window.userCards?.getMaxOpponentCoolness?.() ?? Promise.resolve({ standard: 0, hard: 0, hardcore: 0 })
+            window.userCards?.getMaxOpponentCoolness?.() ?? Promise.resolve(createEmptyModeProgress())
         ]);
 
         userCardCount = cardCount;
-        modeProgress = typeof maxCoolness === 'object' ? maxCoolness : { standard: Number(maxCoolness), hard: 0, hardcore: 0 };
+        modeProgress = typeof maxCoolness === 'object'
+            ? { ...createEmptyModeProgress(), ...maxCoolness }
+            : { ...createEmptyModeProgress(), [GameRules.DEFAULT_GAME_MODE]: Number(maxCoolness) };
 
         // Если карт 0, генерируем стартовую колоду
         if (userCardCount === 0 && window.cardRenderer) {
@@ -479,17 +707,32 @@ async function initStartScreen() {
             deckBanner.classList.remove('deck-banner--pulse');
         }
 
-        // Автоматически выбираем максимально доступный режим при загрузке
-        if (modeProgress.hard >= opponentsList.length && opponentsList.length > 0) {
-            currentMode = 'hardcore';
-        } else if (modeProgress.standard >= opponentsList.length && opponentsList.length > 0) {
-            currentMode = 'hard';
-        } else {
-            currentMode = 'standard';
-        }
+        // Автоматически выбираем максимально доступный режим при загрузке (последний открытый в списке)
+        const unlockedModes = opponentsList.length > 0
+            ? GameRules.getGameModes().filter(isModeUnlocked)
+            : [];
+        currentMode = unlockedModes.length > 0
+            ? unlockedModes[unlockedModes.length - 1].id
+            : GameRules.DEFAULT_GAME_MODE;
 
         renderOpponents();
 
+        // Прерванная партия: продолжить или сдаться
+        const checkpoint = window.partyOrchestrator?.readCheckpoint?.();
+        if (checkpoint) {
+            showResumePrompt(checkpoint);
+        } else if (window.narrativeEventOrchestrator) {
+            // Сюжетное событие между партиями (после прерванной партии не предлагается)
+            try {
+                const narrativeEvent = await window.narrativeEventOrchestrator.getPendingEvent();
+                if (narrativeEvent) {
+                    showNarrativeEvent(narrativeEvent);
+                }
+            } catch (error) {
+                console.error('NarrativeEventOrchestrator: ошибка подготовки события', error);
+            }
+        }
+
         // Сигнализируем SDK о готовности
         if (window.userCards?.getCachedYsdk) {
             const ysdk = window.userCards.getCachedYsdk();
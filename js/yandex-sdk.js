@@ -7,6 +7,13 @@
 
 const USER_DATA_STORAGE_KEY = 'technomaster.userData';
 
+/**
+ * Сколько последних партий хранят повтор (userData синхронизируется
+ * через player.setData с ограничением размера, старые повторы удаляются).
+ * @type {number}
+ */
+const REPLAY_HISTORY_LIMIT = 10;
+
 /**
  * Глобальная переменная типа хранилища данных.
  * Значения: "yandexCloud" | "localStorage"
@@ -161,7 +168,10 @@ function createEmptyUserDataStructure() {
     return {
         cardholders: [],
         cards: [],
-        parties: []
+        parties: [],
+        // Активный забег (см. runOrchestrator) и итоги завершённых забегов
+        run: null,
+        runs: []
     };
 }
 
@@ -509,11 +519,14 @@ async function getUserCardCount() {
 /**
  * Получает максимальный уровень крутости (opponent_power) побеждённого оппонента для каждого режима.
  * Находит максимальный opponent_power среди партий, где win = true.
- * @returns {Promise<{standard: number, hard: number, hardcore: number}>}
+ * Режимы берутся из GameRules.getGameModes() (без GameRules — только стандартный).
+ * @returns {Promise<Object<string, number>>} - { [id режима]: opponent_power }
  */
 async function getMaxOpponentCoolness() {
     const userData = await getUserData();
-    const result = { standard: 0, hard: 0, hardcore: 0 };
+    const modeIds = window.GameRules ? window.GameRules.getGameModes().map(mode => mode.id) : ['standard'];
+    const defaultMode = window.GameRules?.DEFAULT_GAME_MODE || 'standard';
+    const result = Object.fromEntries(modeIds.map(mode => [mode, 0]));
 
     if (!userData || !isValidUserDataStructure(userData)) {
         console.log('getMaxOpponentCoolness: структура данных не найдена.');
@@ -530,7 +543,7 @@ async function getMaxOpponentCoolness() {
 
     // Находим максимальный opponent_power среди выигранных партий для каждого режима
     for (const party of wonParties) {
-        const mode = party.gameMode || 'standard';
+        const mode = party.gameMode || defaultMode;
         const power = typeof party.opponent_power === 'number' ? party.opponent_power : 0;
 
         if (result[mode] !== undefined) {
@@ -539,8 +552,8 @@ async function getMaxOpponentCoolness() {
             }
         } else {
             // Если режим неизвестен, считаем его стандартным для совместимости
-            if (power > result.standard) {
-                result.standard = power;
+            if (power > result[defaultMode]) {
+                result[defaultMode] = power;
             }
         }
     }
@@ -625,15 +638,28 @@ async function saveUserDeck(cards) {
     return saved;
 }
 
+/**
+ * Удаляет повторы всех партий, кроме последних REPLAY_HISTORY_LIMIT.
+ * @param {Array<object>} parties - История партий (изменяется)
+ */
+function trimPartyReplays(parties) {
+    const partiesWithReplay = parties.filter(party => party.replay);
+
+    partiesWithReplay.slice(0, Math.max(0, partiesWithReplay.length - REPLAY_HISTORY_LIMIT)).forEach(party => {
+        delete party.replay;
+    });
+}
+
 /**
  * Записывает результат партии.
  * @param {number} opponentId - ID оппонента
  * @param {boolean} win - Победа или поражение
  * @param {number} opponentPower - Уровень крутости оппонента
- * @param {string} gameMode - Режим игры ('standard', 'hard', 'hardcore')
+ * @param {string} gameMode - Режим игры (id из GameRules.getGameModes())
+ * @param {object|null} replay - Компактный повтор партии (см. MatchReplay), хранится у последних REPLAY_HISTORY_LIMIT партий
  * @returns {Promise<boolean>}
  */
-async function recordPartyResult(opponentId, win, opponentPower, gameMode = 'standard') {
+async function recordPartyResult(opponentId, win, opponentPower, gameMode = 'standard', replay = null) {
     let userData = await getUserData();
 
     if (!userData || !isValidUserDataStructure(userData)) {
@@ -652,7 +678,12 @@ async function recordPartyResult(opponentId, win, opponentPower, gameMode = 'sta
         date: new Date().toISOString()
     };
 
+    if (replay) {
+        newParty.replay = replay;
+    }
+
     userData.parties.push(newParty);
+    trimPartyReplays(userData.parties);
 
     const saved = await saveUserData(userData);
 
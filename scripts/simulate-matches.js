@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+/**
+ * Batch Match Simulator for Technomaster
+ * Пакетная симуляция партий «ИИ против ИИ» для балансировки.
+ * Загружает public/data/cards.db через sql.js, генерирует руки по deck_rules,
+ * проигрывает партии через MatchSimulator (правила GameRules, ходы aiMoveCalculator)
+ * и выводит процент побед по соперникам, режимам, типам атаки и типам карт.
+ *
+ * Запуск:
+ *   npm run simulate -- --matches 500 --modes standard,hard --seed 42
+ *
+ * Параметры:
+ *   --matches N          Партий на пару «соперник × режим» (по умолчанию 200)
+ *   --modes a,b          Режимы игры (по умолчанию все режимы GameRules.getGameModes())
+ *   --opponents 1,2      ID соперников (по умолчанию все)
+ *   --player-rules ID    Правила колоды игрока из deck_rules (по умолчанию 0 — стартовая)
+ *   --balance FILE       JSON-конфигурация баланса (формат GameConfig) вместо таблицы balance_config
+ *   --stat-multiplier N  Множитель статов вместо значения из конфигурации баланса
+ *   --battle-strategy S  Стратегия боя вместо стратегии режима (dice, deterministic, weighted, bestOfThree)
+ *   --search             ИИ соперника просчитывает ходы вперёд по уровню сложности (aiSearch)
+ *   --no-personality     ИИ соперника играет с весами по умолчанию вместо своего характера
+ *   --engine E           Движок ИИ соперника вместо заданного соперником и режимом (scoring, monteCarlo)
+ *   --playouts N         Доигрываний на ход для monteCarlo (по умолчанию 300; бюджет времени не ограничен)
+ *   --seed N             Зерно генератора (по умолчанию случайное)
+ *   --json FILE          Дополнительно сохранить отчёт в JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DB_PATH = path.join(ROOT_DIR, 'public/data/cards.db');
+const DEFAULT_MATCHES = 200;
+const DEFAULT_PLAYOUTS = 300;
+const AI_ENGINES = ['scoring', 'monteCarlo'];
+
+const GameConfig = require('../js/game-config.js');
+const GameRules = require('../js/game-rules.js');
+const SeededRandom = require('../js/seeded-random.js');
+const MatchSimulator = require('../js/match-simulator.js');
+const aiSearch = require('../js/ai-search.js');
+const AiPersonality = require('../js/ai-personality.js');
+const cardRenderer = require('../js/card-renderer.js');
+
+// === Параметры командной строки ===
+
+function parseArgs(argv) {
+    const options = {
+        matches: DEFAULT_MATCHES,
+        modes: GameRules.getGameModes().map(mode => mode.id),
+        opponents: null,
+        playerRules: 0,
+        balance: null,
+        statMultiplier: null,
+        battleStrategy: null,
+        search: false,
+        personality: true,
+        engine: null,
+        playouts: DEFAULT_PLAYOUTS,
+        seed: null,
+        json: null
+    };
+
+    for (let index = 0; index < argv.length; index += 1) {
+        const arg = argv[index];
+        const value = argv[index + 1];
+
+        switch (arg) {
+            case '--matches':
+                options.matches = Math.max(1, parseInt(value, 10) || DEFAULT_MATCHES);
+                index += 1;
+                break;
+            case '--modes':
+                options.modes = value.split(',').map(mode => mode.trim()).filter(Boolean);
+                index += 1;
+                break;
+            case '--opponents':
+                options.opponents = value.split(',').map(Number).filter(Number.isFinite);
+                index += 1;
+                break;
+            case '--player-rules':
+                options.playerRules = Number(value);
+                index += 1;
+                break;
+            case '--balance':
+                options.balance = value;
+                index += 1;
+                break;
+            case '--stat-multiplier':
+                options.statMultiplier = Number(value);
+                index += 1;
+                break;
+            case '--battle-strategy':
+                options.battleStrategy = value;
+                index += 1;
+                break;
+            case '--search':
+                options.search = true;
+                break;
+            case '--no-personality':
+                options.personality = false;
+                break;
+            case '--engine':
+                options.engine = value;
+                index += 1;
+                break;
+            case '--playouts':
+                options.playouts = Math.max(1, parseInt(value, 10) || DEFAULT_PLAYOUTS);
+                index += 1;
+                break;
+            case '--seed':
+                options.seed = value;
+                index += 1;
+                break;
+            case '--json':
+                options.json = value;
+                index += 1;
+                break;
+            default:
+                throw new Error(`Неизвестный параметр: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// === Данные из базы ===
+
+function queryRows(db, sql) {
+    const result = db.exec(sql);
+    if (!result.length) {
+        return [];
+    }
+
+    const { columns, values } = result[0];
+    return values.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+}
+
+function loadData(db) {
+    const opponents = queryRows(db, 'SELECT id, name, sequence, arena_id, personality_id, ai_engine FROM opponents ORDER BY sequence ASC');
+    const deckRules = queryRows(db, 'SELECT * FROM deck_rules');
+    const arenas = queryRows(db, 'SELECT * FROM arenas');
+    const cardTypes = queryRows(db, 'SELECT id, name, attack_type FROM card_types');
+    const personalities = queryRows(db, 'SELECT * FROM ai_personalities');
+
+    return {
+        opponents,
+        deckRulesById: new Map(deckRules.map(rule => [rule.id, rule])),
+        // Последнее правило соперника, как getLatestDeckRule в party-orchestrator.js
+        deckRulesByOpponent: new Map(
+            deckRules
+                .filter(rule => rule.opponent_id !== null)
+                .sort((a, b) => a.id - b.id)
+                .map(rule => [rule.opponent_id, rule])
+        ),
+        arenasById: new Map(arenas.map(arena => [arena.id, arena])),
+        personalitiesById: new Map(personalities.map(row => [row.id, AiPersonality.fromDbRow(row)])),
+        cardTypesById: new Map(cardTypes.map(type => [type.id, type]))
+    };
+}
+
+function generateHand(deckRule, firstCardId) {
+    return cardRenderer.generateDeck({ ...deckRule, deck_size: GameConfig.get('handSize') }).map((card, index) => ({
+        ...card.renderParams,
+        id: firstCardId + index
+    }));
+}
+
+// === Статистика ===
+
+function createCounter() {
+    return { matches: 0, playerWins: 0, opponentWins: 0, draws: 0 };
+}
+
+function countResult(counter, winner) {
+    counter.matches += 1;
+    if (winner === 'player') {
+        counter.playerWins += 1;
+    } else if (winner === 'opponent') {
+        counter.opponentWins += 1;
+    } else {
+        counter.draws += 1;
+    }
+}
+
+/**
+ * Учёт сыгранных карт: сторона карты выиграла партию / карта осталась у своей стороны
+ */
+function countCards(stats, key, match, hands) {
+    const finalOwners = new Map();
+    match.board.cells.forEach(cell => {
+        if (cell.card) {
+            finalOwners.set(cell.card.id, GameRules.getCardOwner(cell.card));
+        }
+    });
+
+    match.moves.forEach(move => {
+        const card = hands[move.owner].find(c => c.id === move.cardId);
+        const statKey = key(card);
+        if (!stats.has(statKey)) {
+            stats.set(statKey, { played: 0, sideWins: 0, held: 0 });
+        }
+
+        const entry = stats.get(statKey);
+        entry.played += 1;
+        if (match.winner === move.owner) {
+            entry.sideWins += 1;
+        }
+        if (finalOwners.get(move.cardId) === move.owner) {
+            entry.held += 1;
+        }
+    });
+}
+
+function percent(part, total) {
+    return total > 0 ? `${((part / total) * 100).toFixed(1)}%` : '-';
+}
+
+// === Отчёт ===
+
+function printTable(title, headers, rows) {
+    console.log(`\n## ${title}\n`);
+    console.log(`| ${headers.join(' | ')} |`);
+    console.log(`|${headers.map(() => '---').join('|')}|`);
+    rows.forEach(row => console.log(`| ${row.join(' | ')} |`));
+}
+
+function resultRow(label, counter) {
+    return [
+        label,
+        counter.matches,
+        percent(counter.playerWins, counter.matches),
+        percent(counter.opponentWins, counter.matches),
+        percent(counter.draws, counter.matches)
+    ];
+}
+
+function cardRow(label, entry) {
+    return [label, entry.played, percent(entry.sideWins, entry.played), percent(entry.held, entry.played)];
+}
+
+// === Запуск ===
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const seed = options.seed ?? SeededRandom.generateSeed();
+    const rng = SeededRandom.createGenerator(seed);
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.readFileSync(DB_PATH));
+
+    // Баланс: таблица balance_config, затем файл --balance и --stat-multiplier поверх
+    GameConfig.loadFromDatabase(db);
+    if (options.balance && !GameConfig.applyBalance(JSON.parse(fs.readFileSync(options.balance, 'utf8')), options.balance)) {
+        throw new Error(`Не удалось применить конфигурацию баланса ${options.balance}`);
+    }
+    if (Number.isFinite(options.statMultiplier)) {
+        const balance = GameConfig.exportBalance();
+        GameConfig.applyBalance({
+            ...balance,
+            values: { ...balance.values, statMultiplier: options.statMultiplier }
+        }, '--stat-multiplier');
+    }
+
+    const data = loadData(db);
+
+    // Генерация карт берёт случайность из того же генератора, что и партии
+    cardRenderer.useDatabase(db);
+    cardRenderer.random = rng;
+
+    const knownModes = GameRules.getGameModes().map(mode => mode.id);
+    const unknownMode = options.modes.find(mode => !knownModes.includes(mode));
+    if (unknownMode) {
+        throw new Error(`Неизвестный режим игры: ${unknownMode}`);
+    }
+
+    if (options.battleStrategy && !GameRules.BATTLE_STRATEGIES[options.battleStrategy]) {
+        throw new Error(`Неизвестная стратегия боя: ${options.battleStrategy}`);
+    }
+
+    if (options.engine && !AI_ENGINES.includes(options.engine)) {
+        throw new Error(`Неизвестный движок ИИ: ${options.engine}`);
+    }
+
+    const playerRule = data.deckRulesById.get(options.playerRules);
+    if (!playerRule) {
+        throw new Error(`Правила колоды игрока id=${options.playerRules} не найдены.`);
+    }
+
+    const opponents = data.opponents.filter(opponent => (
+        !options.opponents || options.opponents.includes(opponent.id)
+    ));
+
+    const byOpponent = new Map();
+    const byPersonality = new Map();
+    const byMode = new Map();
+    const byFirstTurn = { player: createCounter(), opponent: createCounter() };
+    const byAttackType = new Map();
+    const byCardType = new Map();
+    const startedAt = Date.now();
+
+    for (const mode of options.modes) {
+        byMode.set(mode, createCounter());
+        const rules = GameRules.getModeRules(mode);
+        if (options.battleStrategy) {
+            rules.battleStrategy = options.battleStrategy;
+        }
+
+        for (const opponent of opponents) {
+            const opponentRule = data.deckRulesByOpponent.get(opponent.id);
+            if (!opponentRule) {
+                console.warn(`Simulator: Правила колоды соперника ${opponent.id} не найдены, пропуск`);
+                continue;
+            }
+
+            const arena = data.arenasById.get(opponent.arena_id) || null;
+            // Игрок всегда жадный, соперник — по уровню сложности режима и номера
+            const difficulty = options.search
+                ? { opponent: aiSearch.resolveDifficulty({ gameMode: mode, opponentSequence: opponent.sequence }) }
+                : {};
+            const personality = options.personality ? data.personalitiesById.get(opponent.personality_id) || null : null;
+            const personalityName = (personality || AiPersonality.DEFAULT_PERSONALITY).name;
+            if (!byPersonality.has(personalityName)) {
+                byPersonality.set(personalityName, createCounter());
+            }
+            const opponentKey = `${opponent.sequence}. ${opponent.name}`;
+            if (!byOpponent.has(opponentKey)) {
+                byOpponent.set(opponentKey, {});
+            }
+            const opponentCounter = createCounter();
+            byOpponent.get(opponentKey)[mode] = opponentCounter;
+
+            for (let matchIndex = 0; matchIndex < options.matches; matchIndex += 1) {
+                const hands = {
+                    player: generateHand(playerRule, 1),
+                    opponent: generateHand(opponentRule, GameConfig.get('handSize') + 1)
+                };
+
+                const match = MatchSimulator.playMatch({
+                    playerHand: hands.player,
+                    opponentHand: hands.opponent,
+                    layout: GameRules.resolveArenaLayout(arena, rng),
+                    gameMode: mode,
+                    rules,
+                    difficulty,
+                    personalities: { opponent: personality },
+                    // Игрок всегда играет по оценке ходов
+                    engines: { player: 'scoring', opponent: options.engine || opponent.ai_engine || rules.aiEngine },
+                    // Доигрывания и поиск ограничены числом и глубиной, а не временем, чтобы прогон был воспроизводимым
+                    monteCarlo: { playouts: options.playouts, timeBudgetMs: Infinity },
+                    search: { timeBudgetMs: Infinity },
+                    rng
+                });
+
+                countResult(opponentCounter, match.winner);
+                countResult(byMode.get(mode), match.winner);
+                countResult(byPersonality.get(personalityName), match.winner);
+                countResult(byFirstTurn[match.firstTurn], match.winner);
+                countCards(byAttackType, card => card.attackType, match, hands);
+                countCards(byCardType, card => card.cardTypeId, match, hands);
+            }
+        }
+    }
+
+    const totalMatches = [...byMode.values()].reduce((sum, counter) => sum + counter.matches, 0);
+
+    console.log('# Симуляция партий ИИ против ИИ\n');
+    console.log(`Партий: ${totalMatches}, зерно: ${seed}, statMultiplier: ${GameConfig.get('statMultiplier')}, ` +
+        `стратегия боя: ${options.battleStrategy || 'по режиму'}, ИИ соперника: ${options.search ? 'поиск' : 'жадный'}, ` +
+        `характеры: ${options.personality ? 'из базы' : 'по умолчанию'}, движок: ${options.engine || 'по сопернику и режиму'}, ` +
+        `колода игрока: deck_rules.id=${options.playerRules}, время: ${((Date.now() - startedAt) / 1000).toFixed(1)} с`);
+
+    printTable(
+        'Победы игрока по соперникам',
+        ['Соперник', ...options.modes],
+        [...byOpponent.entries()].map(([label, modes]) => [
+            label,
+            ...options.modes.map(mode => (modes[mode] ? percent(modes[mode].playerWins, modes[mode].matches) : '-'))
+        ])
+    );
+
+    printTable(
+        'Итоги по режимам',
+        ['Режим', 'Партий', 'Игрок', 'Соперник', 'Ничья'],
+        [...byMode.entries()].map(([mode, counter]) => resultRow(mode, counter))
+    );
+
+    printTable(
+        'Характеры соперников',
+        ['Характер', 'Партий', 'Игрок', 'Соперник', 'Ничья'],
+        [...byPersonality.entries()].map(([name, counter]) => resultRow(name, counter))
+    );
+
+    printTable(
+        'Первый ход',
+        ['Первым ходит', 'Партий', 'Игрок', 'Соперник', 'Ничья'],
+        Object.entries(byFirstTurn).map(([turn, counter]) => resultRow(turn, counter))
+    );
+
+    printTable(
+        'Типы атаки (победа стороны карты / карта осталась у своей стороны)',
+        ['Тип атаки', 'Сыграно', 'Победа стороны', 'Удержана'],
+        [...byAttackType.entries()].sort().map(([type, entry]) => cardRow(type, entry))
+    );
+
+    printTable(
+        'Типы карт (card_types)',
+        ['ID', 'Название', 'Атака', 'Сыграно', 'Победа стороны', 'Удержана'],
+        [...byCardType.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([typeId, entry]) => {
+                const type = data.cardTypesById.get(typeId);
+                return [typeId, type?.name || '?', type?.attack_type || '?', ...cardRow('', entry).slice(1)];
+            })
+    );
+
+    if (options.json) {
+        const report = {
+            seed,
+            statMultiplier: GameConfig.get('statMultiplier'),
+            balance: GameConfig.exportBalance(),
+            battleStrategy: options.battleStrategy,
+            search: options.search,
+            personality: options.personality,
+            engine: options.engine,
+            playouts: options.playouts,
+            playerRules: options.playerRules,
+            matchesPerPair: options.matches,
+            byOpponent: Object.fromEntries(byOpponent),
+            byMode: Object.fromEntries(byMode),
+            byPersonality: Object.fromEntries(byPersonality),
+            byFirstTurn,
+            byAttackType: Object.fromEntries(byAttackType),
+            byCardType: Object.fromEntries(byCardType)
+        };
+        fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+        console.log(`\nОтчёт сохранён: ${options.json}`);
+    }
+}
+
+main().catch(error => {
+    console.error('Simulator: Ошибка симуляции:', error);
+    process.exitCode = 1;
+});